@@ -2,10 +2,30 @@
 
 const jwt  = require('jsonwebtoken');
 const User = require('../models/User');
+const Device = require('../models/Device');
+const ApiKey = require('../models/ApiKey');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'mfc-dev-secret';
 
-async function requireAuth(req, res, next) {
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// lastUsedAt is only rewritten when older than this, to avoid a write per request.
+const LAST_USED_RESOLUTION_MS = 60_000;
+
+// ─── Principals ───────────────────────────────────────────────────────────────
+// Every authenticated request carries req.user. Requests made with an API key
+// (X-API-Key header) also carry req.apiKey; their req.user is a stand-in with
+// the 'viewer' role so read-only keys pass the same checks a viewer would.
+
+/** Records that an API key was used, at most once per LAST_USED_RESOLUTION_MS. */
+function touchLastUsed(key) {
+  if (key.lastUsedAt && Date.now() - new Date(key.lastUsedAt).getTime() <= LAST_USED_RESOLUTION_MS) return;
+  ApiKey.updateOne({ _id: key._id }, { lastUsedAt: new Date() }).catch(err =>
+    console.error('[auth] Failed to update API key lastUsedAt:', err.message)
+  );
+}
+
+async function authenticateJwt(req, res, next) {
   try {
     const header = req.headers.authorization;
     if (!header || !header.startsWith('Bearer ')) {
@@ -22,14 +42,84 @@ async function requireAuth(req, res, next) {
   }
 }
 
+async function authenticateApiKey(req, res, next, scope) {
+  try {
+    const key = await ApiKey.findActive(req.headers['x-api-key']);
+    if (!key) return res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+    if (!key.scopes.includes(scope)) {
+      return res.status(403).json({ error: `API key is missing the "${scope}" scope` });
+    }
+    if (scope === 'read' && !SAFE_METHODS.has(req.method)) {
+      return res.status(403).json({ error: 'Read-only API keys cannot modify data' });
+    }
+
+    touchLastUsed(key);
+
+    req.apiKey = key;
+    req.user   = { _id: key._id, name: `API key "${key.name}"`, role: 'viewer' };
+    next();
+  } catch {
+    res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+  }
+}
+
+// ─── Middleware ───────────────────────────────────────────────────────────────
+
+// Accepts a user JWT (Authorization: Bearer …) or an API key with the 'read' scope.
+function requireAuth(req, res, next) {
+  if (req.headers['x-api-key']) return authenticateApiKey(req, res, next, 'read');
+  return authenticateJwt(req, res, next);
+}
+
+/**
+ * Restricts a route to the given user roles.
+ *
+ * A trailing options object can name an API key scope that grants access to
+ * the route instead of a role, e.g. requireRole('admin', 'operator', { scope: 'pump' }).
+ * Without it, API keys are treated as read-only viewers.
+ */
 function requireRole(...roles) {
+  const { scope } = typeof roles.at(-1) === 'object' ? roles.pop() : {};
+
+  const authenticate = (req, res, next) => {
+    if (scope && req.headers['x-api-key']) return authenticateApiKey(req, res, next, scope);
+    return requireAuth(req, res, next);
+  };
+
   const roleChecker = (req, res, next) => {
+    if (scope && req.apiKey) return next(); // scope already checked during authentication
     if (!roles.includes(req.user.role)) {
       return res.status(403).json({ error: 'Insufficient permissions' });
     }
     next();
   };
-  return [requireAuth, roleChecker];
+  return [authenticate, roleChecker];
+}
+
+// Authenticates a device posting telemetry over HTTP with an API key
+// (X-API-Key header) that has the 'ingest' scope and is bound to a device.
+// Sets req.device instead of req.user.
+async function requireDeviceKey(req, res, next) {
+  try {
+    if (!req.headers['x-api-key']) return res.status(401).json({ error: 'Missing X-API-Key header' });
+
+    const key = await ApiKey.findActive(req.headers['x-api-key']);
+    if (!key) return res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+    if (!key.scopes.includes('ingest') || !key.device_id) {
+      return res.status(403).json({ error: 'API key is missing the "ingest" scope' });
+    }
+    const device = await Device.findOne({ device_id: key.device_id }).lean();
+    if (!device) return res.status(403).json({ error: 'API key is bound to an unregistered device' });
+    if (!device.enabled) return res.status(403).json({ error: 'Device is disabled' });
+
+    touchLastUsed(key);
+
+    req.apiKey = key;
+    req.device = device;
+    next();
+  } catch {
+    res.status(401).json({ error: 'Invalid, expired or revoked API key' });
+  }
 }
 
-module.exports = { requireAuth, requireRole, JWT_SECRET };
+module.exports = { requireAuth, requireRole, requireDeviceKey, JWT_SECRET };
@@ -0,0 +1,33 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// ─── Actuator registry ────────────────────────────────────────────────────────
+// One document per controllable output (pump, dosing valve, …). Each actuator
+// receives plain-string mode commands on `topic` and acknowledges them on
+// `${topic}/ack`. Adding an actuator here is all it takes to control it.
+
+const ActuatorSchema = new mongoose.Schema({
+  actuator_id:  { type: String, required: true, unique: true, trim: true, match: /^[A-Za-z0-9_-]+$/ },
+  label:        { type: String, required: true, trim: true },
+  kind:         { type: String, enum: ['pump', 'valve', 'other'], default: 'pump' },
+  topic:        { type: String, required: true, unique: true, trim: true },
+  modes:        { type: [String], required: true, validate: v => Array.isArray(v) && v.length > 0 },
+  default_mode: { type: String, required: true },   // assumed until a command or retained message says otherwise
+  enabled:      { type: Boolean, default: true },   // disabled actuators reject commands
+}, { timestamps: true });
+
+ActuatorSchema.statics.formatForApi = function (doc) {
+  const obj = doc.toObject ? doc.toObject() : { ...doc };
+  return {
+    id:          obj.actuator_id,
+    label:       obj.label,
+    kind:        obj.kind,
+    topic:       obj.topic,
+    modes:       obj.modes,
+    defaultMode: obj.default_mode,
+    enabled:     obj.enabled,
+  };
+};
+
+module.exports = mongoose.model('Actuator', ActuatorSchema);
@@ -4,16 +4,64 @@ const mongoose = require('mongoose');
 
 const AlertSchema = new mongoose.Schema({
   severity:   { type: String, enum: ['critical', 'warning', 'info'], required: true },
-  sensor:     { type: String, required: true }, // 'ph', 'tds', 'temperature', 'flow_rate', 'device'
+  sensor:     { type: String, required: true }, // a field in services/sensorMetadata.js, or 'device'
+  // Rule that raised a sensor alert other than a range threshold: a sensor-fault
+  // rule, or 'offline' for a sensor that went silent while its device kept reporting.
+  // Absent for range-threshold and device offline alerts.
+  rule:       { type: String, enum: ['rate_of_change', 'flatline', 'missing', 'offline'] },
+  device_id:  { type: String },                 // reporting device; absent for system-wide alerts
   message:    { type: String, required: true },
   value:      { type: Number },                 // reading that triggered the alert
   threshold:  { type: String },                 // human-readable threshold description
   timestamp:  { type: Date, default: Date.now, required: true },
   status:     { type: String, enum: ['active', 'acknowledged', 'resolved'], default: 'active' },
   resolvedAt: { type: Date },
+  // Who handled the alert: a User, or an ApiKey for key-authenticated calls.
+  // resolvedBy is absent when the alert resolved itself.
+  acknowledgedAt:     { type: Date },
+  acknowledgedBy:     { type: mongoose.Schema.Types.ObjectId },
+  acknowledgedByName: { type: String },
+  resolvedBy:         { type: mongoose.Schema.Types.ObjectId },
+  resolvedByName:     { type: String },
+  assignee:           { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  assigneeName:       { type: String },
+  // Snoozed alerts are neither escalated nor upgraded until this time
+  snoozedUntil:       { type: Date },
+  snoozedBy:          { type: mongoose.Schema.Types.ObjectId },
+  snoozedByName:      { type: String },
+  // Discussion thread, oldest first. Notes given when acknowledging or
+  // resolving (e.g. the root cause) and assignment changes are posted here too.
+  comments: [{
+    kind:       { type: String, enum: ['comment', 'acknowledge', 'resolve', 'assign'], default: 'comment' },
+    text:       { type: String, required: true },
+    author:     { type: mongoose.Schema.Types.ObjectId },
+    authorName: { type: String },
+    at:         { type: Date, default: Date.now },
+  }],
+  // Set when a later reading breached a more severe band and the alert was upgraded
+  upgradedFrom: { type: String, enum: ['warning', 'info'] },
+  upgradedAt:   { type: Date },
+  // Escalation (services/escalationService.js): highest level reached, 0 = none
+  escalation_level:   { type: Number, default: 0 },
+  escalation_history: [{
+    level:       { type: Number, required: true },
+    policy_id:   { type: mongoose.Schema.Types.ObjectId, ref: 'EscalationPolicy' },
+    policy_name: { type: String },
+    at:          { type: Date, required: true },
+    _id: false,
+  }],
 });
 
 AlertSchema.index({ status: 1, timestamp: -1 });
 AlertSchema.index({ sensor: 1, status: 1 });
+AlertSchema.index({ device_id: 1, sensor: 1, status: 1 });
+// At most one unresolved alert per device + sensor + rule; a more severe reading
+// upgrades that alert in place rather than raising a second one. Missing
+// device_id / rule index as null, so system-wide and range-threshold alerts are
+// covered too. ($in in a partial filter needs MongoDB 6.0+.)
+AlertSchema.index(
+  { device_id: 1, sensor: 1, rule: 1 },
+  { name: 'one_unresolved_alert', unique: true, partialFilterExpression: { status: { $in: ['active', 'acknowledged'] } } }
+);
 
 module.exports = mongoose.model('Alert', AlertSchema);
@@ -0,0 +1,55 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const { hashKey } = require('../services/keyService');
+
+// ─── Scopes ───────────────────────────────────────────────────────────────────
+//   read   – GET access to everything a viewer can see
+//   ingest – POST /api/telemetry on behalf of the bound device
+//   pump   – pump commands (same routes an operator uses)
+
+const API_KEY_SCOPES = ['read', 'ingest', 'pump'];
+
+const ApiKeySchema = new mongoose.Schema({
+  name:       { type: String, required: true, trim: true },
+  key_hash:   { type: String, required: true, unique: true, select: false },
+  prefix:     { type: String, required: true }, // first characters of the key, for identification
+  scopes:     { type: [{ type: String, enum: API_KEY_SCOPES }], required: true },
+  device_id:  { type: String },                 // required for the 'ingest' scope
+  createdBy:  { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  expiresAt:  { type: Date },
+  revokedAt:  { type: Date },
+  lastUsedAt: { type: Date },
+}, { timestamps: true });
+
+/**
+ * Looks up a usable (not revoked, not expired) key by its plaintext value.
+ * Returns a lean document or null.
+ */
+ApiKeySchema.statics.findActive = async function (key) {
+  const doc = await this.findOne({ key_hash: hashKey(key), revokedAt: { $exists: false } }).lean();
+  if (!doc) return null;
+  if (doc.expiresAt && doc.expiresAt <= new Date()) return null;
+  return doc;
+};
+
+ApiKeySchema.statics.formatForApi = function (doc) {
+  const obj = doc.toObject ? doc.toObject() : { ...doc };
+  return {
+    id:         String(obj._id),
+    name:       obj.name,
+    prefix:     obj.prefix,
+    scopes:     obj.scopes,
+    deviceId:   obj.device_id ?? null,
+    createdBy:  obj.createdBy ? String(obj.createdBy) : null,
+    expiresAt:  obj.expiresAt  ?? null,
+    revokedAt:  obj.revokedAt  ?? null,
+    lastUsedAt: obj.lastUsedAt ?? null,
+    createdAt:  obj.createdAt,
+  };
+};
+
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+
+module.exports = ApiKey;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
@@ -0,0 +1,36 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// ─── Audit log ────────────────────────────────────────────────────────────────
+// One document per state-changing operator action: who did it (a user or an
+// API key), what they did, to which target, what changed, and from where.
+// Written by services/auditService.js; read by GET /api/audit.
+
+const ChangeSchema = new mongoose.Schema({
+  path:   { type: String, required: true },     // dotted path, e.g. 'thresholds.ph.max'
+  before: { type: mongoose.Schema.Types.Mixed },
+  after:  { type: mongoose.Schema.Types.Mixed },
+}, { _id: false });
+
+const AuditLogSchema = new mongoose.Schema({
+  timestamp:   { type: Date, default: Date.now, required: true },
+  actor_type:  { type: String, enum: ['user', 'api_key'], required: true },
+  actor_id:    { type: mongoose.Schema.Types.ObjectId },
+  actor_name:  { type: String },
+  actor_role:  { type: String },
+  action:      { type: String, required: true },  // e.g. 'settings.update' — see AUDIT_ACTIONS
+  target_type: { type: String, required: true },  // e.g. 'settings', 'alert', 'user', 'pump'
+  target_id:   { type: String },
+  changes:     { type: [ChangeSchema], default: [] },
+  before:      { type: mongoose.Schema.Types.Mixed },
+  after:       { type: mongoose.Schema.Types.Mixed },
+  ip:          { type: String },
+}, { versionKey: false });
+
+AuditLogSchema.index({ timestamp: -1 });
+AuditLogSchema.index({ action: 1, timestamp: -1 });
+AuditLogSchema.index({ actor_id: 1, timestamp: -1 });
+AuditLogSchema.index({ target_type: 1, target_id: 1, timestamp: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,27 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// ─── Automation execution history ─────────────────────────────────────────────
+// One document each time an automation rule fires, whether the command was
+// sent, only simulated (dry run), skipped, blocked by an interlock or failed.
+
+const AutomationExecutionSchema = new mongoose.Schema({
+  timestamp:  { type: Date, default: Date.now, required: true },
+  rule_id:    { type: mongoose.Schema.Types.ObjectId, ref: 'AutomationRule', required: true },
+  rule_name:  { type: String },
+  device_id:  { type: String },
+  sensor:     { type: String },
+  value:      { type: Number },                 // reading that completed the condition
+  condition:  { type: String },                 // human-readable, e.g. 'flow_rate < 0.5 for 120 s'
+  pump:       { type: String },
+  command:    { type: String },
+  status:     { type: String, enum: ['executed', 'dry_run', 'skipped', 'blocked', 'failed'], required: true },
+  reason:     { type: String },                 // why it was skipped / blocked / failed
+  command_id: { type: mongoose.Schema.Types.ObjectId, ref: 'PumpCommand' },
+}, { versionKey: false });
+
+AutomationExecutionSchema.index({ timestamp: -1 });
+AutomationExecutionSchema.index({ rule_id: 1, timestamp: -1 });
+
+module.exports = mongoose.model('AutomationExecution', AutomationExecutionSchema);
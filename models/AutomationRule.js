@@ -0,0 +1,49 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// ─── Automation rule ──────────────────────────────────────────────────────────
+// "If <sensor> <operator> <value> for <duration>, send <command> to <pump>."
+// Evaluated on every live telemetry packet by services/automationService.js.
+
+const AutomationRuleSchema = new mongoose.Schema({
+  name:      { type: String, required: true, trim: true },
+  enabled:   { type: Boolean, default: true },
+  dry_run:   { type: Boolean, default: false },   // record what would happen, send nothing
+  device_id: { type: String },                    // omit to evaluate every device separately
+  condition: {
+    sensor:           { type: String, required: true },
+    operator:         { type: String, enum: ['<', '<=', '>', '>='], required: true },
+    value:            { type: Number, required: true },
+    duration_seconds: { type: Number, default: 0 },   // condition must hold this long
+    hysteresis:       { type: Number, default: 0 },   // re-arm only once this far back past value
+  },
+  action: {
+    pump:    { type: String, required: true },    // actuator_id
+    command: { type: String, required: true },
+  },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+AutomationRuleSchema.statics.formatForApi = function (doc) {
+  const obj = doc.toObject ? doc.toObject() : { ...doc };
+  return {
+    id:        String(obj._id),
+    name:      obj.name,
+    enabled:   obj.enabled,
+    dryRun:    obj.dry_run,
+    deviceId:  obj.device_id ?? null,
+    condition: {
+      sensor:          obj.condition.sensor,
+      operator:        obj.condition.operator,
+      value:           obj.condition.value,
+      durationSeconds: obj.condition.duration_seconds,
+      hysteresis:      obj.condition.hysteresis,
+    },
+    action:    { pump: obj.action.pump, command: obj.action.command },
+    createdAt: obj.createdAt,
+    updatedAt: obj.updatedAt,
+  };
+};
+
+module.exports = mongoose.model('AutomationRule', AutomationRuleSchema);
@@ -0,0 +1,59 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// ─── Daily EOR compliance ─────────────────────────────────────────────────────
+// One document per device and UTC calendar day, written by the nightly rollup
+// in services/complianceService.js once the day has closed. The verdict is
+// stored together with the rules it was evaluated under, so changing the rules
+// later does not rewrite past days.
+
+const FailingParameterSchema = new mongoose.Schema({
+  parameter: { type: String, required: true },
+  count:     { type: Number, required: true },   // readings that failed on this parameter
+}, { _id: false });
+
+const RuleSetVersionSchema = new mongoose.Schema({
+  name:    { type: String, required: true },
+  version: { type: Number, required: true },
+}, { _id: false });
+
+const ComplianceDaySchema = new mongoose.Schema({
+  device_id:          { type: String, required: true },
+  day:                { type: String, required: true },   // 'YYYY-MM-DD' (UTC)
+  reading_count:      { type: Number, required: true },
+  pass_count:         { type: Number, required: true },
+  pass_rate:          { type: Number },                   // % of readings that passed; absent without readings
+  failing_parameters: { type: [FailingParameterSchema], default: [] },
+  coverage:           { type: Number, required: true },   // % of sample intervals with at least one reading
+  rule_sets:          { type: [RuleSetVersionSchema], default: [] },  // EOR rule-set versions applied that day
+  verdict:            { type: String, enum: ['PASS', 'FAIL'], required: true },
+  reasons:            { type: [String], default: [] },    // why the day failed
+  rules: {
+    min_pass_rate: { type: Number, required: true },
+    min_coverage:  { type: Number, required: true },
+  },
+  computed_at:        { type: Date, required: true },
+}, { versionKey: false });
+
+ComplianceDaySchema.index({ day: 1, device_id: 1 }, { unique: true });
+
+ComplianceDaySchema.statics.formatForApi = function (doc) {
+  const obj = doc.toObject ? doc.toObject() : { ...doc };
+  return {
+    day:               obj.day,
+    deviceId:          obj.device_id,
+    readingCount:      obj.reading_count,
+    passCount:         obj.pass_count,
+    passRate:          obj.pass_rate ?? null,
+    failingParameters: obj.failing_parameters.map(f => ({ parameter: f.parameter, count: f.count })),
+    coverage:          obj.coverage,
+    ruleSets:          (obj.rule_sets ?? []).map(r => ({ name: r.name, version: r.version })),
+    verdict:           obj.verdict,
+    reasons:           obj.reasons,
+    rules:             { minPassRate: obj.rules.min_pass_rate, minCoverage: obj.rules.min_coverage },
+    computedAt:        obj.computed_at,
+  };
+};
+
+module.exports = mongoose.model('ComplianceDay', ComplianceDaySchema);
@@ -0,0 +1,53 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// ─── EOR compliance rule sets ─────────────────────────────────────────────────
+// The regulatory limits every reading is checked against in validateTelemetry
+// (e.g. "Saudi EOR 2024"). They are independent of the alert thresholds in
+// Settings, which are operational early warnings and are usually tighter.
+//
+// One document per version: a version is never modified once readings may
+// have been checked against it, so each SystemLog's validation.rule_set
+// { name, version } keeps pointing at the limits that produced it. Editing a
+// rule set adds its next version.
+//
+// One version is active at a time. Activation flags the new version first and
+// then clears the others, so an interrupted switch leaves two versions
+// flagged rather than none; the most recently activated one is in force.
+
+const RuleSchema = new mongoose.Schema({
+  sensor: { type: String, required: true },
+  min:    { type: Number },   // absent = no lower limit
+  max:    { type: Number },   // absent = no upper limit
+}, { _id: false });
+
+const ComplianceRuleSetSchema = new mongoose.Schema({
+  name:         { type: String, required: true, trim: true },
+  version:      { type: Number, required: true, min: 1 },
+  description:  { type: String, trim: true },
+  rules:        { type: [RuleSchema], required: true },
+  active:       { type: Boolean, default: false },
+  activated_at: { type: Date },
+  createdBy:    { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+ComplianceRuleSetSchema.index({ name: 1, version: -1 }, { unique: true });
+ComplianceRuleSetSchema.index({ active: 1, activated_at: -1 });
+
+ComplianceRuleSetSchema.statics.formatForApi = function (doc) {
+  const obj = doc.toObject ? doc.toObject() : { ...doc };
+  return {
+    id:          String(obj._id),
+    name:        obj.name,
+    version:     obj.version,
+    description: obj.description ?? '',
+    rules:       obj.rules.map(r => ({ sensor: r.sensor, min: r.min ?? null, max: r.max ?? null })),
+    active:      obj.active,
+    activatedAt: obj.activated_at ?? null,
+    createdBy:   obj.createdBy ? String(obj.createdBy) : null,
+    createdAt:   obj.createdAt,
+  };
+};
+
+module.exports = mongoose.model('ComplianceRuleSet', ComplianceRuleSetSchema);
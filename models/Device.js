@@ -0,0 +1,32 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// ─── Device registry ──────────────────────────────────────────────────────────
+// One document per physical MFC reactor. `device_id` is the segment used in the
+// MQTT telemetry topic (mfc/<device_id>/telemetry) and is stamped onto every
+// SystemLog and Alert produced by that device.
+
+const DeviceSchema = new mongoose.Schema({
+  device_id:   { type: String, required: true, unique: true, trim: true, match: /^[A-Za-z0-9_-]+$/ },
+  name:        { type: String, required: true, trim: true },
+  location:    { type: String, required: true, trim: true },
+  description: { type: String, trim: true },
+  enabled:     { type: Boolean, default: true }, // disabled devices have their telemetry dropped
+}, { timestamps: true });
+
+DeviceSchema.statics.formatForApi = function (doc) {
+  const obj = doc.toObject ? doc.toObject() : { ...doc };
+  return {
+    id:          String(obj._id),
+    deviceId:    obj.device_id,
+    name:        obj.name,
+    location:    obj.location,
+    description: obj.description ?? '',
+    enabled:     obj.enabled,
+    createdAt:   obj.createdAt,
+    updatedAt:   obj.updatedAt,
+  };
+};
+
+module.exports = mongoose.model('Device', DeviceSchema);
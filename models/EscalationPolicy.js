@@ -0,0 +1,50 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// ─── Escalation policies ──────────────────────────────────────────────────────
+// Who is told when an alert stays unacknowledged. Each level fires once,
+// `after_minutes` after the alert was raised, unless the alert has been
+// acknowledged or resolved by then (services/escalationService.js).
+//
+// A level notifies through its channels. When it names users and/or roles only
+// those users are addressed (email: their account address; SMS: the phone of
+// their subscription to that channel); otherwise the channel's own recipients
+// and subscribers are. Webhook channels always get one POST.
+
+const EscalationLevelSchema = new mongoose.Schema({
+  after_minutes: { type: Number, required: true },
+  channels:      { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'NotificationChannel' }], required: true },
+  users:         { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], default: [] },
+  roles:         { type: [String], default: [] },
+}, { _id: false });
+
+const EscalationPolicySchema = new mongoose.Schema({
+  name:       { type: String, required: true, trim: true },
+  enabled:    { type: Boolean, default: true },
+  severities: { type: [String], default: [] },   // empty = every severity
+  sensors:    { type: [String], default: [] },   // empty = every sensor
+  levels:     { type: [EscalationLevelSchema], required: true },   // ordered by after_minutes
+  createdBy:  { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+EscalationPolicySchema.statics.formatForApi = function (doc) {
+  const obj = doc.toObject ? doc.toObject() : { ...doc };
+  return {
+    id:         String(obj._id),
+    name:       obj.name,
+    enabled:    obj.enabled,
+    severities: obj.severities,
+    sensors:    obj.sensors,
+    levels:     obj.levels.map(l => ({
+      afterMinutes: l.after_minutes,
+      channels:     l.channels.map(String),
+      users:        l.users.map(String),
+      roles:        l.roles,
+    })),
+    createdAt:  obj.createdAt,
+    updatedAt:  obj.updatedAt,
+  };
+};
+
+module.exports = mongoose.model('EscalationPolicy', EscalationPolicySchema);
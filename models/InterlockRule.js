@@ -0,0 +1,46 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// ─── Safety interlocks ────────────────────────────────────────────────────────
+// Conditions under which pump commands are refused. Checked by
+// services/interlockService.js before every manual, scheduled or automated
+// command is published.
+//
+//   valve_closed – the latest valve_status reported by device_id (or by any
+//                  device, when omitted) is CLOSED
+//   active_alert – an unresolved alert of at least `severity` exists, optionally
+//                  limited to one sensor and/or device
+
+const INTERLOCK_TYPES = ['valve_closed', 'active_alert'];
+
+const InterlockRuleSchema = new mongoose.Schema({
+  name:      { type: String, required: true, trim: true },
+  enabled:   { type: Boolean, default: true },
+  type:      { type: String, enum: INTERLOCK_TYPES, required: true },
+  pumps:     { type: [String], default: [] },   // actuator_ids — empty applies to every pump
+  commands:  { type: [String], default: [] },   // modes it blocks — empty blocks every command
+  device_id: { type: String },
+  severity:  { type: String, enum: ['critical', 'warning'], default: 'critical' },  // active_alert
+  sensor:    { type: String },                                                       // active_alert
+}, { timestamps: true });
+
+InterlockRuleSchema.statics.formatForApi = function (doc) {
+  const obj = doc.toObject ? doc.toObject() : { ...doc };
+  return {
+    id:        String(obj._id),
+    name:      obj.name,
+    enabled:   obj.enabled,
+    type:      obj.type,
+    pumps:     obj.pumps,
+    commands:  obj.commands,
+    deviceId:  obj.device_id ?? null,
+    severity:  obj.type === 'active_alert' ? obj.severity : undefined,
+    sensor:    obj.type === 'active_alert' ? (obj.sensor ?? null) : undefined,
+    createdAt: obj.createdAt,
+    updatedAt: obj.updatedAt,
+  };
+};
+
+module.exports = mongoose.model('InterlockRule', InterlockRuleSchema);
+module.exports.INTERLOCK_TYPES = INTERLOCK_TYPES;
@@ -0,0 +1,39 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// ─── Maintenance windows ──────────────────────────────────────────────────────
+// A planned period (membrane cleaning, sensor calibration, …) during which no
+// new alerts are raised for the device / sensors it covers. Alerts that are
+// already open stay open and still resolve on their own; see
+// services/maintenanceService.js.
+
+const MaintenanceWindowSchema = new mongoose.Schema({
+  name:      { type: String, required: true, trim: true },
+  device_id: { type: String },                  // absent = every device (and system-wide alerts)
+  sensors:   { type: [String], default: [] },   // empty = every sensor, including 'device' (offline)
+  starts_at: { type: Date, required: true },
+  ends_at:   { type: Date, required: true },
+  reason:    { type: String, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+MaintenanceWindowSchema.index({ ends_at: 1 });
+
+MaintenanceWindowSchema.statics.formatForApi = function (doc) {
+  const obj = doc.toObject ? doc.toObject() : { ...doc };
+  return {
+    id:        String(obj._id),
+    name:      obj.name,
+    deviceId:  obj.device_id ?? null,
+    sensors:   obj.sensors,
+    startsAt:  obj.starts_at,
+    endsAt:    obj.ends_at,
+    reason:    obj.reason ?? '',
+    createdBy: obj.createdBy ? String(obj.createdBy) : null,
+    createdAt: obj.createdAt,
+    updatedAt: obj.updatedAt,
+  };
+};
+
+module.exports = mongoose.model('MaintenanceWindow', MaintenanceWindowSchema);
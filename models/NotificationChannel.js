@@ -0,0 +1,49 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// ─── Notification channels ────────────────────────────────────────────────────
+// Where alert notifications are sent. Each channel only receives alerts that
+// match its severities and sensors (empty = all).
+//
+//   email   – SMTP (server configured through SMTP_* env vars); one message per
+//             recipient in `recipients` plus every subscribed user's email
+//   webhook – JSON POST of the alert to `url`; when `secret` is set the body is
+//             signed with HMAC-SHA256 in the X-MFC-Signature header
+//   sms     – JSON POST of { to, message } to an SMS gateway at `url`, once per
+//             phone number in `recipients` plus every subscriber's phone;
+//             `secret` is sent as a Bearer token
+
+const CHANNEL_TYPES = ['email', 'webhook', 'sms'];
+
+const NotificationChannelSchema = new mongoose.Schema({
+  name:       { type: String, required: true, trim: true },
+  type:       { type: String, enum: CHANNEL_TYPES, required: true },
+  enabled:    { type: Boolean, default: true },
+  severities: { type: [String], default: [] },   // empty = every severity
+  sensors:    { type: [String], default: [] },   // empty = every sensor
+  recipients: { type: [String], default: [] },   // email addresses / phone numbers (email, sms)
+  url:        { type: String },                  // webhook / SMS gateway endpoint
+  secret:     { type: String, select: false },   // webhook signing key / SMS gateway token
+  createdBy:  { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+NotificationChannelSchema.statics.formatForApi = function (doc) {
+  const obj = doc.toObject ? doc.toObject() : { ...doc };
+  return {
+    id:         String(obj._id),
+    name:       obj.name,
+    type:       obj.type,
+    enabled:    obj.enabled,
+    severities: obj.severities,
+    sensors:    obj.sensors,
+    recipients: obj.recipients,
+    url:        obj.url ?? null,
+    hasSecret:  Boolean(obj.secret),
+    createdAt:  obj.createdAt,
+    updatedAt:  obj.updatedAt,
+  };
+};
+
+module.exports = mongoose.model('NotificationChannel', NotificationChannelSchema);
+module.exports.CHANNEL_TYPES = CHANNEL_TYPES;
@@ -0,0 +1,32 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// One notification to one recipient over one channel, and every attempt to
+// deliver it. Failed attempts are retried with backoff until MAX_ATTEMPTS
+// (services/notificationService.js), after which the delivery is 'failed'.
+
+const NotificationDeliverySchema = new mongoose.Schema({
+  timestamp:        { type: Date, default: Date.now, required: true },
+  alert_id:         { type: mongoose.Schema.Types.ObjectId, ref: 'Alert' },   // absent for test sends
+  escalation_level: { type: Number },               // set for escalation notifications
+  channel_id:       { type: mongoose.Schema.Types.ObjectId, ref: 'NotificationChannel', required: true },
+  channel_name:     { type: String },
+  channel_type:     { type: String, required: true },
+  recipient:        { type: String },               // email / phone; absent for webhooks
+  subject:          { type: String },
+  message:          { type: String, required: true },
+  payload:          { type: mongoose.Schema.Types.Mixed },   // webhook JSON body
+  status:           { type: String, enum: ['pending', 'sent', 'failed'], default: 'pending' },
+  attempts:         { type: Number, default: 0 },
+  last_error:       { type: String },
+  next_attempt_at:  { type: Date },
+  sent_at:          { type: Date },
+});
+
+NotificationDeliverySchema.index({ timestamp: -1 });
+NotificationDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+NotificationDeliverySchema.index({ alert_id: 1 });
+NotificationDeliverySchema.index({ channel_id: 1, timestamp: -1 });
+
+module.exports = mongoose.model('NotificationDelivery', NotificationDeliverySchema);
@@ -0,0 +1,33 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// A user's opt-in to an email or SMS channel. The user's own severities and
+// sensors narrow what they receive further (empty = whatever the channel sends).
+// Email goes to the user's account address; SMS to `phone`.
+
+const NotificationSubscriptionSchema = new mongoose.Schema({
+  user:       { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  channel:    { type: mongoose.Schema.Types.ObjectId, ref: 'NotificationChannel', required: true },
+  severities: { type: [String], default: [] },
+  sensors:    { type: [String], default: [] },
+  phone:      { type: String },                 // required for SMS channels
+}, { timestamps: true });
+
+NotificationSubscriptionSchema.index({ user: 1, channel: 1 }, { unique: true });
+NotificationSubscriptionSchema.index({ channel: 1 });
+
+NotificationSubscriptionSchema.statics.formatForApi = function (doc) {
+  const obj = doc.toObject ? doc.toObject() : { ...doc };
+  return {
+    id:         String(obj._id),
+    userId:     String(obj.user?._id ?? obj.user),
+    channelId:  String(obj.channel?._id ?? obj.channel),
+    severities: obj.severities,
+    sensors:    obj.sensors,
+    phone:      obj.phone ?? null,
+    createdAt:  obj.createdAt,
+  };
+};
+
+module.exports = mongoose.model('NotificationSubscription', NotificationSubscriptionSchema);
@@ -0,0 +1,33 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// ─── Pump command lifecycle ───────────────────────────────────────────────────
+// pending      – published to the broker, waiting for the ESP32 acknowledgement
+// acknowledged – ESP32 reported the command was applied
+// failed       – publish failed, or the ESP32 reported an error
+// timed_out    – no acknowledgement within PUMP_COMMAND_TIMEOUT_MS
+
+const PUMP_COMMAND_STATUSES = ['pending', 'acknowledged', 'failed', 'timed_out'];
+
+const PumpCommandSchema = new mongoose.Schema({
+  pump:         { type: String, required: true },   // 'pump1', 'pump2', 'pump3'
+  command:      { type: String, required: true },   // 'MANUAL_ON' | 'MANUAL_OFF' | 'AUTO'
+  topic:        { type: String, required: true },
+  status:       { type: String, enum: PUMP_COMMAND_STATUSES, default: 'pending' },
+  issuedBy:     { type: mongoose.Schema.Types.ObjectId }, // User, or ApiKey for key-authenticated calls
+  issuedByName: { type: String },
+  issuedAt:     { type: Date, default: Date.now, required: true },
+  completedAt:  { type: Date },                     // set when leaving 'pending'
+  error:        { type: String },                   // publish error, device error or timeout note
+  // Set when an admin published the command despite blocking safety interlocks
+  interlock_override: {
+    justification: { type: String },
+    rules:         [{ name: String, reason: String, _id: false }],
+  },
+});
+
+PumpCommandSchema.index({ status: 1, issuedAt: 1 });
+PumpCommandSchema.index({ pump: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('PumpCommand', PumpCommandSchema);
@@ -0,0 +1,64 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// ─── Pump schedule ────────────────────────────────────────────────────────────
+// A time-based run program for one actuator. While one of its windows is open
+// the scheduler holds the pump in `mode`; when the window closes it sends
+// `end_mode`. See services/pumpScheduler.js for overlap and override rules.
+
+const WindowSchema = new mongoose.Schema({
+  days:  { type: [Number], required: true },   // 0 = Sunday … 6 = Saturday
+  start: { type: String, required: true },     // 'HH:MM'
+  end:   { type: String, required: true },     // 'HH:MM' — ≤ start runs past midnight
+}, { _id: false });
+
+const PumpScheduleSchema = new mongoose.Schema({
+  name:             { type: String, required: true, trim: true },
+  pump:             { type: String, required: true },   // actuator_id
+  enabled:          { type: Boolean, default: true },
+  type:             { type: String, enum: ['weekly', 'cron'], required: true },
+  windows:          { type: [WindowSchema], default: undefined },   // weekly
+  cron:             { type: String },                               // cron
+  duration_minutes: { type: Number },                               // cron
+  mode:             { type: String, required: true },
+  end_mode:         { type: String, required: true },
+  priority:         { type: Number, default: 0 },       // higher wins when schedules overlap
+  timezone:         { type: String, required: true },
+  createdBy:        { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+  // Scheduler bookkeeping
+  active_run: {                                         // the window currently being applied
+    started_at: { type: Date },
+    ends_at:    { type: Date },
+  },
+  suspended_until: { type: Date },                      // set by a manual override
+}, { timestamps: true });
+
+PumpScheduleSchema.index({ pump: 1, enabled: 1 });
+
+PumpScheduleSchema.statics.formatForApi = function (doc) {
+  const obj = doc.toObject ? doc.toObject() : { ...doc };
+  return {
+    id:              String(obj._id),
+    name:            obj.name,
+    pump:            obj.pump,
+    enabled:         obj.enabled,
+    type:            obj.type,
+    windows:         obj.type === 'weekly' ? obj.windows : undefined,
+    cron:            obj.type === 'cron' ? obj.cron : undefined,
+    durationMinutes: obj.type === 'cron' ? obj.duration_minutes : undefined,
+    mode:            obj.mode,
+    endMode:         obj.end_mode,
+    priority:        obj.priority,
+    timezone:        obj.timezone,
+    activeRun:       obj.active_run?.started_at
+      ? { startedAt: obj.active_run.started_at, endsAt: obj.active_run.ends_at }
+      : null,
+    suspendedUntil:  obj.suspended_until ?? null,
+    createdAt:       obj.createdAt,
+    updatedAt:       obj.updatedAt,
+  };
+};
+
+module.exports = mongoose.model('PumpSchedule', PumpScheduleSchema);
@@ -0,0 +1,17 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// One document per pump holding its last-known mode, so the state survives
+// backend restarts and new clients are synced with the real mode.
+
+const PumpStateSchema = new mongoose.Schema({
+  pump:        { type: String, required: true, unique: true }, // 'pump1', 'pump2', 'pump3'
+  mode:        { type: String, required: true },               // 'MANUAL_ON' | 'MANUAL_OFF' | 'AUTO'
+  changedBy:   { type: String },                               // user / API key name, or 'MQTT' for external publishers
+  changedById: { type: mongoose.Schema.Types.ObjectId },
+  changedAt:   { type: Date, default: Date.now },
+  source:      { type: String, enum: ['command', 'ack', 'retained'], default: 'command' },
+}, { versionKey: false });
+
+module.exports = mongoose.model('PumpState', PumpStateSchema);
@@ -0,0 +1,27 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// ─── Rejected telemetry packets ───────────────────────────────────────────────
+// Capped collection: MongoDB discards the oldest documents once either limit is
+// reached, so a misbehaving ESP32 flooding bad packets can't grow it unbounded.
+// Long-term per-reason counts live in RejectionCount, which is never trimmed.
+
+const MAX_DOCS  = 50_000;
+const MAX_BYTES = 64 * 1024 * 1024; // 64 MB
+
+const RejectedPacketSchema = new mongoose.Schema({
+  receivedAt: { type: Date, default: Date.now, required: true },
+  code:       { type: String, required: true }, // REJECTION_CODES value, e.g. 'STALE'
+  reason:     { type: String, required: true }, // human-readable validator message
+  topic:      { type: String },                 // MQTT topic, or 'http' for REST ingestion
+  device_id:  { type: String },                 // absent when the topic didn't name a device
+  payload:    { type: mongoose.Schema.Types.Mixed }, // parsed JSON, or the raw string if unparseable
+}, {
+  capped:     { size: MAX_BYTES, max: MAX_DOCS },
+  versionKey: false,
+});
+
+RejectedPacketSchema.index({ receivedAt: -1 });
+
+module.exports = mongoose.model('RejectedPacket', RejectedPacketSchema);
@@ -0,0 +1,18 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// ─── Hourly rejection counters ────────────────────────────────────────────────
+// One document per (hour, device, code). Incremented with an upsert for every
+// dropped packet so reason trends survive the RejectedPacket cap.
+
+const RejectionCountSchema = new mongoose.Schema({
+  hour:      { type: Date, required: true },   // start of the UTC hour
+  device_id: { type: String, default: null },  // null when the device is unknown
+  code:      { type: String, required: true },
+  count:     { type: Number, default: 0 },
+}, { versionKey: false });
+
+RejectionCountSchema.index({ hour: 1, device_id: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('RejectionCount', RejectionCountSchema);
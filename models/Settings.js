@@ -1,28 +1,59 @@
 'use strict';
 
 const { Schema, model } = require('mongoose');
+const { SENSORS, SENSOR_FIELDS } = require('../services/sensorMetadata');
 
 // ─── Sub-schema ───────────────────────────────────────────────────────────────
 
+const bandSchema = new Schema({
+  min: { type: Number, required: true },
+  max: { type: Number, required: true },
+}, { _id: false });
+
+// An alert fires once a reading has been out of [min, max] for at least
+// minDurationSeconds and minPackets consecutive packets, and resolves only once
+// the reading is back inside [min + deadband, max − deadband].
+//
+// The optional `critical` band is wider than [min, max] (which is then the
+// warning band): a reading outside it raises — or upgrades the open alert to —
+// critical severity.
+//
+// Sensor-fault rules (0 disables each one) raise warnings when a reading moves
+// faster than maxRatePerMinute, stays within flatlineTolerance of one value for
+// flatlineMinutes, or has been absent from the device's telemetry for
+// missingAfterSeconds.
 const thresholdSchema = new Schema({
-  min:      { type: Number, required: true },
-  max:      { type: Number, required: true },
-  severity: { type: String, enum: ['warning', 'critical'], default: 'warning' },
+  min:                 { type: Number, required: true },
+  max:                 { type: Number, required: true },
+  severity:            { type: String, enum: ['warning', 'critical'], default: 'warning' },
+  critical:            { type: bandSchema },
+  deadband:            { type: Number, default: 0 },
+  minDurationSeconds:  { type: Number, default: 0 },
+  minPackets:          { type: Number, default: 1 },
+  maxRatePerMinute:    { type: Number, default: 0 },
+  flatlineMinutes:     { type: Number, default: 0 },
+  flatlineTolerance:   { type: Number, default: 0 },
+  missingAfterSeconds: { type: Number, default: 0 },
+}, { _id: false });
+
+// A day of a device's telemetry passes EOR compliance when at least
+// minPassRate % of its readings passed and at least minCoverage % of its
+// sample intervals hold a reading (services/complianceService.js).
+const complianceSchema = new Schema({
+  minPassRate: { type: Number, default: 95 },
+  minCoverage: { type: Number, default: 90 },
 }, { _id: false });
 
 // ─── Main schema ──────────────────────────────────────────────────────────────
 // Only one document ever exists in this collection (singleton pattern).
+// One threshold per sensor in services/sensorMetadata.js.
 
 const settingsSchema = new Schema({
-  thresholds: {
-    ph:          { type: thresholdSchema, default: () => ({ min: 6.5,  max: 8.5,   severity: 'warning'  }) },
-    tds:         { type: thresholdSchema, default: () => ({ min: 0,    max: 5000,  severity: 'warning'  }) },
-    temperature: { type: thresholdSchema, default: () => ({ min: 10,   max: 40,    severity: 'warning'  }) },
-    flow_rate:   { type: thresholdSchema, default: () => ({ min: 0.5,  max: 10,    severity: 'warning'  }) },
-    voltage:     { type: thresholdSchema, default: () => ({ min: 0,    max: 50,    severity: 'warning'  }) },
-    current:     { type: thresholdSchema, default: () => ({ min: 0,    max: 5,     severity: 'warning'  }) },
-  },
+  thresholds: Object.fromEntries(SENSOR_FIELDS.map(sensor => [
+    sensor, { type: thresholdSchema, default: () => ({ ...SENSORS[sensor].threshold, severity: 'warning' }) },
+  ])),
   alertsEnabled: { type: Boolean, default: true },
+  compliance:    { type: complianceSchema, default: () => ({}) },
 }, { timestamps: true });
 
 module.exports = model('Settings', settingsSchema);
@@ -31,8 +31,15 @@ const SystemLogSchema = new mongoose.Schema({
   },
   validation: {
     status: { type: String, enum: ['PASS', 'FAIL'], required: true },
-    failed_parameters: [{ type: String }] // Array to list exactly which sensors failed
-  }
+    failed_parameters: [{ type: String }], // Array to list exactly which sensors failed
+    // The EOR compliance rule-set version the reading was checked against
+    rule_set: {
+      name:    { type: String },
+      version: { type: Number }
+    }
+  },
+  // true when the reading arrived late via the store-and-forward backfill topic
+  backfilled: { type: Boolean, default: false }
 }, { 
   
   timeseries: {
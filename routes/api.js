@@ -1,38 +1,88 @@
 'use strict';
 
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const SystemLog = require('../models/SystemLog');
 const Alert = require('../models/Alert');
 const Settings = require('../models/Settings');
-const { formatAlert } = require('../services/alertService');
-const { invalidateCache, DEFAULTS } = require('../services/settingsService');
+const Device = require('../models/Device');
+const User = require('../models/User');
+const { formatAlert, forgetAlert } = require('../services/alertService');
+const { invalidateCache, withDefaultThresholds, DEFAULTS } = require('../services/settingsService');
+const { SENSORS, SENSOR_FIELDS } = require('../services/sensorMetadata');
+const { getDeviceStatus, OFFLINE_THRESHOLD_MS } = require('../services/sensorStatusService');
+const { getActiveWindows, windowCovers } = require('../services/maintenanceService');
+const { validateSnooze } = require('../validations/maintenanceValidator');
+const { readingsDeviceFilter, deviceIdFilter, splitList } = require('../services/deviceService');
 const { requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditService');
 
-// ─── Health ──────────────────────────────────────────────────────────────────
+// ─── Health & Status ─────────────────────────────────────────────────────────
 
 router.get('/health', (_req, res) => {
   res.json({ status: 'Backend is running', time: new Date() });
 });
 
+/**
+ * GET /api/status/sensors
+ * Last-seen status of every registered device and each of its sensors.
+ * A device or sensor is 'offline' after OFFLINE_THRESHOLD_MS without a
+ * reading, and 'never' if it has not reported (in the last day).
+ *
+ * Query params:
+ *   device   – comma-separated device_ids (default: all devices)
+ *   location – comma-separated locations (default: all locations)
+ *
+ * Response: { offlineAfterSeconds, devices: [{ deviceId, name, location, enabled,
+ *             lastSeen, status, sensors: [{ sensor, lastSeen, status }] }] }
+ */
+router.get('/status/sensors', async (req, res) => {
+  try {
+    const devices = await Device.find(await deviceIdFilter(req.query)).sort({ device_id: 1 }).lean();
+    const now     = new Date();
+    const iso     = d => (d ? d.toISOString() : null);
+
+    res.json({
+      offlineAfterSeconds: OFFLINE_THRESHOLD_MS / 1000,
+      devices: devices.map(device => {
+        const status = getDeviceStatus(device.device_id, now);
+        return {
+          deviceId: device.device_id,
+          name:     device.name,
+          location: device.location,
+          enabled:  device.enabled,
+          lastSeen: iso(status.lastSeen),
+          status:   status.status,
+          sensors:  status.sensors.map(s => ({ sensor: s.sensor, lastSeen: iso(s.lastSeen), status: s.status })),
+        };
+      }),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ─── Sensor Readings ─────────────────────────────────────────────────────────
 
 /**
  * GET /api/readings
  *
  * Query params:
- *   limit – max rows to return (default 100, max 1000)
- *   from  ��� ISO date string, inclusive lower bound on timestamp (optional)
- *   to    – ISO date string, inclusive upper bound on timestamp (optional)
- *   sort  – 'asc' (default, oldest-first — preserves existing behaviour) |
- *           'desc' (newest-first, used by the analytics raw-data table)
+ *   limit    – max rows to return (default 100, max 1000)
+ *   from     ��� ISO date string, inclusive lower bound on timestamp (optional)
+ *   to       – ISO date string, inclusive upper bound on timestamp (optional)
+ *   sort     – 'asc' (default, oldest-first — preserves existing behaviour) |
+ *              'desc' (newest-first, used by the analytics raw-data table)
+ *   device   – comma-separated device_ids (default: all devices)
+ *   location – comma-separated locations (default: all locations)
  */
 router.get('/readings', async (req, res) => {
   try {
     const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
     const desc  = req.query.sort === 'desc';
 
-    const filter = {};
+    const filter = readingsDeviceFilter(req.query);
     if (req.query.from || req.query.to) {
       filter.timestamp = {};
       if (req.query.from) {
@@ -76,11 +126,13 @@ const CORRELATION_SENSORS = new Set([
  * the database, making this far cheaper than the full analytics aggregate.
  *
  * Query params:
- *   sensorX – required, one of CORRELATION_SENSORS
- *   sensorY – required, one of CORRELATION_SENSORS, must differ from sensorX
- *   range   – '24h' | '7d' | '30d'  (ignored when from+to are supplied)
- *   from    – ISO date string (custom range start)
- *   to      – ISO date string (custom range end)
+ *   sensorX  – required, one of CORRELATION_SENSORS
+ *   sensorY  – required, one of CORRELATION_SENSORS, must differ from sensorX
+ *   range    – '24h' | '7d' | '30d'  (ignored when from+to are supplied)
+ *   from     – ISO date string (custom range start)
+ *   to       – ISO date string (custom range end)
+ *   device   – comma-separated device_ids (default: all devices)
+ *   location – comma-separated locations (default: all locations)
  *
  * Response: { sensorX, sensorY, data: [{ x, y }] }
  * Points are capped at 500 to keep the payload lean.
@@ -121,6 +173,7 @@ router.get('/analytics/correlation', async (req, res) => {
     const data = await SystemLog.aggregate([
       {
         $match: {
+          ...readingsDeviceFilter(req.query),
           timestamp:                         { $gte: since, $lte: until },
           [`readings.${sensorX}`]:           { $exists: true, $ne: null, $type: 'number' },
           [`readings.${sensorY}`]:           { $exists: true, $ne: null, $type: 'number' },
@@ -145,6 +198,8 @@ router.get('/analytics/correlation', async (req, res) => {
 /**
  * GET /api/analytics?range=24h|7d|30d
  * Returns pre-aggregated analytics derived from SystemLog and Alert collections.
+ * Accepts the same `device` / `location` filters as /api/readings; without
+ * them, every device is aggregated together.
  */
 router.get('/analytics', async (req, res) => {
   try {
@@ -172,13 +227,15 @@ router.get('/analytics', async (req, res) => {
     }
 
     const tsFilter = { $gte: since, $lte: until };
+    const logMatch   = { ...readingsDeviceFilter(req.query), timestamp: tsFilter };
+    const alertMatch = { ...(await deviceIdFilter(req.query)), timestamp: tsFilter };
 
     const [buckets, [summary], failedParams, alertsBySensor, alertsBySeverity, [resolutionStats]] =
       await Promise.all([
 
         // ── Time-bucketed sensor averages + EOR pass/fail counts ──────────────
         SystemLog.aggregate([
-          { $match: { timestamp: tsFilter } },
+          { $match: logMatch },
           { $group: {
             _id:        { $dateToString: { format: timeFmt, date: '$timestamp' } },
             avgPower:   { $avg: '$readings.power'       },
@@ -195,7 +252,7 @@ router.get('/analytics', async (req, res) => {
 
         // ── Overall summary for the period ────────────────────────────────────
         SystemLog.aggregate([
-          { $match: { timestamp: tsFilter } },
+          { $match: logMatch },
           { $group: {
             _id:           null,
             totalReadings: { $sum: 1 },
@@ -206,7 +263,7 @@ router.get('/analytics', async (req, res) => {
 
         // ── Failure counts per sensor (from failed_parameters array) ──────────
         SystemLog.aggregate([
-          { $match: { timestamp: tsFilter, 'validation.failed_parameters.0': { $exists: true } } },
+          { $match: { ...logMatch, 'validation.failed_parameters.0': { $exists: true } } },
           { $unwind: '$validation.failed_parameters' },
           { $group: { _id: '$validation.failed_parameters', count: { $sum: 1 } } },
           { $sort: { count: -1 } },
@@ -214,20 +271,20 @@ router.get('/analytics', async (req, res) => {
 
         // ── Alert count grouped by sensor ─────────────────────────────────────
         Alert.aggregate([
-          { $match: { timestamp: tsFilter } },
+          { $match: alertMatch },
           { $group: { _id: '$sensor', count: { $sum: 1 } } },
           { $sort: { count: -1 } },
         ]),
 
         // ── Alert count grouped by severity ───────────────────────────────────
         Alert.aggregate([
-          { $match: { timestamp: tsFilter } },
+          { $match: alertMatch },
           { $group: { _id: '$severity', count: { $sum: 1 } } },
         ]),
 
         // ── Average resolution time for resolved alerts ───────────────────────
         Alert.aggregate([
-          { $match: { timestamp: tsFilter, status: 'resolved', resolvedAt: { $exists: true } } },
+          { $match: { ...alertMatch, status: 'resolved', resolvedAt: { $exists: true } } },
           { $group: {
             _id:             null,
             avgResolutionMs: { $avg: { $subtract: ['$resolvedAt', '$timestamp'] } },
@@ -287,11 +344,16 @@ router.get('/analytics', async (req, res) => {
  * Query params:
  *   status   – comma-separated: active | acknowledged | resolved  (default: all)
  *   severity – comma-separated: critical | warning | info          (default: all)
- *   sensor   – comma-separated: ph | tds | temperature | flow_rate | device (default: all)
+ *   sensor   – comma-separated sensor fields (see sensorMetadata) or device (default: all)
+ *   rule     – comma-separated: threshold | rate_of_change | flatline | missing | offline (default: all)
+ *   snoozed  – true | false (default: both)
+ *   device   – comma-separated device_ids (default: all devices)
+ *   location – comma-separated locations (default: all locations)
  *   page     – 1-based page number (default: 1)
  *   limit    – results per page, max 100 (default: 20)
  *
  * Response: { data: Alert[], pagination: { total, page, pages, limit } }
+ * Each alert carries `maintenance`: the window currently covering it, or null.
  */
 router.get('/alerts', async (req, res) => {
   try {
@@ -301,9 +363,10 @@ router.get('/alerts', async (req, res) => {
 
     const VALID_STATUSES   = new Set(['active', 'acknowledged', 'resolved']);
     const VALID_SEVERITIES = new Set(['critical', 'warning', 'info']);
-    const VALID_SENSORS    = new Set(['ph', 'tds', 'temperature', 'flow_rate', 'device']);
+    const VALID_SENSORS    = new Set([...SENSOR_FIELDS, 'device']);
+    const VALID_RULES      = new Set(['threshold', 'rate_of_change', 'flatline', 'missing', 'offline']);
 
-    const query = {};
+    const query = await deviceIdFilter(req.query);
 
     if (req.query.status) {
       const vals = req.query.status.split(',').map(s => s.trim()).filter(s => VALID_STATUSES.has(s));
@@ -323,13 +386,23 @@ router.get('/alerts', async (req, res) => {
       else if (vals.length > 1) query.sensor = { $in: vals };
     }
 
-    const [docs, total] = await Promise.all([
+    // Range-threshold alerts carry no rule; $in: [null] matches them.
+    if (req.query.rule) {
+      const vals = splitList(req.query.rule).filter(s => VALID_RULES.has(s));
+      if (vals.length) query.rule = { $in: vals.map(r => (r === 'threshold' ? null : r)) };
+    }
+
+    if (req.query.snoozed === 'true') query.snoozedUntil = { $gt: new Date() };
+    else if (req.query.snoozed === 'false') query.snoozedUntil = { $not: { $gt: new Date() } };
+
+    const [docs, total, windows] = await Promise.all([
       Alert.find(query).sort({ timestamp: -1 }).skip(skip).limit(limit).lean(),
       Alert.countDocuments(query),
+      getActiveWindows(),
     ]);
 
     res.json({
-      data:       docs.map(formatAlert),
+      data:       docs.map(doc => withMaintenance(formatAlert(doc), windows)),
       pagination: { total, page, pages: Math.ceil(total / limit) || 1, limit },
     });
   } catch (err) {
@@ -337,18 +410,80 @@ router.get('/alerts', async (req, res) => {
   }
 });
 
+// Longest comment / acknowledgement note accepted on an alert.
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Validates an optional note or comment body. Returns an error message, or null.
+ */
+function checkCommentText(text, { required = false } = {}) {
+  if (text === undefined && !required) return null;
+  if (typeof text !== 'string' || !text.trim()) return 'text must be a non-empty string';
+  if (text.length > MAX_COMMENT_LENGTH) return `text must be at most ${MAX_COMMENT_LENGTH} characters`;
+  return null;
+}
+
+/** Builds an Alert comment authored by the caller. */
+function commentBy(req, kind, text) {
+  return { kind, text: text.trim(), author: req.user._id, authorName: req.user.name, at: new Date() };
+}
+
+/**
+ * Adds `maintenance` to a formatted alert: the window in progress that covers
+ * its device and sensor ({ id, name, endsAt }), or null.
+ */
+function withMaintenance(alert, windows, now = new Date()) {
+  const w = windows.find(w => windowCovers(w, alert.deviceId ?? undefined, alert.sensor, now));
+  return { ...alert, maintenance: w ? { id: String(w._id), name: w.name, endsAt: w.ends_at } : null };
+}
+
+/** Sends the updated alert to every client and back to the caller. */
+function sendAlertUpdate(req, res, doc) {
+  const alert = formatAlert(doc);
+  req.app.get('io').emit('alert_updated', alert);
+  res.json(alert);
+}
+
+/**
+ * GET /api/alerts/:id
+ * Returns one alert including its comment thread.
+ */
+router.get('/alerts/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Alert not found' });
+    const doc = await Alert.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ error: 'Alert not found' });
+    res.json(withMaintenance(formatAlert(doc), await getActiveWindows()));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * PATCH /api/alerts/:id/acknowledge
+ * Body: { note? } — posted to the alert's comments
  */
 router.patch('/alerts/:id/acknowledge', requireRole('admin', 'operator'), async (req, res) => {
   try {
+    const { note } = req.body ?? {};
+    const error = checkCommentText(note);
+    if (error) return res.status(400).json({ error: `note: ${error}` });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Active alert not found' });
+
     const doc = await Alert.findOneAndUpdate(
       { _id: req.params.id, status: 'active' },
-      { status: 'acknowledged' },
+      {
+        $set: { status: 'acknowledged', acknowledgedAt: new Date(), acknowledgedBy: req.user._id, acknowledgedByName: req.user.name },
+        ...(note !== undefined && { $push: { comments: commentBy(req, 'acknowledge', note) } }),
+      },
       { new: true }
     ).lean();
     if (!doc) return res.status(404).json({ error: 'Active alert not found' });
-    res.json(formatAlert(doc));
+    recordAudit(req, {
+      action: 'alert.acknowledge', targetType: 'alert', targetId: doc._id,
+      before: { status: 'active' }, after: { status: doc.status },
+    });
+    sendAlertUpdate(req, res, doc);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -356,16 +491,131 @@ router.patch('/alerts/:id/acknowledge', requireRole('admin', 'operator'), async
 
 /**
  * PATCH /api/alerts/:id/resolve
+ * Body: { note? } — e.g. the root cause; posted to the alert's comments
  */
 router.patch('/alerts/:id/resolve', requireRole('admin', 'operator'), async (req, res) => {
   try {
+    const { note } = req.body ?? {};
+    const error = checkCommentText(note);
+    if (error) return res.status(400).json({ error: `note: ${error}` });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Unresolved alert not found' });
+
+    const prev = await Alert.findOne({ _id: req.params.id, status: { $in: ['active', 'acknowledged'] } }).lean();
+    if (!prev) return res.status(404).json({ error: 'Unresolved alert not found' });
+
+    // Guarded on the status just read, so a concurrent auto-resolve wins cleanly
     const doc = await Alert.findOneAndUpdate(
-      { _id: req.params.id, status: { $in: ['active', 'acknowledged'] } },
-      { status: 'resolved', resolvedAt: new Date() },
+      { _id: prev._id, status: prev.status },
+      {
+        $set: { status: 'resolved', resolvedAt: new Date(), resolvedBy: req.user._id, resolvedByName: req.user.name },
+        ...(note !== undefined && { $push: { comments: commentBy(req, 'resolve', note) } }),
+      },
       { new: true }
     ).lean();
     if (!doc) return res.status(404).json({ error: 'Unresolved alert not found' });
-    res.json(formatAlert(doc));
+    forgetAlert(doc);
+    recordAudit(req, {
+      action: 'alert.resolve', targetType: 'alert', targetId: doc._id,
+      before: { status: prev.status }, after: { status: doc.status },
+    });
+    sendAlertUpdate(req, res, doc);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * PATCH /api/alerts/:id/snooze
+ * Body: { until } — ISO date; or { until: null } to cancel the snooze.
+ * A snoozed alert stays open but is neither escalated nor upgraded.
+ */
+router.patch('/alerts/:id/snooze', requireRole('admin', 'operator'), async (req, res) => {
+  try {
+    const { until } = req.body ?? {};
+    const { valid, reason } = validateSnooze(until);
+    if (!valid) return res.status(400).json({ error: reason });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Unresolved alert not found' });
+
+    const unresolved = { _id: req.params.id, status: { $in: ['active', 'acknowledged'] } };
+    const prev = await Alert.findOne(unresolved).lean();
+    if (!prev) return res.status(404).json({ error: 'Unresolved alert not found' });
+
+    const doc = await Alert.findOneAndUpdate(
+      unresolved,
+      until === null
+        ? { $unset: { snoozedUntil: 1, snoozedBy: 1, snoozedByName: 1 } }
+        : { $set: { snoozedUntil: new Date(until), snoozedBy: req.user._id, snoozedByName: req.user.name } },
+      { new: true }
+    ).lean();
+    if (!doc) return res.status(404).json({ error: 'Unresolved alert not found' });
+    recordAudit(req, {
+      action: 'alert.snooze', targetType: 'alert', targetId: doc._id,
+      before: { snoozedUntil: prev.snoozedUntil ?? null }, after: { snoozedUntil: doc.snoozedUntil ?? null },
+    });
+    sendAlertUpdate(req, res, doc);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * PATCH /api/alerts/:id/assign
+ * Body: { userId } — or { userId: null } to unassign
+ */
+router.patch('/alerts/:id/assign', requireRole('admin', 'operator'), async (req, res) => {
+  try {
+    const { userId } = req.body ?? {};
+    if (userId !== null && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'userId must be a user id or null' });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Alert not found' });
+
+    const user = userId && await User.findById(userId).lean();
+    if (userId && !user) return res.status(400).json({ error: 'Unknown user' });
+
+    const prev = await Alert.findById(req.params.id).lean();
+    if (!prev) return res.status(404).json({ error: 'Alert not found' });
+
+    const text = user ? `Assigned to ${user.name}` : 'Unassigned';
+    const doc = await Alert.findByIdAndUpdate(
+      prev._id,
+      {
+        ...(user
+          ? { $set: { assignee: user._id, assigneeName: user.name } }
+          : { $unset: { assignee: 1, assigneeName: 1 } }),
+        $push: { comments: commentBy(req, 'assign', text) },
+      },
+      { new: true }
+    ).lean();
+    recordAudit(req, {
+      action: 'alert.assign', targetType: 'alert', targetId: doc._id,
+      before: { assignee: prev.assigneeName ?? null }, after: { assignee: doc.assigneeName ?? null },
+    });
+    sendAlertUpdate(req, res, doc);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /api/alerts/:id/comments
+ * Body: { text }
+ */
+router.post('/alerts/:id/comments', requireRole('admin', 'operator'), async (req, res) => {
+  try {
+    const { text } = req.body ?? {};
+    const error = checkCommentText(text, { required: true });
+    if (error) return res.status(400).json({ error });
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Alert not found' });
+
+    const doc = await Alert.findByIdAndUpdate(
+      req.params.id,
+      { $push: { comments: commentBy(req, 'comment', text) } },
+      { new: true }
+    ).lean();
+    if (!doc) return res.status(404).json({ error: 'Alert not found' });
+    res.status(201);
+    sendAlertUpdate(req, res, doc);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -373,6 +623,19 @@ router.patch('/alerts/:id/resolve', requireRole('admin', 'operator'), async (req
 
 // ─── Settings ─────────────────────────────────────────────────────────────────
 
+// Upper bounds on alert debounce, so a typo can't silence a sensor for days.
+const MAX_DEBOUNCE_SECONDS = 3600;
+const MAX_DEBOUNCE_PACKETS = 1000;
+
+// Sensor-fault rule settings (0 disables a rule): upper bound, and whether the
+// value must be a whole number.
+const FAULT_RULE_LIMITS = {
+  maxRatePerMinute:    { max: Infinity,     integer: false },
+  flatlineMinutes:     { max: 7 * 24 * 60,  integer: true  },
+  flatlineTolerance:   { max: Infinity,     integer: false },
+  missingAfterSeconds: { max: 24 * 60 * 60, integer: true  },
+};
+
 /**
  * GET /api/settings
  * Returns the current system settings (creates defaults if none exist).
@@ -394,16 +657,38 @@ router.get('/settings', async (req, res) => {
  * PUT /api/settings
  * Validates and persists updated settings, then broadcasts to all clients.
  *
- * Body: { thresholds?: { [sensor]: { min, max, severity? } }, alertsEnabled?: boolean }
+ * Body: { thresholds?: { [sensor]: { min, max, severity?, critical?, deadband?, minDurationSeconds?, minPackets? } },
+ *         alertsEnabled?: boolean, compliance?: { minPassRate?, minCoverage? } }
+ *
+ *   critical           – { min, max } band enclosing [min, max]; readings outside it are critical
+ *                        and [min, max] becomes the warning band. null removes it.
+ *   deadband           – margin inside [min, max] a reading must clear before its alert resolves
+ *   minDurationSeconds – how long a reading must stay out of range before an alert fires
+ *   minPackets         – how many consecutive out-of-range packets are needed to fire
+ *
+ * Sensor-fault rules (per sensor, 0 disables):
+ *   maxRatePerMinute    – largest plausible change per minute between two readings
+ *   flatlineMinutes     – how long a reading may stay within flatlineTolerance of one value
+ *   flatlineTolerance   – change below which a reading counts as unchanged
+ *   missingAfterSeconds – how long the field may be absent while the device keeps reporting
+ *
+ * Daily EOR compliance (percentages, 0 – 100; see services/complianceService.js):
+ *   minPassRate – share of a day's readings that must pass the EOR check
+ *   minCoverage – share of a day's sample intervals that must hold a reading
  */
 router.put('/settings', requireRole('admin', 'operator'), async (req, res) => {
   try {
-    const { thresholds, alertsEnabled } = req.body;
+    const { thresholds, alertsEnabled, compliance } = req.body;
     const update = {};
+    const unset  = {};
+    const prev   = await Settings.findOne().lean();
 
     if (thresholds && typeof thresholds === 'object') {
       for (const [key, val] of Object.entries(thresholds)) {
-        if (typeof val.min !== 'number' || typeof val.max !== 'number') {
+        if (!Object.hasOwn(SENSORS, key)) {
+          return res.status(400).json({ error: `Unknown sensor "${key}" — must be one of: ${SENSOR_FIELDS.join(', ')}` });
+        }
+        if (typeof val?.min !== 'number' || typeof val.max !== 'number') {
           return res.status(400).json({ error: `Invalid threshold values for "${key}"` });
         }
         if (val.min > val.max) {
@@ -414,6 +699,49 @@ router.put('/settings', requireRole('admin', 'operator'), async (req, res) => {
         if (val.severity === 'warning' || val.severity === 'critical') {
           update[`thresholds.${key}.severity`] = val.severity;
         }
+        // A stored critical band must still enclose the new min/max.
+        const band = val.critical === undefined ? prev?.thresholds?.[key]?.critical : val.critical;
+        if (val.critical === null) {
+          unset[`thresholds.${key}.critical`] = 1;
+        } else if (band) {
+          if (typeof band.min !== 'number' || typeof band.max !== 'number' || band.min > val.min || band.max < val.max) {
+            return res.status(400).json({ error: `critical band for "${key}" must be { min, max } enclosing ${val.min} – ${val.max}` });
+          }
+          if (val.severity === 'critical') {
+            return res.status(400).json({ error: `severity for "${key}" must be 'warning' when a critical band is set` });
+          }
+          update[`thresholds.${key}.critical`] = { min: band.min, max: band.max };
+          update[`thresholds.${key}.severity`] = 'warning';
+        } else if (val.critical !== undefined) {
+          return res.status(400).json({ error: `critical band for "${key}" must be { min, max } or null` });
+        }
+        if (val.deadband !== undefined) {
+          if (typeof val.deadband !== 'number' || val.deadband < 0 || val.deadband * 2 >= val.max - val.min) {
+            return res.status(400).json({ error: `deadband for "${key}" must be ≥ 0 and less than half of max − min` });
+          }
+          update[`thresholds.${key}.deadband`] = val.deadband;
+        }
+        if (val.minDurationSeconds !== undefined) {
+          if (!Number.isInteger(val.minDurationSeconds) || val.minDurationSeconds < 0 || val.minDurationSeconds > MAX_DEBOUNCE_SECONDS) {
+            return res.status(400).json({ error: `minDurationSeconds for "${key}" must be an integer between 0 and ${MAX_DEBOUNCE_SECONDS}` });
+          }
+          update[`thresholds.${key}.minDurationSeconds`] = val.minDurationSeconds;
+        }
+        if (val.minPackets !== undefined) {
+          if (!Number.isInteger(val.minPackets) || val.minPackets < 1 || val.minPackets > MAX_DEBOUNCE_PACKETS) {
+            return res.status(400).json({ error: `minPackets for "${key}" must be an integer between 1 and ${MAX_DEBOUNCE_PACKETS}` });
+          }
+          update[`thresholds.${key}.minPackets`] = val.minPackets;
+        }
+        for (const [field, { max, integer }] of Object.entries(FAULT_RULE_LIMITS)) {
+          const v = val[field];
+          if (v === undefined) continue;
+          if (typeof v !== 'number' || !Number.isFinite(v) || v < 0 || v > max || (integer && !Number.isInteger(v))) {
+            const kind = integer ? 'an integer' : 'a number';
+            return res.status(400).json({ error: `${field} for "${key}" must be ${kind} ≥ 0${max === Infinity ? '' : ` and ≤ ${max}`}` });
+          }
+          update[`thresholds.${key}.${field}`] = v;
+        }
       }
     }
 
@@ -421,13 +749,31 @@ router.put('/settings', requireRole('admin', 'operator'), async (req, res) => {
       update.alertsEnabled = alertsEnabled;
     }
 
+    if (compliance !== undefined) {
+      if (!compliance || typeof compliance !== 'object') {
+        return res.status(400).json({ error: 'compliance must be { minPassRate?, minCoverage? }' });
+      }
+      for (const field of ['minPassRate', 'minCoverage']) {
+        const v = compliance[field];
+        if (v === undefined) continue;
+        if (typeof v !== 'number' || !Number.isFinite(v) || v < 0 || v > 100) {
+          return res.status(400).json({ error: `compliance.${field} must be a percentage between 0 and 100` });
+        }
+        update[`compliance.${field}`] = v;
+      }
+    }
+
     const doc = await Settings.findOneAndUpdate(
       {},
-      { $set: update },
+      { $set: update, $unset: unset },
       { new: true, upsert: true }
     ).lean();
 
     invalidateCache();
+    recordAudit(req, {
+      action: 'settings.update', targetType: 'settings',
+      before: prev && settingsSnapshot(prev), after: settingsSnapshot(doc),
+    });
     req.app.get('io').emit('settings_updated', formatSettings(doc));
     publishThresholdConfig(req.app, doc.thresholds).catch(err =>
       console.error('[settings] Failed to push thresholds to ESP32:', err.message)
@@ -444,13 +790,18 @@ router.put('/settings', requireRole('admin', 'operator'), async (req, res) => {
  */
 router.post('/settings/reset', requireRole('admin'), async (req, res) => {
   try {
+    const prev = await Settings.findOne().lean();
     const doc = await Settings.findOneAndUpdate(
       {},
-      { $set: { thresholds: DEFAULTS.thresholds, alertsEnabled: DEFAULTS.alertsEnabled } },
+      { $set: { thresholds: DEFAULTS.thresholds, alertsEnabled: DEFAULTS.alertsEnabled, compliance: DEFAULTS.compliance } },
       { new: true, upsert: true }
     ).lean();
 
     invalidateCache();
+    recordAudit(req, {
+      action: 'settings.reset', targetType: 'settings',
+      before: prev && settingsSnapshot(prev), after: settingsSnapshot(doc),
+    });
     req.app.get('io').emit('settings_updated', formatSettings(doc));
     publishThresholdConfig(req.app, doc.thresholds).catch(err =>
       console.error('[settings] Failed to push thresholds to ESP32:', err.message)
@@ -473,6 +824,8 @@ function formatReading(doc) {
   return {
     timestamp:        doc.timestamp.toISOString(),
     time:             new Date(doc.timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }),
+    deviceId:         doc.metadata?.device_id,
+    location:         doc.metadata?.location,
     ph:               doc.readings.ph,
     flowRate:         doc.readings.flow_rate,
     tds:              doc.readings.tds,
@@ -484,6 +837,7 @@ function formatReading(doc) {
     power:            doc.readings.power,
     valveStatus:      doc.valve_status,
     validationStatus: doc.validation?.status,
+    eorRuleSet:       doc.validation?.rule_set?.name ? { ...doc.validation.rule_set } : null,
   };
 }
 
@@ -492,12 +846,18 @@ function formatReading(doc) {
  */
 function formatSettings(doc) {
   return {
-    thresholds:    doc.thresholds,
+    thresholds:    withDefaultThresholds(doc).thresholds,
     alertsEnabled: doc.alertsEnabled,
+    compliance:    { ...DEFAULTS.compliance, ...doc.compliance },
     updatedAt:     doc.updatedAt ?? null,
   };
 }
 
+/** The audited part of a settings document. */
+function settingsSnapshot(doc) {
+  return { thresholds: doc.thresholds, alertsEnabled: doc.alertsEnabled, compliance: doc.compliance };
+}
+
 // ─── MQTT config helper ───────────────────────────────────────────────────────
 
 const TOPIC_CONFIG = 'mfc/system/_01/config';
@@ -519,14 +879,10 @@ async function publishThresholdConfig(app, thresholds) {
     return;
   }
 
-  const payload = JSON.stringify({
-    ph:          { min: thresholds.ph.min,          max: thresholds.ph.max          },
-    tds:         { min: thresholds.tds.min,         max: thresholds.tds.max         },
-    temperature: { min: thresholds.temperature.min, max: thresholds.temperature.max },
-    flow_rate:   { min: thresholds.flow_rate.min,   max: thresholds.flow_rate.max   },
-    voltage:     { min: thresholds.voltage.min,     max: thresholds.voltage.max     },
-    current:     { min: thresholds.current.min,     max: thresholds.current.max     },
-  });
+  const payload = JSON.stringify(Object.fromEntries(SENSOR_FIELDS.map(sensor => {
+    const { min, max } = thresholds[sensor] ?? DEFAULTS.thresholds[sensor];
+    return [sensor, { min, max }];
+  })));
 
   await mqttClient.publishAsync(TOPIC_CONFIG, payload, { qos: 1, retain: true });
   console.log('[settings] ⚙️  Thresholds published to ESP32');
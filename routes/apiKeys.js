@@ -0,0 +1,128 @@
+'use strict';
+
+const express = require('express');
+const router  = express.Router();
+const ApiKey  = require('../models/ApiKey');
+const Device  = require('../models/Device');
+const { generateKey } = require('../services/keyService');
+const { recordAudit } = require('../services/auditService');
+
+// All routes in this file already have requireAuth applied in server.js.
+// Managing keys is admin-only — API keys themselves can never reach these routes.
+const { requireRole } = require('../middleware/auth');
+
+const API_KEY_PREFIX = 'mfck_';
+
+/**
+ * Validates a `scopes` / `deviceId` pair from a request body.
+ * Returns an error message, or null when valid.
+ */
+async function validateScopes(scopes, deviceId) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return `scopes must be a non-empty array of: ${ApiKey.API_KEY_SCOPES.join(', ')}`;
+  }
+  const invalid = scopes.filter(s => !ApiKey.API_KEY_SCOPES.includes(s));
+  if (invalid.length) {
+    return `Invalid scope(s): ${invalid.join(', ')}. Allowed: ${ApiKey.API_KEY_SCOPES.join(', ')}`;
+  }
+  if (scopes.includes('ingest')) {
+    if (!deviceId) return 'deviceId is required for the "ingest" scope';
+    const device = await Device.exists({ device_id: deviceId });
+    if (!device) return `Device "${deviceId}" is not registered`;
+  }
+  return null;
+}
+
+// GET /api/api-keys — includes revoked keys so their history stays visible
+router.get('/', requireRole('admin'), async (_req, res) => {
+  try {
+    const keys = await ApiKey.find().sort({ createdAt: -1 }).lean();
+    res.json(keys.map(ApiKey.formatForApi));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/api-keys — mints a key; the plaintext is returned exactly once
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, scopes, deviceId, expiresAt } = req.body;
+    if (!name) return res.status(400).json({ error: 'name is required' });
+
+    const scopeError = await validateScopes(scopes, deviceId);
+    if (scopeError) return res.status(400).json({ error: scopeError });
+
+    let expires;
+    if (expiresAt) {
+      expires = new Date(expiresAt);
+      if (isNaN(expires.getTime()) || expires <= new Date()) {
+        return res.status(400).json({ error: 'expiresAt must be a future ISO date' });
+      }
+    }
+
+    const { key, hash, prefix } = generateKey(API_KEY_PREFIX);
+    const doc = await ApiKey.create({
+      name,
+      key_hash:  hash,
+      prefix,
+      scopes:    [...new Set(scopes)],
+      device_id: scopes.includes('ingest') ? deviceId : undefined,
+      createdBy: req.user._id,
+      expiresAt: expires,
+    });
+
+    console.log(`[apiKeys] 🔑 Key "${name}" (${prefix}…) minted by user ${req.user._id}`);
+    recordAudit(req, { action: 'api_key.create', targetType: 'api_key', targetId: doc._id, after: ApiKey.formatForApi(doc) });
+    res.status(201).json({ ...ApiKey.formatForApi(doc), key });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH /api/api-keys/:id — rename or re-scope an active key
+router.patch('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, scopes, deviceId } = req.body;
+    const doc = await ApiKey.findOne({ _id: req.params.id, revokedAt: { $exists: false } });
+    if (!doc) return res.status(404).json({ error: 'Active API key not found' });
+    const before = ApiKey.formatForApi(doc);
+
+    if (scopes !== undefined) {
+      const targetDevice = deviceId ?? doc.device_id;
+      const scopeError = await validateScopes(scopes, targetDevice);
+      if (scopeError) return res.status(400).json({ error: scopeError });
+      doc.scopes    = [...new Set(scopes)];
+      doc.device_id = scopes.includes('ingest') ? targetDevice : undefined;
+    }
+    if (name) doc.name = name;
+
+    await doc.save();
+    recordAudit(req, { action: 'api_key.update', targetType: 'api_key', targetId: doc._id, before, after: ApiKey.formatForApi(doc) });
+    res.json(ApiKey.formatForApi(doc));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/api-keys/:id — revokes the key (kept for the record, never reusable)
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const doc = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, revokedAt: { $exists: false } },
+      { revokedAt: new Date() },
+      { new: true }
+    ).lean();
+    if (!doc) return res.status(404).json({ error: 'Active API key not found' });
+
+    console.log(`[apiKeys] 🔒 Key "${doc.name}" (${doc.prefix}…) revoked by user ${req.user._id}`);
+    recordAudit(req, {
+      action: 'api_key.revoke', targetType: 'api_key', targetId: doc._id,
+      before: { revokedAt: null }, after: { revokedAt: doc.revokedAt },
+    });
+    res.json(ApiKey.formatForApi(doc));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
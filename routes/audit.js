@@ -0,0 +1,120 @@
+'use strict';
+
+const express  = require('express');
+const mongoose = require('mongoose');
+const router   = express.Router();
+const AuditLog = require('../models/AuditLog');
+const { formatAuditEntry, AUDIT_ACTIONS } = require('../services/auditService');
+const { buildCsv, AUDIT_COLUMNS } = require('../services/csvFormatter');
+
+// All routes in this file already have requireAuth applied in server.js.
+// The audit log is admin-only.
+const { requireRole } = require('../middleware/auth');
+
+const VALID_ACTIONS = new Set(AUDIT_ACTIONS);
+
+// Upper bound on rows in one CSV export, matching /api/export/readings.
+const MAX_EXPORT_ROWS = 10_000;
+
+/**
+ * Builds an AuditLog filter from query params shared by the list and export.
+ *
+ *   actor      – user or API key id
+ *   actorType  – 'user' | 'api_key'
+ *   action     – comma-separated actions, e.g. settings.update,pump.command
+ *   targetType – e.g. settings | alert | user | pump
+ *   targetId   – target identifier (alert id, user id, pump id, …)
+ *   from / to  – ISO date strings bounding the timestamp
+ */
+function buildAuditFilter(q) {
+  const query = {};
+
+  if (typeof q.actor === 'string' && mongoose.isValidObjectId(q.actor)) query.actor_id = q.actor;
+  if (q.actorType === 'user' || q.actorType === 'api_key') query.actor_type = q.actorType;
+
+  if (typeof q.action === 'string') {
+    const vals = q.action.split(',').map(s => s.trim()).filter(s => VALID_ACTIONS.has(s));
+    if (vals.length === 1) query.action = vals[0];
+    else if (vals.length > 1) query.action = { $in: vals };
+  }
+
+  if (typeof q.targetType === 'string') query.target_type = q.targetType;
+  if (typeof q.targetId === 'string')   query.target_id   = q.targetId;
+
+  if (q.from || q.to) {
+    query.timestamp = {};
+    if (q.from) {
+      const d = new Date(q.from);
+      if (!isNaN(d.getTime())) query.timestamp.$gte = d;
+    }
+    if (q.to) {
+      const d = new Date(q.to);
+      if (!isNaN(d.getTime())) query.timestamp.$lte = d;
+    }
+  }
+
+  return query;
+}
+
+/**
+ * GET /api/audit
+ * Returns audit entries newest-first with pagination.
+ *
+ * Query params: see buildAuditFilter, plus
+ *   page  – 1-based page number (default: 1)
+ *   limit – results per page, max 100 (default: 20)
+ *
+ * Response: { data: AuditEntry[], pagination: { total, page, pages, limit } }
+ */
+router.get('/', requireRole('admin'), async (req, res) => {
+  try {
+    const page  = Math.max(1, parseInt(req.query.page)  || 1);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 100);
+    const skip  = (page - 1) * limit;
+
+    const query = buildAuditFilter(req.query);
+
+    const [docs, total] = await Promise.all([
+      AuditLog.find(query).sort({ timestamp: -1 }).skip(skip).limit(limit).lean(),
+      AuditLog.countDocuments(query),
+    ]);
+
+    res.json({
+      data:       docs.map(formatAuditEntry),
+      pagination: { total, page, pages: Math.ceil(total / limit) || 1, limit },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/audit/export
+ * Same filters as GET /api/audit, downloaded as CSV (oldest-first).
+ *
+ * Errors:
+ *   400 – result set exceeds MAX_EXPORT_ROWS (10,000 rows)
+ */
+router.get('/export', requireRole('admin'), async (req, res) => {
+  try {
+    const query = buildAuditFilter(req.query);
+
+    const count = await AuditLog.countDocuments(query);
+    if (count > MAX_EXPORT_ROWS) {
+      return res.status(400).json({
+        error: `The selected filters match ${count.toLocaleString()} entries, which exceeds the ${MAX_EXPORT_ROWS.toLocaleString()}-row export limit. Please narrow the date range.`,
+      });
+    }
+
+    const docs = await AuditLog.find(query).sort({ timestamp: 1 }).lean();
+    const filename = `mfc-audit-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buildCsv(docs, AUDIT_COLUMNS));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
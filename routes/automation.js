@@ -0,0 +1,215 @@
+'use strict';
+
+const express  = require('express');
+const mongoose = require('mongoose');
+const router   = express.Router();
+const AutomationRule      = require('../models/AutomationRule');
+const AutomationExecution = require('../models/AutomationExecution');
+const { getActuator } = require('../services/actuatorService');
+const { invalidateCache, getRuleState, formatExecution } = require('../services/automationService');
+const { validateAutomationRule } = require('../validations/automationRuleValidator');
+const { deviceIdFilter } = require('../services/deviceService');
+const { recordAudit } = require('../services/auditService');
+
+// All routes in this file already have requireAuth applied in server.js.
+// Reads are open to every role; operators and admins manage rules.
+const { requireRole } = require('../middleware/auth');
+
+const VALID_STATUSES = new Set(['executed', 'dry_run', 'skipped', 'blocked', 'failed']);
+
+/**
+ * Merges a request body (camelCase) over an existing rule (snake_case)
+ * into the shape validateAutomationRule expects.
+ */
+function mergeRule(body, existing) {
+  const cond = existing?.condition ?? {};
+  const act  = existing?.action ?? {};
+  const pick = (value, fallback) => (value !== undefined ? value : fallback);
+  return {
+    name:     pick(body.name, existing?.name),
+    enabled:  pick(body.enabled, existing?.enabled),
+    dryRun:   pick(body.dryRun, existing?.dry_run),
+    deviceId: pick(body.deviceId, existing?.device_id),
+    condition: body.condition === undefined && !existing ? undefined : {
+      sensor:          pick(body.condition?.sensor,          cond.sensor),
+      operator:        pick(body.condition?.operator,        cond.operator),
+      value:           pick(body.condition?.value,           cond.value),
+      durationSeconds: pick(body.condition?.durationSeconds, cond.duration_seconds),
+      hysteresis:      pick(body.condition?.hysteresis,      cond.hysteresis),
+    },
+    action: body.action === undefined && !existing ? undefined : {
+      pump:    pick(body.action?.pump,    act.pump),
+      command: pick(body.action?.command, act.command),
+    },
+  };
+}
+
+/** Converts a validated rule into AutomationRule fields. */
+function toDocument(r) {
+  return {
+    name:      r.name,
+    enabled:   r.enabled !== false,
+    dry_run:   r.dryRun === true,
+    device_id: r.deviceId || undefined,
+    condition: {
+      sensor:           r.condition.sensor,
+      operator:         r.condition.operator,
+      value:            r.condition.value,
+      duration_seconds: r.condition.durationSeconds ?? 0,
+      hysteresis:       r.condition.hysteresis ?? 0,
+    },
+    action: { pump: r.action.pump, command: r.action.command },
+  };
+}
+
+function formatRule(doc) {
+  return { ...AutomationRule.formatForApi(doc), state: getRuleState(String(doc._id)) };
+}
+
+// ─── Rules ────────────────────────────────────────────────────────────────────
+
+// GET /api/automation/rules — includes each rule's live state per device
+router.get('/rules', async (_req, res) => {
+  try {
+    const rules = await AutomationRule.find().sort({ createdAt: 1 }).lean();
+    res.json(rules.map(formatRule));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/automation/rules/:id
+router.get('/rules/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Rule not found' });
+    const rule = await AutomationRule.findById(req.params.id).lean();
+    if (!rule) return res.status(404).json({ error: 'Rule not found' });
+    res.json(formatRule(rule));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/automation/rules
+// Body: { name, condition: { sensor, operator, value, durationSeconds?, hysteresis? },
+//         action: { pump, command }, deviceId?, dryRun?, enabled? }
+router.post('/rules', requireRole('admin', 'operator'), async (req, res) => {
+  try {
+    const r = mergeRule(req.body);
+    const { valid, reason } = validateAutomationRule(r, getActuator(r.action?.pump));
+    if (!valid) return res.status(400).json({ error: reason });
+
+    const rule = await AutomationRule.create({ ...toDocument(r), createdBy: req.user._id });
+    invalidateCache();
+    recordAudit(req, { action: 'automation_rule.create', targetType: 'automation_rule', targetId: rule._id, after: AutomationRule.formatForApi(rule) });
+    res.status(201).json(formatRule(rule));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/automation/rules/:id — any subset of the POST fields; resets the rule's state
+router.put('/rules/:id', requireRole('admin', 'operator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Rule not found' });
+    const existing = await AutomationRule.findById(req.params.id).lean();
+    if (!existing) return res.status(404).json({ error: 'Rule not found' });
+
+    const r = mergeRule(req.body, existing);
+    const { valid, reason } = validateAutomationRule(r, getActuator(r.action.pump));
+    if (!valid) return res.status(400).json({ error: reason });
+
+    const doc = toDocument(r);
+    const update = { $set: doc };
+    if (!doc.device_id) {
+      delete doc.device_id;
+      update.$unset = { device_id: 1 };
+    }
+    const rule = await AutomationRule.findByIdAndUpdate(existing._id, update, { new: true }).lean();
+    invalidateCache(String(rule._id));
+    recordAudit(req, {
+      action: 'automation_rule.update', targetType: 'automation_rule', targetId: rule._id,
+      before: AutomationRule.formatForApi(existing), after: AutomationRule.formatForApi(rule),
+    });
+    res.json(formatRule(rule));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/automation/rules/:id — execution history is kept
+router.delete('/rules/:id', requireRole('admin', 'operator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Rule not found' });
+    const rule = await AutomationRule.findByIdAndDelete(req.params.id).lean();
+    if (!rule) return res.status(404).json({ error: 'Rule not found' });
+    invalidateCache(String(rule._id));
+    recordAudit(req, { action: 'automation_rule.delete', targetType: 'automation_rule', targetId: rule._id, before: AutomationRule.formatForApi(rule) });
+    res.json({ message: 'Rule deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Execution history ────────────────────────────────────────────────────────
+
+/**
+ * GET /api/automation/executions
+ * Returns rule executions newest-first with pagination.
+ *
+ * Query params:
+ *   rule     – rule id
+ *   status   – comma-separated: executed | dry_run | skipped | blocked | failed (default: all)
+ *   device   – comma-separated device_ids (default: all devices)
+ *   location – comma-separated locations (default: all locations)
+ *   from/to  – ISO date strings
+ *   page     – 1-based page number (default: 1)
+ *   limit    – results per page, max 100 (default: 20)
+ *
+ * Response: { data: Execution[], pagination: { total, page, pages, limit } }
+ */
+router.get('/executions', async (req, res) => {
+  try {
+    const page  = Math.max(1, parseInt(req.query.page)  || 1);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 100);
+    const skip  = (page - 1) * limit;
+
+    const query = await deviceIdFilter(req.query);
+
+    if (typeof req.query.rule === 'string' && mongoose.isValidObjectId(req.query.rule)) {
+      query.rule_id = req.query.rule;
+    }
+
+    if (typeof req.query.status === 'string') {
+      const vals = req.query.status.split(',').map(s => s.trim()).filter(s => VALID_STATUSES.has(s));
+      if (vals.length === 1) query.status = vals[0];
+      else if (vals.length > 1) query.status = { $in: vals };
+    }
+
+    if (req.query.from || req.query.to) {
+      query.timestamp = {};
+      if (req.query.from) {
+        const d = new Date(req.query.from);
+        if (!isNaN(d.getTime())) query.timestamp.$gte = d;
+      }
+      if (req.query.to) {
+        const d = new Date(req.query.to);
+        if (!isNaN(d.getTime())) query.timestamp.$lte = d;
+      }
+    }
+
+    const [docs, total] = await Promise.all([
+      AutomationExecution.find(query).sort({ timestamp: -1 }).skip(skip).limit(limit).lean(),
+      AutomationExecution.countDocuments(query),
+    ]);
+
+    res.json({
+      data:       docs.map(formatExecution),
+      pagination: { total, page, pages: Math.ceil(total / limit) || 1, limit },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+'use strict';
+
+const express = require('express');
+const router  = express.Router();
+const { getDailyCompliance, dayKey, addDays, SAMPLE_INTERVAL_SECONDS } = require('../services/complianceService');
+const { deviceIdFilter } = require('../services/deviceService');
+
+// All routes in this file already have requireAuth applied in server.js.
+// Compliance reports are read-only and open to every role.
+
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS     = 366;
+
+/** True for a real calendar date written as YYYY-MM-DD. */
+function isDay(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !isNaN(Date.parse(value)) && dayKey(new Date(value)) === value;
+}
+
+/**
+ * GET /api/compliance/daily
+ * One EOR compliance record per UTC calendar day and device. Days the nightly
+ * rollup has persisted are returned as stored; every other day (today so far,
+ * days it has not reached, days before its first run) is computed on request
+ * and marked `provisional`.
+ *
+ * Query params:
+ *   from     – first day, YYYY-MM-DD (default: 6 days before `to`)
+ *   to       – last day, YYYY-MM-DD, inclusive (default: today)
+ *   device   – comma-separated device_ids (default: all devices)
+ *   location – comma-separated locations (default: all locations)
+ *
+ * Response: { from, to, sampleIntervalSeconds,
+ *             records: [{ day, deviceId, readingCount, passCount, passRate, failingParameters: [{ parameter, count }],
+ *                         coverage, ruleSets: [{ name, version }], verdict: 'PASS'|'FAIL', reasons,
+ *                         rules: { minPassRate, minCoverage },
+ *                         computedAt, provisional }] }
+ */
+router.get('/daily', async (req, res) => {
+  try {
+    const to   = req.query.to ?? dayKey(new Date());
+    const from = req.query.from ?? (isDay(to) ? addDays(to, 1 - DEFAULT_RANGE_DAYS) : undefined);
+    if (!isDay(from) || !isDay(to)) {
+      return res.status(400).json({ error: 'from and to must be dates formatted as YYYY-MM-DD' });
+    }
+    if (from > to) return res.status(400).json({ error: 'from must not be after to' });
+    if (addDays(from, MAX_RANGE_DAYS) <= to) {
+      return res.status(400).json({ error: `Range must not exceed ${MAX_RANGE_DAYS} days` });
+    }
+
+    const records = await getDailyCompliance(from, to, await deviceIdFilter(req.query));
+    res.json({ from, to, sampleIntervalSeconds: SAMPLE_INTERVAL_SECONDS, records });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,146 @@
+'use strict';
+
+const express  = require('express');
+const mongoose = require('mongoose');
+const router   = express.Router();
+const ComplianceRuleSet = require('../models/ComplianceRuleSet');
+const { validateComplianceRuleSet } = require('../validations/complianceRuleSetValidator');
+const { activateRuleSet, findActiveRuleSet } = require('../services/complianceRuleService');
+const { recordAudit } = require('../services/auditService');
+
+// All routes in this file already have requireAuth applied in server.js.
+// Reads are open to every role; only admins manage compliance rules.
+const { requireRole } = require('../middleware/auth');
+
+/** Converts validated rules into RuleSchema entries (null limits are dropped). */
+function toRules(rules) {
+  return rules.map(r => ({ sensor: r.sensor, min: r.min ?? undefined, max: r.max ?? undefined }));
+}
+
+/** Sends 409 for a duplicate name/version, else 500. */
+function sendWriteError(res, err) {
+  if (err.code === 11000) return res.status(409).json({ error: 'Rule set was changed concurrently — reload and retry' });
+  res.status(500).json({ error: err.message });
+}
+
+// GET /api/compliance/rule-sets?name= — every version, newest first
+router.get('/', async (req, res) => {
+  try {
+    const query = typeof req.query.name === 'string' ? { name: req.query.name } : {};
+    const ruleSets = await ComplianceRuleSet.find(query).sort({ name: 1, version: -1 }).lean();
+    res.json(ruleSets.map(ComplianceRuleSet.formatForApi));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/compliance/rule-sets/active — the version new readings are checked against
+router.get('/active', async (_req, res) => {
+  try {
+    const ruleSet = await findActiveRuleSet();
+    if (!ruleSet) return res.status(404).json({ error: 'No active rule set' });
+    res.json(ComplianceRuleSet.formatForApi(ruleSet));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/compliance/rule-sets/:id
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Rule set not found' });
+    const ruleSet = await ComplianceRuleSet.findById(req.params.id).lean();
+    if (!ruleSet) return res.status(404).json({ error: 'Rule set not found' });
+    res.json(ComplianceRuleSet.formatForApi(ruleSet));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/compliance/rule-sets — creates version 1 of a new rule set
+// Body: { name, description?, rules: [{ sensor, min?, max? }], activate? }
+// e.g. { name: 'Saudi EOR 2024', rules: [{ sensor: 'ph', min: 6.5, max: 8.5 }, { sensor: 'tds', max: 5000 }] }
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, description, rules, activate } = req.body;
+    const { valid, reason } = validateComplianceRuleSet({ name, description, rules });
+    if (!valid) return res.status(400).json({ error: reason });
+    if (await ComplianceRuleSet.exists({ name: name.trim() })) {
+      return res.status(409).json({ error: `A rule set named "${name.trim()}" already exists — edit it to add a version` });
+    }
+
+    let ruleSet = await ComplianceRuleSet.create({
+      name: name.trim(), version: 1, description: description || undefined, rules: toRules(rules), createdBy: req.user._id,
+    });
+    if (activate === true) ruleSet = await activateRuleSet(ruleSet._id);
+    recordAudit(req, {
+      action: 'compliance_rule_set.create', targetType: 'compliance_rule_set', targetId: ruleSet._id,
+      after: ComplianceRuleSet.formatForApi(ruleSet),
+    });
+    res.status(201).json(ComplianceRuleSet.formatForApi(ruleSet));
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+});
+
+// PUT /api/compliance/rule-sets/:id — { description?, rules? }
+// Adds the next version of the rule set, based on this version. If any version
+// of the rule set is active, the new version replaces it.
+router.put('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Rule set not found' });
+    const existing = await ComplianceRuleSet.findById(req.params.id).lean();
+    if (!existing) return res.status(404).json({ error: 'Rule set not found' });
+    if (req.body.name !== undefined && req.body.name !== existing.name) {
+      return res.status(400).json({ error: 'name cannot be changed — create a new rule set instead' });
+    }
+
+    const description = req.body.description !== undefined ? req.body.description : existing.description;
+    const rules       = req.body.rules !== undefined ? req.body.rules : existing.rules;
+    const { valid, reason } = validateComplianceRuleSet({ name: existing.name, description, rules });
+    if (!valid) return res.status(400).json({ error: reason });
+
+    const [latest, active] = await Promise.all([
+      ComplianceRuleSet.findOne({ name: existing.name }).sort({ version: -1 }).lean(),
+      ComplianceRuleSet.exists({ name: existing.name, active: true }),
+    ]);
+    let ruleSet = await ComplianceRuleSet.create({
+      name:        existing.name,
+      version:     latest.version + 1,
+      description: description || undefined,
+      rules:       toRules(rules),
+      createdBy:   req.user._id,
+    });
+    if (active) ruleSet = await activateRuleSet(ruleSet._id);
+    recordAudit(req, {
+      action: 'compliance_rule_set.update', targetType: 'compliance_rule_set', targetId: ruleSet._id,
+      before: ComplianceRuleSet.formatForApi(existing), after: ComplianceRuleSet.formatForApi(ruleSet),
+    });
+    res.status(201).json(ComplianceRuleSet.formatForApi(ruleSet));
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+});
+
+// POST /api/compliance/rule-sets/:id/activate — readings from now on are checked against this version
+router.post('/:id/activate', requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Rule set not found' });
+    const [target, previous] = await Promise.all([
+      ComplianceRuleSet.findById(req.params.id).lean(),
+      findActiveRuleSet(),
+    ]);
+    if (!target) return res.status(404).json({ error: 'Rule set not found' });
+
+    const ruleSet = await activateRuleSet(target._id);
+    recordAudit(req, {
+      action: 'compliance_rule_set.activate', targetType: 'compliance_rule_set', targetId: ruleSet._id,
+      before: previous && ComplianceRuleSet.formatForApi(previous), after: ComplianceRuleSet.formatForApi(ruleSet),
+    });
+    res.json(ComplianceRuleSet.formatForApi(ruleSet));
+  } catch (err) {
+    sendWriteError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,102 @@
+'use strict';
+
+const express = require('express');
+const router  = express.Router();
+const Device  = require('../models/Device');
+const { invalidateCache } = require('../services/deviceService');
+const { recordAudit } = require('../services/auditService');
+
+// All routes in this file already have requireAuth applied in server.js.
+// Reads are open to every role; changes to the registry are admin-only.
+const { requireRole } = require('../middleware/auth');
+
+const DEVICE_ID_RE = /^[A-Za-z0-9_-]+$/;
+
+// GET /api/devices
+router.get('/', async (_req, res) => {
+  try {
+    const devices = await Device.find().sort({ device_id: 1 }).lean();
+    res.json(devices.map(Device.formatForApi));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/devices/:deviceId
+router.get('/:deviceId', async (req, res) => {
+  try {
+    const device = await Device.findOne({ device_id: req.params.deviceId }).lean();
+    if (!device) return res.status(404).json({ error: 'Device not found' });
+    res.json(Device.formatForApi(device));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/devices
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const { deviceId, name, location, description, enabled } = req.body;
+    if (!deviceId || !name || !location) {
+      return res.status(400).json({ error: 'deviceId, name, and location are required' });
+    }
+    if (!DEVICE_ID_RE.test(deviceId)) {
+      return res.status(400).json({ error: 'deviceId may only contain letters, digits, "_" and "-"' });
+    }
+    const existing = await Device.findOne({ device_id: deviceId });
+    if (existing) return res.status(409).json({ error: 'Device ID already registered' });
+
+    const device = await Device.create({
+      device_id: deviceId,
+      name,
+      location,
+      description,
+      ...(typeof enabled === 'boolean' && { enabled }),
+    });
+    invalidateCache();
+    recordAudit(req, { action: 'device.create', targetType: 'device', targetId: deviceId, after: Device.formatForApi(device) });
+    res.status(201).json(Device.formatForApi(device));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/devices/:deviceId — device_id itself is immutable (it's baked into firmware topics)
+router.put('/:deviceId', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, location, description, enabled } = req.body;
+    const device = await Device.findOne({ device_id: req.params.deviceId });
+    if (!device) return res.status(404).json({ error: 'Device not found' });
+    const before = Device.formatForApi(device);
+
+    if (name)                          device.name = name;
+    if (location)                      device.location = location;
+    if (description !== undefined)     device.description = description;
+    if (typeof enabled === 'boolean')  device.enabled = enabled;
+
+    await device.save();
+    invalidateCache();
+    recordAudit(req, {
+      action: 'device.update', targetType: 'device', targetId: device.device_id,
+      before, after: Device.formatForApi(device),
+    });
+    res.json(Device.formatForApi(device));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/devices/:deviceId — historical readings and alerts are kept
+router.delete('/:deviceId', requireRole('admin'), async (req, res) => {
+  try {
+    const device = await Device.findOneAndDelete({ device_id: req.params.deviceId });
+    if (!device) return res.status(404).json({ error: 'Device not found' });
+    invalidateCache();
+    recordAudit(req, { action: 'device.delete', targetType: 'device', targetId: device.device_id, before: Device.formatForApi(device) });
+    res.json({ message: 'Device deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+'use strict';
+
+const express  = require('express');
+const mongoose = require('mongoose');
+const router   = express.Router();
+const EscalationPolicy    = require('../models/EscalationPolicy');
+const NotificationChannel = require('../models/NotificationChannel');
+const User                = require('../models/User');
+const { validateEscalationPolicy } = require('../validations/notificationValidator');
+const { invalidateCache } = require('../services/escalationService');
+const { recordAudit } = require('../services/auditService');
+
+// All routes in this file already have requireAuth applied in server.js.
+// Reads are open to every role; only admins manage policies.
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * Merges a request body (camelCase) over an existing policy (snake_case)
+ * into the shape validateEscalationPolicy expects.
+ */
+function mergePolicy(body, existing = {}) {
+  const pick = key => (body[key] !== undefined ? body[key] : existing[key]);
+  return {
+    name:       pick('name'),
+    enabled:    pick('enabled'),
+    severities: pick('severities') ?? [],
+    sensors:    pick('sensors') ?? [],
+    levels:     body.levels !== undefined ? body.levels : existing.levels?.map(l => ({
+      afterMinutes: l.after_minutes,
+      channels:     l.channels.map(String),
+      users:        l.users.map(String),
+      roles:        l.roles,
+    })),
+  };
+}
+
+/** Converts a validated policy into EscalationPolicy fields. */
+function toDocument(p) {
+  return {
+    name:       p.name.trim(),
+    enabled:    p.enabled !== false,
+    severities: [...new Set(p.severities)],
+    sensors:    [...new Set(p.sensors)],
+    levels:     p.levels.map(l => ({
+      after_minutes: l.afterMinutes,
+      channels:      [...new Set(l.channels)],
+      users:         [...new Set(l.users ?? [])],
+      roles:         [...new Set(l.roles ?? [])],
+    })),
+  };
+}
+
+/**
+ * Validates a merged policy, including that the channels and users it names
+ * exist. Returns an error message, or null when valid.
+ */
+async function checkPolicy(p) {
+  const { valid, reason } = validateEscalationPolicy(p);
+  if (!valid) return reason;
+
+  const channelIds = [...new Set(p.levels.flatMap(l => l.channels))];
+  const userIds    = [...new Set(p.levels.flatMap(l => l.users ?? []))];
+  const [channels, users] = await Promise.all([
+    NotificationChannel.countDocuments({ _id: { $in: channelIds } }),
+    User.countDocuments({ _id: { $in: userIds } }),
+  ]);
+  if (channels !== channelIds.length) return 'levels reference an unknown notification channel';
+  if (users !== userIds.length) return 'levels reference an unknown user';
+  return null;
+}
+
+// GET /api/escalation-policies
+router.get('/', async (_req, res) => {
+  try {
+    const policies = await EscalationPolicy.find().sort({ createdAt: 1 }).lean();
+    res.json(policies.map(EscalationPolicy.formatForApi));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/escalation-policies/:id
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Policy not found' });
+    const policy = await EscalationPolicy.findById(req.params.id).lean();
+    if (!policy) return res.status(404).json({ error: 'Policy not found' });
+    res.json(EscalationPolicy.formatForApi(policy));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/escalation-policies
+// Body: { name, severities?, sensors?, enabled?,
+//         levels: [{ afterMinutes, channels: [channelId], users?: [userId], roles?: [role] }] }
+// e.g. level 1 after 10 min to the on-call admin, level 2 after 30 min to everyone.
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const p = mergePolicy(req.body);
+    const error = await checkPolicy(p);
+    if (error) return res.status(400).json({ error });
+
+    const policy = await EscalationPolicy.create({ ...toDocument(p), createdBy: req.user._id });
+    invalidateCache();
+    recordAudit(req, {
+      action: 'escalation_policy.create', targetType: 'escalation_policy', targetId: policy._id,
+      after: EscalationPolicy.formatForApi(policy),
+    });
+    res.status(201).json(EscalationPolicy.formatForApi(policy));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/escalation-policies/:id — any subset of the POST fields (levels are replaced as a whole)
+router.put('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Policy not found' });
+    const existing = await EscalationPolicy.findById(req.params.id).lean();
+    if (!existing) return res.status(404).json({ error: 'Policy not found' });
+
+    const p = mergePolicy(req.body, existing);
+    const error = await checkPolicy(p);
+    if (error) return res.status(400).json({ error });
+
+    const policy = await EscalationPolicy.findByIdAndUpdate(existing._id, { $set: toDocument(p) }, { new: true }).lean();
+    invalidateCache();
+    recordAudit(req, {
+      action: 'escalation_policy.update', targetType: 'escalation_policy', targetId: policy._id,
+      before: EscalationPolicy.formatForApi(existing), after: EscalationPolicy.formatForApi(policy),
+    });
+    res.json(EscalationPolicy.formatForApi(policy));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/escalation-policies/:id — escalation history on alerts is kept
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Policy not found' });
+    const policy = await EscalationPolicy.findByIdAndDelete(req.params.id).lean();
+    if (!policy) return res.status(404).json({ error: 'Policy not found' });
+    invalidateCache();
+    recordAudit(req, {
+      action: 'escalation_policy.delete', targetType: 'escalation_policy', targetId: policy._id,
+      before: EscalationPolicy.formatForApi(policy),
+    });
+    res.json({ message: 'Policy deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
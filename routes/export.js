@@ -3,6 +3,7 @@
 const router        = require('express').Router();
 const SystemLog     = require('../models/SystemLog');
 const { buildCsv }  = require('../services/csvFormatter');
+const { readingsDeviceFilter } = require('../services/deviceService');
 const { requireRole } = require('../middleware/auth');
 
 // ─── Constants ────────────────────────────────────────────────────────────────
@@ -21,9 +22,11 @@ const RANGE_MS = {
 // Accessible by all authenticated roles (admin, operator, viewer).
 //
 // Query params (mirrors /api/analytics):
-//   range  – '24h' | '7d' | '30d'  (default: '24h' when omitted)
-//   from   – ISO date string (must be paired with 'to')
-//   to     – ISO date string (must be paired with 'from')
+//   range    – '24h' | '7d' | '30d'  (default: '24h' when omitted)
+//   from     – ISO date string (must be paired with 'to')
+//   to       – ISO date string (must be paired with 'from')
+//   device   – comma-separated device_ids (default: all devices)
+//   location – comma-separated locations (default: all locations)
 //
 // Responds with:
 //   Content-Type: text/csv; charset=utf-8
@@ -61,13 +64,13 @@ router.get('/readings', requireRole('admin', 'operator', 'viewer'), async (req,
       filenameLabel  = rangeKey;
     }
 
-    const tsFilter = { $gte: since, $lte: until };
+    const filter = { ...readingsDeviceFilter(req.query), timestamp: { $gte: since, $lte: until } };
 
     // ── Guard: reject if result set exceeds the row limit ─────────────────────
     // countDocuments on a time-series collection is cheap — uses metadata.
     // This prevents large in-memory allocations and gives a descriptive error.
 
-    const count = await SystemLog.countDocuments({ timestamp: tsFilter });
+    const count = await SystemLog.countDocuments(filter);
 
     if (count > MAX_ROWS) {
       return res.status(400).json({
@@ -79,14 +82,16 @@ router.get('/readings', requireRole('admin', 'operator', 'viewer'), async (req,
     // Oldest-first matches the natural reading order for a time-series CSV.
 
     const docs = await SystemLog
-      .find({ timestamp: tsFilter })
+      .find(filter)
       .sort({ timestamp: 1 })
       .lean();
 
     // ── Build CSV and stream response ─────────────────────────────────────────
 
     const csv      = buildCsv(docs);
-    const filename = `mfc-readings-${filenameLabel}.csv`;
+    const devices    = [req.query.device ?? []].flat().join(',');
+    const devicePart = devices ? `${devices.replace(/[^A-Za-z0-9_-]+/g, '+')}-` : '';
+    const filename   = `mfc-readings-${devicePart}${filenameLabel}.csv`;
 
     res.setHeader('Content-Type', 'text/csv; charset=utf-8');
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
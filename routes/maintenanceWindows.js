@@ -0,0 +1,152 @@
+'use strict';
+
+const express  = require('express');
+const mongoose = require('mongoose');
+const router   = express.Router();
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+const Device            = require('../models/Device');
+const { validateMaintenanceWindow } = require('../validations/maintenanceValidator');
+const { invalidateCache } = require('../services/maintenanceService');
+const { recordAudit } = require('../services/auditService');
+
+// All routes in this file already have requireAuth applied in server.js.
+// Reads are open to every role; admins and operators plan maintenance.
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * Merges a request body (camelCase) over an existing window (snake_case).
+ */
+function mergeWindow(body, existing = {}) {
+  const pick = (key, field) => (body[key] !== undefined ? body[key] : existing[field]);
+  return {
+    name:     pick('name', 'name'),
+    deviceId: pick('deviceId', 'device_id'),
+    sensors:  pick('sensors', 'sensors') ?? [],
+    startsAt: pick('startsAt', 'starts_at'),
+    endsAt:   pick('endsAt', 'ends_at'),
+    reason:   pick('reason', 'reason'),
+  };
+}
+
+/** Converts a validated window into MaintenanceWindow fields. */
+function toDocument(w) {
+  return {
+    name:      w.name.trim(),
+    device_id: w.deviceId || undefined,
+    sensors:   [...new Set(w.sensors)],
+    starts_at: new Date(w.startsAt),
+    ends_at:   new Date(w.endsAt),
+    reason:    w.reason || undefined,
+  };
+}
+
+/**
+ * Validates a merged window, including that its device exists.
+ * Returns an error message, or null when valid.
+ */
+async function checkWindow(w) {
+  const { valid, reason } = validateMaintenanceWindow(w);
+  if (!valid) return reason;
+  if (w.deviceId && !(await Device.exists({ device_id: w.deviceId }))) return `Unknown device "${w.deviceId}"`;
+  return null;
+}
+
+// GET /api/maintenance-windows?status=active|upcoming|ended
+router.get('/', async (req, res) => {
+  try {
+    const now = new Date();
+    const query = {};
+    if (req.query.status === 'active')   Object.assign(query, { starts_at: { $lte: now }, ends_at: { $gt: now } });
+    if (req.query.status === 'upcoming') query.starts_at = { $gt: now };
+    if (req.query.status === 'ended')    query.ends_at = { $lte: now };
+
+    const windows = await MaintenanceWindow.find(query).sort({ starts_at: -1 }).lean();
+    res.json(windows.map(MaintenanceWindow.formatForApi));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/maintenance-windows/:id
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Window not found' });
+    const window = await MaintenanceWindow.findById(req.params.id).lean();
+    if (!window) return res.status(404).json({ error: 'Window not found' });
+    res.json(MaintenanceWindow.formatForApi(window));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/maintenance-windows
+// Body: { name, startsAt, endsAt, deviceId?, sensors?, reason? }
+// e.g. { name: 'Membrane cleaning', deviceId: 'MFC_01', sensors: ['ph', 'flow_rate'], … }
+router.post('/', requireRole('admin', 'operator'), async (req, res) => {
+  try {
+    const w = mergeWindow(req.body);
+    const error = await checkWindow(w);
+    if (error) return res.status(400).json({ error });
+
+    const window = await MaintenanceWindow.create({ ...toDocument(w), createdBy: req.user._id });
+    invalidateCache();
+    recordAudit(req, {
+      action: 'maintenance_window.create', targetType: 'maintenance_window', targetId: window._id,
+      after: MaintenanceWindow.formatForApi(window),
+    });
+    res.status(201).json(MaintenanceWindow.formatForApi(window));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/maintenance-windows/:id — any subset of the POST fields
+// (set endsAt to now to end a window early)
+router.put('/:id', requireRole('admin', 'operator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Window not found' });
+    const existing = await MaintenanceWindow.findById(req.params.id).lean();
+    if (!existing) return res.status(404).json({ error: 'Window not found' });
+
+    const w = mergeWindow(req.body, existing);
+    const error = await checkWindow(w);
+    if (error) return res.status(400).json({ error });
+
+    const doc = toDocument(w);
+    const update = { $set: doc, $unset: {} };
+    for (const field of ['device_id', 'reason']) {
+      if (doc[field] === undefined) {
+        delete doc[field];
+        update.$unset[field] = 1;
+      }
+    }
+    const window = await MaintenanceWindow.findByIdAndUpdate(existing._id, update, { new: true }).lean();
+    invalidateCache();
+    recordAudit(req, {
+      action: 'maintenance_window.update', targetType: 'maintenance_window', targetId: window._id,
+      before: MaintenanceWindow.formatForApi(existing), after: MaintenanceWindow.formatForApi(window),
+    });
+    res.json(MaintenanceWindow.formatForApi(window));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/maintenance-windows/:id
+router.delete('/:id', requireRole('admin', 'operator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Window not found' });
+    const window = await MaintenanceWindow.findByIdAndDelete(req.params.id).lean();
+    if (!window) return res.status(404).json({ error: 'Window not found' });
+    invalidateCache();
+    recordAudit(req, {
+      action: 'maintenance_window.delete', targetType: 'maintenance_window', targetId: window._id,
+      before: MaintenanceWindow.formatForApi(window),
+    });
+    res.json({ message: 'Window deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
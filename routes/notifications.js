@@ -0,0 +1,268 @@
+'use strict';
+
+const express  = require('express');
+const mongoose = require('mongoose');
+const router   = express.Router();
+const NotificationChannel      = require('../models/NotificationChannel');
+const NotificationSubscription = require('../models/NotificationSubscription');
+const NotificationDelivery     = require('../models/NotificationDelivery');
+const { validateChannel, validateSubscription } = require('../validations/notificationValidator');
+const { sendTestNotification, formatDelivery } = require('../services/notificationService');
+const { recordAudit } = require('../services/auditService');
+
+// All routes in this file already have requireAuth applied in server.js.
+// Admins manage channels and read the delivery log; every user manages their
+// own subscriptions.
+const { requireRole } = require('../middleware/auth');
+
+const VALID_STATUSES = new Set(['pending', 'sent', 'failed']);
+
+/**
+ * Merges a request body (camelCase) over an existing channel.
+ * `secret` is write-only: omitted keeps the stored one, null clears it.
+ */
+function mergeChannel(body, existing = {}) {
+  const pick = key => (body[key] !== undefined ? body[key] : existing[key]);
+  return {
+    name:       pick('name'),
+    type:       pick('type'),
+    enabled:    pick('enabled'),
+    severities: pick('severities') ?? [],
+    sensors:    pick('sensors') ?? [],
+    recipients: pick('recipients') ?? [],
+    url:        pick('url'),
+    secret:     pick('secret'),
+  };
+}
+
+/** Converts a validated channel into NotificationChannel fields. */
+function toDocument(c) {
+  return {
+    name:       c.name.trim(),
+    type:       c.type,
+    enabled:    c.enabled !== false,
+    severities: [...new Set(c.severities)],
+    sensors:    [...new Set(c.sensors)],
+    recipients: [...new Set(c.recipients)],
+    url:        c.type === 'email' ? undefined : c.url,
+    secret:     c.type === 'email' ? undefined : (c.secret || undefined),
+  };
+}
+
+/** Non-admins see which channels exist (to subscribe), not where they deliver. */
+function formatChannelFor(req, doc) {
+  const channel = NotificationChannel.formatForApi(doc);
+  if (req.user.role === 'admin') return channel;
+  const { id, name, type, enabled, severities, sensors } = channel;
+  return { id, name, type, enabled, severities, sensors };
+}
+
+// ─── Channels ─────────────────────────────────────────────────────────────────
+
+// GET /api/notifications/channels
+router.get('/channels', async (req, res) => {
+  try {
+    const channels = await NotificationChannel.find().sort({ createdAt: 1 }).lean();
+    res.json(channels.map(c => formatChannelFor(req, c)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/notifications/channels
+// Body: { name, type: 'email', recipients?, severities?, sensors?, enabled? }
+//    or { name, type: 'webhook' | 'sms', url, secret?, recipients? (sms), severities?, sensors?, enabled? }
+router.post('/channels', requireRole('admin'), async (req, res) => {
+  try {
+    const c = mergeChannel(req.body);
+    const { valid, reason } = validateChannel(c);
+    if (!valid) return res.status(400).json({ error: reason });
+
+    const channel = await NotificationChannel.create({ ...toDocument(c), createdBy: req.user._id });
+    recordAudit(req, {
+      action: 'notification_channel.create', targetType: 'notification_channel', targetId: channel._id,
+      after: NotificationChannel.formatForApi(channel),
+    });
+    res.status(201).json(NotificationChannel.formatForApi(channel));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/notifications/channels/:id — any subset of the POST fields
+router.put('/channels/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Channel not found' });
+    const existing = await NotificationChannel.findById(req.params.id).select('+secret').lean();
+    if (!existing) return res.status(404).json({ error: 'Channel not found' });
+
+    const c = mergeChannel(req.body, existing);
+    const { valid, reason } = validateChannel(c);
+    if (!valid) return res.status(400).json({ error: reason });
+
+    const doc = toDocument(c);
+    const update = { $set: doc, $unset: {} };
+    for (const field of ['url', 'secret']) {
+      if (doc[field] === undefined) {
+        delete doc[field];
+        update.$unset[field] = 1;
+      }
+    }
+    const channel = await NotificationChannel.findByIdAndUpdate(existing._id, update, { new: true }).select('+secret').lean();
+    recordAudit(req, {
+      action: 'notification_channel.update', targetType: 'notification_channel', targetId: channel._id,
+      before: NotificationChannel.formatForApi(existing), after: NotificationChannel.formatForApi(channel),
+    });
+    res.json(NotificationChannel.formatForApi(channel));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/notifications/channels/:id — removes its subscriptions; the delivery log is kept
+router.delete('/channels/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Channel not found' });
+    const channel = await NotificationChannel.findByIdAndDelete(req.params.id).lean();
+    if (!channel) return res.status(404).json({ error: 'Channel not found' });
+    await NotificationSubscription.deleteMany({ channel: channel._id });
+    recordAudit(req, {
+      action: 'notification_channel.delete', targetType: 'notification_channel', targetId: channel._id,
+      before: NotificationChannel.formatForApi(channel),
+    });
+    res.json({ message: 'Channel deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/notifications/channels/:id/test — sends a sample alert and returns the deliveries
+router.post('/channels/:id/test', requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Channel not found' });
+    const channel = await NotificationChannel.findById(req.params.id).select('+secret').lean();
+    if (!channel) return res.status(404).json({ error: 'Channel not found' });
+    if (channel.type === 'sms' && !channel.recipients.length) {
+      return res.status(400).json({ error: 'Add a recipient to the channel to test it' });
+    }
+
+    const deliveries = await sendTestNotification(channel, req.user.email);
+    res.json(deliveries.map(formatDelivery));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Subscriptions (own) ──────────────────────────────────────────────────────
+
+// GET /api/notifications/subscriptions
+router.get('/subscriptions', async (req, res) => {
+  try {
+    const subs = await NotificationSubscription.find({ user: req.user._id }).sort({ createdAt: 1 }).lean();
+    res.json(subs.map(NotificationSubscription.formatForApi));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/notifications/subscriptions/:channelId
+// Body: { severities?, sensors?, phone? } — creates or replaces the caller's subscription
+router.put('/subscriptions/:channelId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.channelId)) return res.status(404).json({ error: 'Channel not found' });
+    const channel = await NotificationChannel.findById(req.params.channelId).lean();
+    if (!channel) return res.status(404).json({ error: 'Channel not found' });
+
+    const { severities = [], sensors = [], phone } = req.body;
+    const { valid, reason } = validateSubscription({ severities, sensors, phone }, channel);
+    if (!valid) return res.status(400).json({ error: reason });
+
+    const sub = await NotificationSubscription.findOneAndUpdate(
+      { user: req.user._id, channel: channel._id },
+      {
+        $set: { severities: [...new Set(severities)], sensors: [...new Set(sensors)], ...(channel.type === 'sms' && { phone }) },
+        ...(channel.type !== 'sms' && { $unset: { phone: 1 } }),
+      },
+      { new: true, upsert: true }
+    ).lean();
+    res.json(NotificationSubscription.formatForApi(sub));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/notifications/subscriptions/:channelId
+router.delete('/subscriptions/:channelId', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.channelId)) return res.status(404).json({ error: 'Subscription not found' });
+    const sub = await NotificationSubscription.findOneAndDelete({ user: req.user._id, channel: req.params.channelId }).lean();
+    if (!sub) return res.status(404).json({ error: 'Subscription not found' });
+    res.json({ message: 'Unsubscribed' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Delivery log ─────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/notifications/deliveries
+ * Returns deliveries newest-first with pagination. Admin only.
+ *
+ * Query params:
+ *   status  – comma-separated: pending | sent | failed (default: all)
+ *   channel – channel id
+ *   alert   – alert id
+ *   from/to – ISO date strings
+ *   page    – 1-based page number (default: 1)
+ *   limit   – results per page, max 100 (default: 20)
+ *
+ * Response: { data: Delivery[], pagination: { total, page, pages, limit } }
+ */
+router.get('/deliveries', requireRole('admin'), async (req, res) => {
+  try {
+    const page  = Math.max(1, parseInt(req.query.page)  || 1);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 100);
+    const skip  = (page - 1) * limit;
+
+    const query = {};
+
+    if (typeof req.query.status === 'string') {
+      const vals = req.query.status.split(',').map(s => s.trim()).filter(s => VALID_STATUSES.has(s));
+      if (vals.length === 1) query.status = vals[0];
+      else if (vals.length > 1) query.status = { $in: vals };
+    }
+    if (typeof req.query.channel === 'string' && mongoose.isValidObjectId(req.query.channel)) {
+      query.channel_id = req.query.channel;
+    }
+    if (typeof req.query.alert === 'string' && mongoose.isValidObjectId(req.query.alert)) {
+      query.alert_id = req.query.alert;
+    }
+
+    if (req.query.from || req.query.to) {
+      query.timestamp = {};
+      if (req.query.from) {
+        const d = new Date(req.query.from);
+        if (!isNaN(d.getTime())) query.timestamp.$gte = d;
+      }
+      if (req.query.to) {
+        const d = new Date(req.query.to);
+        if (!isNaN(d.getTime())) query.timestamp.$lte = d;
+      }
+    }
+
+    const [docs, total] = await Promise.all([
+      NotificationDelivery.find(query).sort({ timestamp: -1 }).skip(skip).limit(limit).lean(),
+      NotificationDelivery.countDocuments(query),
+    ]);
+
+    res.json({
+      data:       docs.map(formatDelivery),
+      pagination: { total, page, pages: Math.ceil(total / limit) || 1, limit },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -3,50 +3,97 @@
 /**
  * Pump Command Route
  * ──────────────────
- * Exposes a single endpoint that translates HTTP requests into MQTT
- * commands for the ESP32, which interprets them to control the water pump.
+ * Translates HTTP requests into MQTT commands for the ESP32, which interprets
+ * them to control the water pumps.  Every command is tracked as a PumpCommand
+ * (pending → acknowledged / failed / timed_out) driven by the ESP32's ack topic.
  *
- * POST /api/pump/command  — operator / admin only
+ * The controllable outputs (pumps, dosing valves, …) come from the actuator
+ * registry, so adding one is a POST to /api/pump/actuators — no code change.
+ *
+ * POST   /api/pump/:pumpId/command — operator / admin only (or an API key with the 'pump' scope)
+ * POST   /api/pump/command[2|3]    — legacy aliases for pump1 / pump2 / pump3
+ * GET    /api/pump/commands        — command history, any authenticated user
+ * GET    /api/pump/state           — persisted pump modes, any authenticated user
+ * GET    /api/pump/actuators       — the actuator registry, any authenticated user
+ * /api/pump/schedules               — time-based run programs (routes/pumpSchedules.js)
+ * /api/pump/interlocks              — safety interlock rules (routes/pumpInterlocks.js)
+ * POST   /api/pump/actuators       — admin only
+ * PUT    /api/pump/actuators/:id   — admin only
+ * DELETE /api/pump/actuators/:id   — admin only
+ *
+ * Commands are published with retain:true so the broker always holds each
+ * pump's latest mode — the ESP32 re-applies it after a reboot, and the
+ * backend reconciles its persisted pump state with it on reconnect.
  */
 
 const express = require('express');
 const router  = express.Router();
-const { requireRole } = require('../middleware/auth');
-
-// ─── Constants ────────────────────────────────────────────────────────────────
+const Actuator    = require('../models/Actuator');
+const PumpCommand = require('../models/PumpCommand');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { splitList } = require('../services/deviceService');
+const { getPumpState, getPumpStateDetails } = require('../services/pumpStateService');
+const { getActuator, loadActuators } = require('../services/actuatorService');
+const { refreshActuatorSubscriptions } = require('../services/mqttListener');
+const { recordAudit } = require('../services/auditService');
+const { suspendForManualCommand } = require('../services/pumpScheduler');
+const { checkInterlocks, describeBlocks } = require('../services/interlockService');
+const { validateInterlockOverride } = require('../validations/interlockOverrideValidator');
+const { issuePumpCommand, formatCommand } = require('../services/pumpCommandService');
 
-const COMMAND_TOPIC        = 'mfc/system/_01/command';
-const VALID_COMMANDS       = new Set(['MANUAL_ON', 'MANUAL_OFF', 'AUTO']);
+// ─── Command ──────────────────────────────────────────────────────────────────
 
-const COMMAND_TOPIC_2      = 'mfc/system/_02/command';
-const VALID_PUMP2_COMMANDS = new Set(['MANUAL_ON', 'MANUAL_OFF', 'AUTO']);
+// The per-pump endpoints the dashboard used before the actuator registry.
+// They are forwarded to POST /:pumpId/command so existing clients keep working.
+const LEGACY_COMMAND_ROUTES = { '/command': 'pump1', '/command2': 'pump2', '/command3': 'pump3' };
 
-const COMMAND_TOPIC_3      = 'mfc/system/_03/command';
-const VALID_PUMP3_COMMANDS = new Set(['MANUAL_ON', 'MANUAL_OFF', 'AUTO']);
-
-// ─── Route ────────────────────────────────────────────────────────────────────
+router.post(Object.keys(LEGACY_COMMAND_ROUTES), (req, _res, next) => {
+  req.url = `/${LEGACY_COMMAND_ROUTES[req.path]}/command`;
+  next();
+});
 
 /**
- * POST /api/pump/command
+ * POST /api/pump/:pumpId/command
  *
- * Publishes one of three string payloads to the ESP32 command topic:
+ * Publishes one of the actuator's modes as a string payload to its command
+ * topic. For the standard pumps:
  *   "MANUAL_ON"  — turns the pump on and locks out the automatic sensor loop
  *   "MANUAL_OFF" — turns the pump off and locks out the automatic sensor loop
  *   "AUTO"       — releases manual override; ESP32 resumes its automatic logic
  *
- * After a successful publish the new mode is broadcast to all connected
- * frontend clients via Socket.io so every open tab stays in sync.
+ * Once the broker echoes the command, mqttListener broadcasts a `pump_state`
+ * event to all connected frontend clients so every open tab stays in sync.
+ * `ok: true` only means the broker accepted the publish; the outcome on the
+ * device arrives later as a `pump_command_status` event for `commandId`.
  *
- * Body   : { command: 'MANUAL_ON' | 'MANUAL_OFF' | 'AUTO' }
- * Returns: { ok: true, command, topic }
+ * A manual command takes precedence over pump schedules: any schedule whose
+ * window is open is suspended until that window closes, and listed in
+ * `overriddenSchedules`.
+ *
+ * Safety interlocks are checked first. A blocked command is refused with 409
+ * and the list of blocking interlocks; an admin may resend it with
+ * `override.justification`, which is stored on the command and audited.
+ *
+ * Body   : { command: <one of the actuator's modes>, override?: { justification } }
+ * Returns: { ok: true, pump, command, topic, commandId, status: 'pending', overriddenSchedules }
+ * Errors : 409 { error, blocks: [{ ruleId, name, type, reason }] } — blocked by interlocks
  */
-router.post('/command', requireRole('admin', 'operator'), async (req, res) => {
+router.post('/:pumpId/command', requireRole('admin', 'operator', { scope: 'pump' }), async (req, res) => {
   const { command } = req.body;
 
+  // ── Resolve actuator ───────────────────────────────────────────────────────
+  const actuator = getActuator(req.params.pumpId);
+  if (!actuator) {
+    return res.status(404).json({ error: `Unknown pump "${req.params.pumpId}"` });
+  }
+  if (!actuator.enabled) {
+    return res.status(409).json({ error: `${actuator.label} is disabled` });
+  }
+
   // ── Validate command ───────────────────────────────────────────────────────
-  if (!command || !VALID_COMMANDS.has(command)) {
+  if (!command || !actuator.modes.includes(command)) {
     return res.status(400).json({
-      error: `Invalid command. Accepted values: ${[...VALID_COMMANDS].join(', ')}`,
+      error: `Invalid command. Accepted values: ${actuator.modes.join(', ')}`,
     });
   }
 
@@ -56,89 +103,256 @@ router.post('/command', requireRole('admin', 'operator'), async (req, res) => {
     return res.status(503).json({ error: 'MQTT broker is not connected' });
   }
 
+  const io    = req.app.get('io');
+  const pump  = actuator.actuator_id;
+  const topic = actuator.topic;
+
+  // ── Safety interlocks ──────────────────────────────────────────────────────
+  let blocks;
+  try {
+    blocks = await checkInterlocks(pump, command);
+  } catch (err) {
+    console.error('[pump] Failed to evaluate interlocks:', err.message);
+    return res.status(500).json({ error: 'Could not evaluate safety interlocks' });
+  }
+
+  let override;
+  if (blocks.length) {
+    if (!req.body.override) {
+      recordAudit(req, { action: 'pump.command_blocked', targetType: 'pump', targetId: pump, after: { command, blocks } });
+      return res.status(409).json({ error: describeBlocks(blocks), blocks });
+    }
+    if (req.apiKey || req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can override safety interlocks' });
+    }
+    const { valid, reason, justification } = validateInterlockOverride(req.body.override);
+    if (!valid) return res.status(400).json({ error: reason });
+    override = { justification, rules: blocks.map(b => ({ name: b.name, reason: b.reason })) };
+  }
+
   // ── Publish to ESP32 ───────────────────────────────────────────────────────
+  const previousMode = getPumpState()[pump];
   try {
-    await mqttClient.publishAsync(COMMAND_TOPIC, command, { qos: 1 });
+    const pending = await issuePumpCommand(io, mqttClient, { actuator, command, user: req.user, override });
+    if (override) {
+      console.warn(`[pump] ⚠️  ${pump} "${command}" published despite interlocks by admin ${req.user._id}: ${override.justification}`);
+      recordAudit(req, {
+        action: 'pump.interlock_override', targetType: 'pump', targetId: pump,
+        after: { command, commandId: pending._id, ...override },
+      });
+    }
 
-    console.log(`[pump] ✅ Command "${command}" published by user ${req.user._id}`);
-    // pump_command Socket.io event is emitted by mqttListener once the broker
+    console.log(`[pump] ✅ ${pump} command "${command}" published by user ${req.user._id}`);
+    recordAudit(req, {
+      action: 'pump.command', targetType: 'pump', targetId: pump,
+      before: { mode: previousMode }, after: { mode: command, commandId: pending._id },
+    });
+    // pump_state Socket.io event is emitted by mqttListener once the broker
     // echoes the message back — this ensures all clients (including those that
     // publish directly to MQTT, e.g. test scripts) update consistently.
 
-    res.json({ ok: true, command, topic: COMMAND_TOPIC });
+    const overriddenSchedules = await suspendForManualCommand(pump);
+
+    res.json({ ok: true, pump, command, topic, commandId: pending._id.toString(), status: 'pending', overriddenSchedules });
   } catch (err) {
-    console.error('[pump] Failed to publish command:', err.message);
+    console.error(`[pump] Failed to publish ${pump} command:`, err.message);
     res.status(500).json({ error: 'Failed to publish command to MQTT broker' });
   }
 });
 
-// ─── Pump 2 Route ─────────────────────────────────────────────────────────────
+// ─── Pump state ───────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/pump/state
+ * Returns the last-known mode of every pump, persisted across restarts.
+ *
+ * Response: { [pump]: { mode, changedBy, changedAt, source } }
+ *   source – 'command' (echoed by the broker) | 'ack' (confirmed by the ESP32) |
+ *            'retained' (reconciled from MQTT on reconnect) | 'default' (never set)
+ */
+router.get('/state', requireAuth, (_req, res) => {
+  res.json(getPumpStateDetails());
+});
+
+// ─── Command history ──────────────────────────────────────────────────────────
+
+const VALID_STATUSES = new Set(['pending', 'acknowledged', 'failed', 'timed_out']);
 
 /**
- * POST /api/pump/command2
+ * GET /api/pump/commands
+ * Returns pump commands newest-first with pagination.
  *
- * Manual-only control for Pump 2 — no AUTO mode.
- * Publishes "MANUAL_ON" or "MANUAL_OFF" to the Pump 2 command topic.
+ * Query params:
+ *   pump   – comma-separated actuator ids, e.g. pump1,pump2              (default: all)
+ *   status – comma-separated: pending | acknowledged | failed | timed_out (default: all)
+ *   page   – 1-based page number (default: 1)
+ *   limit  – results per page, max 100 (default: 20)
  *
- * Body   : { command: 'MANUAL_ON' | 'MANUAL_OFF' }
- * Returns: { ok: true, command, topic }
+ * Response: { data: PumpCommand[], pagination: { total, page, pages, limit } }
  */
-router.post('/command2', requireRole('admin', 'operator'), async (req, res) => {
-  const { command } = req.body;
+router.get('/commands', requireAuth, async (req, res) => {
+  try {
+    const page  = Math.max(1, parseInt(req.query.page)  || 1);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 100);
+    const skip  = (page - 1) * limit;
 
-  if (!command || !VALID_PUMP2_COMMANDS.has(command)) {
-    return res.status(400).json({
-      error: `Invalid command. Accepted values: ${[...VALID_PUMP2_COMMANDS].join(', ')}`,
+    const query = {};
+
+    if (req.query.pump) {
+      const vals = splitList(req.query.pump);
+      if (vals.length === 1) query.pump = vals[0];
+      else if (vals.length > 1) query.pump = { $in: vals };
+    }
+
+    if (req.query.status) {
+      const vals = splitList(req.query.status).filter(s => VALID_STATUSES.has(s));
+      if (vals.length === 1) query.status = vals[0];
+      else if (vals.length > 1) query.status = { $in: vals };
+    }
+
+    const [docs, total] = await Promise.all([
+      PumpCommand.find(query).sort({ issuedAt: -1 }).skip(skip).limit(limit).lean(),
+      PumpCommand.countDocuments(query),
+    ]);
+
+    res.json({
+      data:       docs.map(formatCommand),
+      pagination: { total, page, pages: Math.ceil(total / limit) || 1, limit },
     });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
 
-  const mqttClient = req.app.get('mqttClient');
-  if (!mqttClient?.connected) {
-    return res.status(503).json({ error: 'MQTT broker is not connected' });
+// ─── Actuator registry ────────────────────────────────────────────────────────
+
+const ACTUATOR_ID_RE = /^[A-Za-z0-9_-]+$/;
+const ACTUATOR_KINDS = Actuator.schema.path('kind').enumValues;
+
+/**
+ * Validates actuator fields from a request body against the merged result.
+ * Returns an error message, or null when valid.
+ */
+function validateActuator({ label, kind, topic, modes, defaultMode }) {
+  if (!label) return 'label is required';
+  if (!ACTUATOR_KINDS.includes(kind)) return `kind must be one of: ${ACTUATOR_KINDS.join(', ')}`;
+  if (typeof topic !== 'string' || !topic || /[+#]/.test(topic) || topic.endsWith('/ack')) {
+    return 'topic must be a concrete MQTT topic (no wildcards, not ending in /ack)';
+  }
+  if (!Array.isArray(modes) || modes.length === 0 || modes.some(m => typeof m !== 'string' || !m)) {
+    return 'modes must be a non-empty array of strings';
   }
+  if (!modes.includes(defaultMode)) return 'defaultMode must be one of modes';
+  return null;
+}
 
+/** Reloads the registry and applies topic changes to the MQTT subscriptions. */
+async function applyRegistryChange(req) {
+  await loadActuators();
+  refreshActuatorSubscriptions(req.app.get('mqttClient'));
+}
+
+// GET /api/pump/actuators
+router.get('/actuators', requireAuth, async (_req, res) => {
   try {
-    await mqttClient.publishAsync(COMMAND_TOPIC_2, command, { qos: 1 });
-    console.log(`[pump2] ✅ Command "${command}" published by user ${req.user._id}`);
-    res.json({ ok: true, command, topic: COMMAND_TOPIC_2 });
+    const actuators = await Actuator.find().sort({ actuator_id: 1 }).lean();
+    res.json(actuators.map(Actuator.formatForApi));
   } catch (err) {
-    console.error('[pump2] Failed to publish command:', err.message);
-    res.status(500).json({ error: 'Failed to publish command to MQTT broker' });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// ─── Pump 3 Route ─────────────────────────────────────────────────────────────
+// POST /api/pump/actuators
+// Body: { id, label, kind?, topic, modes, defaultMode, enabled? }
+router.post('/actuators', requireRole('admin'), async (req, res) => {
+  try {
+    const { id, label, kind = 'pump', topic, modes, defaultMode, enabled } = req.body;
+    if (!id || !ACTUATOR_ID_RE.test(id)) {
+      return res.status(400).json({ error: 'id is required and may only contain letters, digits, "_" and "-"' });
+    }
+    const error = validateActuator({ label, kind, topic, modes, defaultMode });
+    if (error) return res.status(400).json({ error });
 
-/**
- * POST /api/pump/command3
- *
- * Manual-only control for Pump 3 — no AUTO mode.
- * Publishes "MANUAL_ON" or "MANUAL_OFF" to the Pump 3 command topic.
- *
- * Body   : { command: 'MANUAL_ON' | 'MANUAL_OFF' }
- * Returns: { ok: true, command, topic }
- */
-router.post('/command3', requireRole('admin', 'operator'), async (req, res) => {
-  const { command } = req.body;
+    const existing = await Actuator.findOne({ $or: [{ actuator_id: id }, { topic }] }).lean();
+    if (existing) {
+      return res.status(409).json({
+        error: existing.actuator_id === id ? 'Actuator ID already registered' : `Topic already used by ${existing.actuator_id}`,
+      });
+    }
 
-  if (!command || !VALID_PUMP3_COMMANDS.has(command)) {
-    return res.status(400).json({
-      error: `Invalid command. Accepted values: ${[...VALID_PUMP3_COMMANDS].join(', ')}`,
+    const actuator = await Actuator.create({
+      actuator_id:  id,
+      label,
+      kind,
+      topic,
+      modes:        [...new Set(modes)],
+      default_mode: defaultMode,
+      ...(typeof enabled === 'boolean' && { enabled }),
     });
+    await applyRegistryChange(req);
+    recordAudit(req, { action: 'actuator.create', targetType: 'actuator', targetId: id, after: Actuator.formatForApi(actuator) });
+    console.log(`[pump] ➕ Actuator ${id} registered on "${topic}" by user ${req.user._id}`);
+    res.status(201).json(Actuator.formatForApi(actuator));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
 
-  const mqttClient = req.app.get('mqttClient');
-  if (!mqttClient?.connected) {
-    return res.status(503).json({ error: 'MQTT broker is not connected' });
+// PUT /api/pump/actuators/:id
+// Body: any of { label, kind, topic, modes, defaultMode, enabled }
+router.put('/actuators/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const actuator = await Actuator.findOne({ actuator_id: req.params.id });
+    if (!actuator) return res.status(404).json({ error: 'Actuator not found' });
+    const before = Actuator.formatForApi(actuator);
+
+    const { label, kind, topic, modes, defaultMode, enabled } = req.body;
+    const merged = {
+      label:       label       ?? actuator.label,
+      kind:        kind        ?? actuator.kind,
+      topic:       topic       ?? actuator.topic,
+      modes:       modes       ?? actuator.modes,
+      defaultMode: defaultMode ?? actuator.default_mode,
+    };
+    const error = validateActuator(merged);
+    if (error) return res.status(400).json({ error });
+
+    if (merged.topic !== actuator.topic) {
+      const clash = await Actuator.exists({ topic: merged.topic });
+      if (clash) return res.status(409).json({ error: 'Topic already used by another actuator' });
+    }
+
+    actuator.label        = merged.label;
+    actuator.kind         = merged.kind;
+    actuator.topic        = merged.topic;
+    actuator.modes        = [...new Set(merged.modes)];
+    actuator.default_mode = merged.defaultMode;
+    if (typeof enabled === 'boolean') actuator.enabled = enabled;
+
+    await actuator.save();
+    await applyRegistryChange(req);
+    recordAudit(req, {
+      action: 'actuator.update', targetType: 'actuator', targetId: actuator.actuator_id,
+      before, after: Actuator.formatForApi(actuator),
+    });
+    res.json(Actuator.formatForApi(actuator));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
+});
 
+// DELETE /api/pump/actuators/:id — command history and persisted state are kept
+router.delete('/actuators/:id', requireRole('admin'), async (req, res) => {
   try {
-    await mqttClient.publishAsync(COMMAND_TOPIC_3, command, { qos: 1 });
-    console.log(`[pump3] ✅ Command "${command}" published by user ${req.user._id}`);
-    res.json({ ok: true, command, topic: COMMAND_TOPIC_3 });
+    const actuator = await Actuator.findOneAndDelete({ actuator_id: req.params.id }).lean();
+    if (!actuator) return res.status(404).json({ error: 'Actuator not found' });
+
+    await applyRegistryChange(req);
+    recordAudit(req, { action: 'actuator.delete', targetType: 'actuator', targetId: actuator.actuator_id, before: Actuator.formatForApi(actuator) });
+    console.log(`[pump] ➖ Actuator ${actuator.actuator_id} removed by user ${req.user._id}`);
+    res.json({ message: 'Actuator removed' });
   } catch (err) {
-    console.error('[pump3] Failed to publish command:', err.message);
-    res.status(500).json({ error: 'Failed to publish command to MQTT broker' });
+    res.status(500).json({ error: err.message });
   }
 });
 
@@ -0,0 +1,171 @@
+'use strict';
+
+const express  = require('express');
+const mongoose = require('mongoose');
+const router   = express.Router();
+const InterlockRule = require('../models/InterlockRule');
+const { INTERLOCK_TYPES } = require('../models/InterlockRule');
+const { getActuator } = require('../services/actuatorService');
+const { checkInterlocks, invalidateCache } = require('../services/interlockService');
+const { recordAudit } = require('../services/auditService');
+
+// All routes in this file already have requireAuth applied in server.js.
+// Reads are open to every role; only admins manage interlocks.
+const { requireRole } = require('../middleware/auth');
+
+const SEVERITIES = ['critical', 'warning'];
+
+const isStringList = v => Array.isArray(v) && v.every(s => typeof s === 'string' && s.trim());
+
+/**
+ * Merges a request body (camelCase) over an existing rule (snake_case).
+ */
+function mergeInterlock(body, existing = {}) {
+  const pick = (key, field) => (body[key] !== undefined ? body[key] : existing[field]);
+  return {
+    name:     pick('name', 'name'),
+    enabled:  pick('enabled', 'enabled'),
+    type:     pick('type', 'type'),
+    pumps:    pick('pumps', 'pumps') ?? [],
+    commands: pick('commands', 'commands') ?? [],
+    deviceId: pick('deviceId', 'device_id'),
+    severity: pick('severity', 'severity') ?? 'critical',
+    sensor:   pick('sensor', 'sensor'),
+  };
+}
+
+/**
+ * Validates a merged rule. Returns an error message, or null when valid.
+ */
+function checkInterlock(r) {
+  if (typeof r.name !== 'string' || !r.name.trim()) return 'name is required';
+  if (!INTERLOCK_TYPES.includes(r.type)) return `type must be one of: ${INTERLOCK_TYPES.join(', ')}`;
+  if (r.enabled !== undefined && typeof r.enabled !== 'boolean') return 'enabled must be a boolean';
+  if (!isStringList(r.pumps)) return 'pumps must be an array of actuator ids';
+  const unknown = r.pumps.find(p => !getActuator(p));
+  if (unknown) return `Unknown pump "${unknown}"`;
+  if (!isStringList(r.commands)) return 'commands must be an array of modes';
+  if (r.deviceId != null && typeof r.deviceId !== 'string') return 'deviceId must be a string';
+  if (r.type === 'active_alert') {
+    if (!SEVERITIES.includes(r.severity)) return `severity must be one of: ${SEVERITIES.join(', ')}`;
+    if (r.sensor != null && typeof r.sensor !== 'string') return 'sensor must be a string';
+  }
+  return null;
+}
+
+/** Converts a validated rule into InterlockRule fields. */
+function toDocument(r) {
+  return {
+    name:      r.name.trim(),
+    enabled:   r.enabled !== false,
+    type:      r.type,
+    pumps:     [...new Set(r.pumps)],
+    commands:  [...new Set(r.commands)],
+    device_id: r.deviceId || undefined,
+    severity:  r.severity,
+    sensor:    r.type === 'active_alert' ? (r.sensor || undefined) : undefined,
+  };
+}
+
+// GET /api/pump/interlocks
+router.get('/', async (_req, res) => {
+  try {
+    const rules = await InterlockRule.find().sort({ createdAt: 1 }).lean();
+    res.json(rules.map(InterlockRule.formatForApi));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/pump/interlocks/check?pump=pump1&command=MANUAL_ON
+// Dry-runs the interlock check: returns the rules that would block the command now.
+router.get('/check', async (req, res) => {
+  try {
+    const { pump, command } = req.query;
+    if (typeof pump !== 'string' || typeof command !== 'string') {
+      return res.status(400).json({ error: 'pump and command are required' });
+    }
+    if (!getActuator(pump)) return res.status(404).json({ error: `Unknown pump "${pump}"` });
+    const blocks = await checkInterlocks(pump, command);
+    res.json({ pump, command, blocked: blocks.length > 0, blocks });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/pump/interlocks/:id
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Interlock not found' });
+    const rule = await InterlockRule.findById(req.params.id).lean();
+    if (!rule) return res.status(404).json({ error: 'Interlock not found' });
+    res.json(InterlockRule.formatForApi(rule));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/pump/interlocks
+// Body: { name, type, pumps?, commands?, deviceId?, severity?, sensor?, enabled? }
+// Empty pumps / commands apply the rule to every pump / command.
+router.post('/', requireRole('admin'), async (req, res) => {
+  try {
+    const r = mergeInterlock(req.body);
+    const error = checkInterlock(r);
+    if (error) return res.status(400).json({ error });
+
+    const rule = await InterlockRule.create(toDocument(r));
+    invalidateCache();
+    recordAudit(req, { action: 'interlock.create', targetType: 'interlock', targetId: rule._id, after: InterlockRule.formatForApi(rule) });
+    res.status(201).json(InterlockRule.formatForApi(rule));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/pump/interlocks/:id — any subset of the POST fields
+router.put('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Interlock not found' });
+    const existing = await InterlockRule.findById(req.params.id).lean();
+    if (!existing) return res.status(404).json({ error: 'Interlock not found' });
+
+    const r = mergeInterlock(req.body, existing);
+    const error = checkInterlock(r);
+    if (error) return res.status(400).json({ error });
+
+    const doc = toDocument(r);
+    const update = { $set: doc, $unset: {} };
+    for (const field of ['device_id', 'sensor']) {
+      if (doc[field] === undefined) {
+        delete doc[field];
+        update.$unset[field] = 1;
+      }
+    }
+    const rule = await InterlockRule.findByIdAndUpdate(existing._id, update, { new: true }).lean();
+    invalidateCache();
+    recordAudit(req, {
+      action: 'interlock.update', targetType: 'interlock', targetId: rule._id,
+      before: InterlockRule.formatForApi(existing), after: InterlockRule.formatForApi(rule),
+    });
+    res.json(InterlockRule.formatForApi(rule));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/pump/interlocks/:id
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Interlock not found' });
+    const rule = await InterlockRule.findByIdAndDelete(req.params.id).lean();
+    if (!rule) return res.status(404).json({ error: 'Interlock not found' });
+    invalidateCache();
+    recordAudit(req, { action: 'interlock.delete', targetType: 'interlock', targetId: rule._id, before: InterlockRule.formatForApi(rule) });
+    res.json({ message: 'Interlock deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
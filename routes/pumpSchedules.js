@@ -0,0 +1,158 @@
+'use strict';
+
+const express      = require('express');
+const mongoose     = require('mongoose');
+const router       = express.Router();
+const PumpSchedule = require('../models/PumpSchedule');
+const { getActuator } = require('../services/actuatorService');
+const { runScheduler, DEFAULT_TIMEZONE } = require('../services/pumpScheduler');
+const { validateSchedule } = require('../validations/scheduleValidator');
+const { recordAudit } = require('../services/auditService');
+
+// All routes in this file already have requireAuth applied in server.js.
+// Reads are open to every role; operators and admins manage schedules.
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * Merges a request body (camelCase) over an existing schedule (snake_case)
+ * into the shape validateSchedule expects.
+ */
+function mergeSchedule(body, existing = {}) {
+  const pick = (key, field) => (body[key] !== undefined ? body[key] : existing[field]);
+  return {
+    name:            pick('name', 'name'),
+    pump:            pick('pump', 'pump'),
+    enabled:         pick('enabled', 'enabled'),
+    type:            pick('type', 'type'),
+    windows:         pick('windows', 'windows'),
+    cron:            pick('cron', 'cron'),
+    durationMinutes: pick('durationMinutes', 'duration_minutes'),
+    mode:            pick('mode', 'mode'),
+    endMode:         pick('endMode', 'end_mode'),
+    priority:        pick('priority', 'priority'),
+    timezone:        pick('timezone', 'timezone'),
+  };
+}
+
+/** Converts a validated schedule into PumpSchedule fields. */
+function toDocument(s) {
+  return {
+    name:             s.name,
+    pump:             s.pump,
+    enabled:          s.enabled !== false,
+    type:             s.type,
+    windows:          s.type === 'weekly' ? s.windows.map(w => ({ days: [...new Set(w.days)], start: w.start, end: w.end })) : undefined,
+    cron:             s.type === 'cron' ? s.cron.trim() : undefined,
+    duration_minutes: s.type === 'cron' ? s.durationMinutes : undefined,
+    mode:             s.mode,
+    end_mode:         s.endMode,
+    priority:         s.priority ?? 0,
+    timezone:         s.timezone,
+  };
+}
+
+/**
+ * Validates a merged schedule. Returns an error message, or null when valid.
+ */
+function checkSchedule(s) {
+  if (!s.name) return 'name is required';
+  const actuator = getActuator(s.pump);
+  if (!actuator) return `Unknown pump "${s.pump}"`;
+  const { valid, reason } = validateSchedule(s, actuator);
+  return valid ? null : reason;
+}
+
+/** Re-evaluates schedules right away instead of waiting for the next tick. */
+function applyNow(req) {
+  runScheduler(req.app.get('io'), req.app.get('mqttClient'));
+}
+
+// GET /api/pump/schedules?pump=pump1
+router.get('/', async (req, res) => {
+  try {
+    const query = typeof req.query.pump === 'string' ? { pump: req.query.pump } : {};
+    const docs  = await PumpSchedule.find(query).sort({ pump: 1, priority: -1, createdAt: 1 }).lean();
+    res.json(docs.map(PumpSchedule.formatForApi));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/pump/schedules/:id
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Schedule not found' });
+    const doc = await PumpSchedule.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ error: 'Schedule not found' });
+    res.json(PumpSchedule.formatForApi(doc));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/pump/schedules
+// Body: { name, pump, type: 'weekly', windows, mode, endMode?, priority?, timezone?, enabled? }
+//    or { name, pump, type: 'cron', cron, durationMinutes, mode, endMode?, priority?, timezone?, enabled? }
+// endMode defaults to the pump's default mode; timezone to PUMP_SCHEDULE_TZ / server time.
+router.post('/', requireRole('admin', 'operator'), async (req, res) => {
+  try {
+    const s = mergeSchedule(req.body, {
+      end_mode: getActuator(req.body.pump)?.default_mode,
+      timezone: DEFAULT_TIMEZONE,
+    });
+    const error = checkSchedule(s);
+    if (error) return res.status(400).json({ error });
+
+    const doc = await PumpSchedule.create({ ...toDocument(s), createdBy: req.user._id });
+    recordAudit(req, { action: 'schedule.create', targetType: 'schedule', targetId: doc._id, after: PumpSchedule.formatForApi(doc) });
+    applyNow(req);
+    res.status(201).json(PumpSchedule.formatForApi(doc));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/pump/schedules/:id — any subset of the POST fields
+router.put('/:id', requireRole('admin', 'operator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Schedule not found' });
+    const existing = await PumpSchedule.findById(req.params.id).lean();
+    if (!existing) return res.status(404).json({ error: 'Schedule not found' });
+
+    const s = mergeSchedule(req.body, existing);
+    const error = checkSchedule(s);
+    if (error) return res.status(400).json({ error });
+
+    // A redefined schedule starts fresh: any manual suspension is lifted and
+    // the scheduler re-evaluates it on the next tick. A run in progress is
+    // kept so its end_mode still goes out when it closes.
+    const doc = await PumpSchedule.findByIdAndUpdate(
+      existing._id,
+      { $set: toDocument(s), $unset: { suspended_until: 1 } },
+      { new: true }
+    ).lean();
+    recordAudit(req, {
+      action: 'schedule.update', targetType: 'schedule', targetId: doc._id,
+      before: PumpSchedule.formatForApi(existing), after: PumpSchedule.formatForApi(doc),
+    });
+    applyNow(req);
+    res.json(PumpSchedule.formatForApi(doc));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// DELETE /api/pump/schedules/:id — a run in progress is abandoned as-is (no end_mode)
+router.delete('/:id', requireRole('admin', 'operator'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Schedule not found' });
+    const doc = await PumpSchedule.findByIdAndDelete(req.params.id).lean();
+    if (!doc) return res.status(404).json({ error: 'Schedule not found' });
+    recordAudit(req, { action: 'schedule.delete', targetType: 'schedule', targetId: doc._id, before: PumpSchedule.formatForApi(doc) });
+    res.json({ message: 'Schedule deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,209 @@
+'use strict';
+
+const express = require('express');
+const router  = express.Router();
+const SystemLog = require('../models/SystemLog');
+const RejectedPacket = require('../models/RejectedPacket');
+const RejectionCount = require('../models/RejectionCount');
+const { formatRejection, REJECTION_CODES } = require('../services/rejectionService');
+const { deviceIdFilter, splitList } = require('../services/deviceService');
+const { handleTelemetry } = require('../services/mqttListener');
+const { requireAuth, requireDeviceKey } = require('../middleware/auth');
+
+// Mounted without auth in server.js: ingestion authenticates devices by
+// 'ingest' API key, everything else requires a user token.
+
+const RANGE_MS = { '24h': 86_400_000, '7d': 604_800_000, '30d': 2_592_000_000 };
+
+const VALID_CODES = new Set(Object.values(REJECTION_CODES));
+
+// Upper bound on packets accepted in one POST /api/telemetry request.
+const MAX_INGEST_BATCH = 500;
+
+// ─── Ingestion ────────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/telemetry
+ *
+ * HTTP alternative to MQTT for rigs on unreliable links (e.g. cellular modems).
+ * Every packet is fed through the same pipeline as an MQTT telemetry message:
+ * validation, SystemLog persistence, threshold alerts and the live_telemetry
+ * aggregation window.  Rejected packets are recorded with topic 'http'.
+ *
+ * Headers: X-API-Key: <key with the 'ingest' scope, bound to the device — POST /api/api-keys>
+ * Body   : a single telemetry packet, or an array of up to MAX_INGEST_BATCH packets
+ *          (same shape as the MQTT payload)
+ * Returns: { accepted, rejected, results: [{ index, accepted, code?, reason? }] }
+ *
+ * If a packet cannot be stored, processing stops and the response is 503: that
+ * packet and every later one are reported with code STORAGE_FAILED and must be
+ * sent again; earlier packets were stored and must not be.
+ */
+router.post('/', requireDeviceKey, async (req, res) => {
+  const packets = Array.isArray(req.body) ? req.body : [req.body];
+
+  if (packets.length === 0) {
+    return res.status(400).json({ error: 'Request body must contain at least one packet' });
+  }
+  if (packets.length > MAX_INGEST_BATCH) {
+    return res.status(400).json({ error: `At most ${MAX_INGEST_BATCH} packets per request` });
+  }
+
+  try {
+    const io = req.app.get('io');
+    const results = [];
+
+    // Sequential on purpose — alert evaluation and aggregation depend on arrival order.
+    let storageFailed = false;
+    for (const [index, packet] of packets.entries()) {
+      if (storageFailed) {
+        results.push({ index, accepted: false, code: REJECTION_CODES.STORAGE_FAILED, reason: 'Not processed — retry' });
+        continue;
+      }
+      const outcome = await handleTelemetry(packet, io, SystemLog, req.device, 'http');
+      results.push({ index, ...outcome });
+      storageFailed = outcome.code === REJECTION_CODES.STORAGE_FAILED;
+    }
+
+    const accepted = results.filter(r => r.accepted).length;
+    res.status(storageFailed ? 503 : 200).json({ accepted, rejected: results.length - accepted, results });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── Rejected packets ─────────────────────────────────────────────────────────
+
+/**
+ * GET /api/telemetry/rejections
+ * Returns dropped telemetry packets newest-first with pagination.
+ * Only the most recent packets are retained (RejectedPacket is capped).
+ *
+ * Query params:
+ *   code     – comma-separated REJECTION_CODES, e.g. STALE,FUTURE (default: all)
+ *   device   – comma-separated device_ids (default: all devices)
+ *   location – comma-separated locations (default: all locations)
+ *   from     – ISO date string, inclusive lower bound on receivedAt (optional)
+ *   to       – ISO date string, inclusive upper bound on receivedAt (optional)
+ *   page     – 1-based page number (default: 1)
+ *   limit    – results per page, max 100 (default: 20)
+ *
+ * Response: { data: Rejection[], pagination: { total, page, pages, limit } }
+ */
+router.get('/rejections', requireAuth, async (req, res) => {
+  try {
+    const page  = Math.max(1, parseInt(req.query.page)  || 1);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 20), 100);
+    const skip  = (page - 1) * limit;
+
+    const query = await deviceIdFilter(req.query);
+
+    if (req.query.code) {
+      const vals = splitList(req.query.code).filter(s => VALID_CODES.has(s));
+      if (vals.length === 1) query.code = vals[0];
+      else if (vals.length > 1) query.code = { $in: vals };
+    }
+
+    if (req.query.from || req.query.to) {
+      query.receivedAt = {};
+      if (req.query.from) {
+        const d = new Date(req.query.from);
+        if (!isNaN(d.getTime())) query.receivedAt.$gte = d;
+      }
+      if (req.query.to) {
+        const d = new Date(req.query.to);
+        if (!isNaN(d.getTime())) query.receivedAt.$lte = d;
+      }
+    }
+
+    const [docs, total] = await Promise.all([
+      RejectedPacket.find(query).sort({ receivedAt: -1 }).skip(skip).limit(limit).lean(),
+      RejectedPacket.countDocuments(query),
+    ]);
+
+    res.json({
+      data:       docs.map(formatRejection),
+      pagination: { total, page, pages: Math.ceil(total / limit) || 1, limit },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /api/telemetry/rejections/stats?range=24h|7d|30d
+ * Per-reason rejection counters for charting, read from the hourly
+ * RejectionCount rollup (unaffected by the RejectedPacket cap).
+ *
+ * Query params:
+ *   range    – '24h' | '7d' | '30d'  (ignored when from+to are supplied)
+ *   from     – ISO date string (custom range start)
+ *   to       – ISO date string (custom range end)
+ *   device   – comma-separated device_ids (default: all devices)
+ *   location – comma-separated locations (default: all locations)
+ *
+ * Response: {
+ *   range, total,
+ *   byCode:   [{ code, count }],
+ *   overTime: [{ time, counts: { [code]: count } }]   — hourly for ≤ 2 days, else daily
+ * }
+ */
+router.get('/rejections/stats', requireAuth, async (req, res) => {
+  try {
+    let since, until, range, timeFmt;
+
+    if (req.query.from && req.query.to) {
+      const fromDate = new Date(req.query.from);
+      const toDate   = new Date(req.query.to);
+      if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+        return res.status(400).json({ error: 'Invalid date format for from/to' });
+      }
+      since   = fromDate;
+      until   = toDate;
+      until.setHours(23, 59, 59, 999);
+      range   = 'custom';
+      timeFmt = (until - since) / 86_400_000 <= 2 ? '%Y-%m-%dT%H:00' : '%Y-%m-%d';
+    } else {
+      range   = RANGE_MS[req.query.range] ? req.query.range : '24h';
+      since   = new Date(Date.now() - RANGE_MS[range]);
+      until   = new Date();
+      timeFmt = range === '24h' ? '%Y-%m-%dT%H:00' : '%Y-%m-%d';
+    }
+
+    const match = { ...(await deviceIdFilter(req.query)), hour: { $gte: since, $lte: until } };
+
+    const [byCode, buckets] = await Promise.all([
+      RejectionCount.aggregate([
+        { $match: match },
+        { $group: { _id: '$code', count: { $sum: '$count' } } },
+        { $sort: { count: -1 } },
+      ]),
+      RejectionCount.aggregate([
+        { $match: match },
+        { $group: {
+          _id:   { time: { $dateToString: { format: timeFmt, date: '$hour' } }, code: '$code' },
+          count: { $sum: '$count' },
+        }},
+        { $group: {
+          _id:    '$_id.time',
+          counts: { $push: { k: '$_id.code', v: '$count' } },
+        }},
+        { $sort: { _id: 1 } },
+      ]),
+    ]);
+
+    res.json({
+      range,
+      total:    byCode.reduce((s, c) => s + c.count, 0),
+      byCode:   byCode.map(c => ({ code: c._id, count: c.count })),
+      overTime: buckets.map(b => ({
+        time:   b._id,
+        counts: Object.fromEntries(b.counts.map(({ k, v }) => [k, v])),
+      })),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
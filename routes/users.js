@@ -7,6 +7,7 @@ const User    = require('../models/User');
 // All routes in this file already have requireAuth applied in server.js.
 // We only need the role check here.
 const { requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../services/auditService');
 
 // GET /api/users
 router.get('/', requireRole('admin'), async (_req, res) => {
@@ -35,6 +36,7 @@ router.post('/', requireRole('admin'), async (req, res) => {
     if (existing) return res.status(409).json({ error: 'Email already in use' });
 
     const user = await User.create({ name, email, password, role });
+    recordAudit(req, { action: 'user.create', targetType: 'user', targetId: user._id, after: User.formatForApi(user) });
     res.status(201).json(User.formatForApi(user));
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -47,6 +49,7 @@ router.put('/:id', requireRole('admin'), async (req, res) => {
     const { name, role, password } = req.body;
     const user = await User.findById(req.params.id).select('+password');
     if (!user) return res.status(404).json({ error: 'User not found' });
+    const before = User.formatForApi(user);
 
     // Prevent demoting the last admin
     if (role && role !== 'admin' && user.role === 'admin') {
@@ -61,7 +64,13 @@ router.put('/:id', requireRole('admin'), async (req, res) => {
     if (password) user.password = password;
 
     await user.save();
-    res.json(User.formatForApi(user));
+    const after = User.formatForApi(user);
+    recordAudit(req, {
+      action: 'user.update', targetType: 'user', targetId: user._id,
+      // The hash is never logged; record only that the password was changed.
+      before, after: password ? { ...after, passwordChanged: true } : after,
+    });
+    res.json(after);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -75,6 +84,7 @@ router.delete('/:id', requireRole('admin'), async (req, res) => {
     }
     const user = await User.findByIdAndDelete(req.params.id);
     if (!user) return res.status(404).json({ error: 'User not found' });
+    recordAudit(req, { action: 'user.delete', targetType: 'user', targetId: user._id, before: User.formatForApi(user) });
     res.json({ message: 'User deleted' });
   } catch (err) {
     res.status(500).json({ error: err.message });
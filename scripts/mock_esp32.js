@@ -14,7 +14,12 @@ const brokerUrl = process.env.MQTT_BROKER_URL || 'mqtts://YOUR_CLUSTER_URL.s1.eu
 const client = mqtt.connect(brokerUrl, options);
 
 const PREFIX           = process.env.MQTT_TOPIC_PREFIX ?? '';
-const TOPIC_TELEMETRY  = `${PREFIX}mfc/system_01/telemetry`;
+// Set DEVICE_ID to publish as a registered device (mfc/<DEVICE_ID>/telemetry);
+// without it the legacy topic is used, which the backend maps to MFC_01.
+const DEVICE_ID        = process.env.DEVICE_ID;
+const TOPIC_TELEMETRY  = DEVICE_ID
+  ? `${PREFIX}mfc/${DEVICE_ID}/telemetry`
+  : `${PREFIX}mfc/system_01/telemetry`;
 
 
 
@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * Notification Channel Test — Local Stand-in Servers
+ * ───────────────────────────────────────────────────
+ * Starts a minimal SMTP server and an HTTP server on localhost, points the
+ * notification service at them and sends one delivery over every channel
+ * type. Verifies that:
+ *   1. Email arrives at the SMTP stand-in with the right recipient and subject.
+ *   2. The webhook receives the alert JSON with a valid X-MFC-Signature.
+ *   3. The SMS gateway receives { to, message } with the Bearer token.
+ *   4. A non-2xx response is reported as a failure (so it would be retried).
+ *
+ * Usage:
+ *   node scripts/notification-test.js
+ *
+ * Needs neither MongoDB nor the backend server.
+ */
+
+const net    = require('net');
+const http   = require('http');
+const crypto = require('crypto');
+
+// ─── Colours ──────────────────────────────────────────────────────────────────
+const C = { reset: '\x1b[0m', bold: '\x1b[1m', red: '\x1b[31m', green: '\x1b[32m', cyan: '\x1b[36m' };
+const c = (col, s) => `${col}${s}${C.reset}`;
+
+// ─── Stand-in servers ─────────────────────────────────────────────────────────
+
+/** Speaks just enough SMTP for nodemailer; collects { from, to, data } per message. */
+function startSmtpServer(received) {
+  const server = net.createServer(socket => {
+    let msg = { to: [] };
+    let inData = false;
+    let buffer = '';
+    socket.write('220 localhost stand-in SMTP\r\n');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        msg.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        received.push(msg);
+        msg = { to: [] };
+        socket.write('250 OK queued\r\n');
+      }
+      let nl;
+      while (!inData && (nl = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, nl);
+        buffer = buffer.slice(nl + 2);
+        const cmd = line.slice(0, 4).toUpperCase();
+        if (cmd === 'EHLO' || cmd === 'HELO') socket.write('250 localhost\r\n');
+        else if (cmd === 'MAIL') { msg.from = line.slice(10); socket.write('250 OK\r\n'); }
+        else if (cmd === 'RCPT') { msg.to.push(line.slice(8)); socket.write('250 OK\r\n'); }
+        else if (cmd === 'DATA') { inData = true; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n'); }
+        else if (cmd === 'QUIT') { socket.end('221 Bye\r\n'); }
+        else socket.write('250 OK\r\n');
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/** Records every POST; /fail answers 500. */
+function startHttpServer(received) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      res.writeHead(req.url === '/fail' ? 500 : 200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+// ─── Checks ───────────────────────────────────────────────────────────────────
+
+let failures = 0;
+function check(label, ok) {
+  console.log(`  ${ok ? c(C.green, '✔') : c(C.red, '✘')} ${label}`);
+  if (!ok) failures++;
+}
+
+async function main() {
+  const mail = [];
+  const posts = [];
+  const smtp = await startSmtpServer(mail);
+  const web  = await startHttpServer(posts);
+  const base = `http://127.0.0.1:${web.address().port}`;
+
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(smtp.address().port);
+  const { deliver } = require('../services/notificationService');
+
+  const alert = {
+    id: 'test', severity: 'critical', sensor: 'ph', deviceId: 'esp32-01',
+    message: 'ph at 9.10 pH is outside safe range (6.5 – 8.5 pH)', timestamp: new Date().toISOString(),
+  };
+
+  console.log(c(C.bold + C.cyan, '\nEmail'));
+  await deliver({ type: 'email', name: 'Ops mail' }, { recipient: 'ops@example.com', subject: '[CRITICAL] esp32-01/ph alert', message: alert.message });
+  check('one message received', mail.length === 1);
+  check('addressed to ops@example.com', mail[0]?.to.some(t => t.includes('ops@example.com')));
+  check('subject preserved', mail[0]?.data.includes('Subject: [CRITICAL] esp32-01/ph alert'));
+
+  console.log(c(C.bold + C.cyan, '\nWebhook'));
+  const payload = { event: 'alert', alert };
+  await deliver({ type: 'webhook', name: 'Hook', url: `${base}/hook`, secret: 's3cret' }, { payload });
+  const hook = posts.find(p => p.path === '/hook');
+  const expected = 'sha256=' + crypto.createHmac('sha256', 's3cret').update(hook?.body ?? '').digest('hex');
+  check('alert JSON received', JSON.parse(hook?.body ?? '{}').alert?.sensor === 'ph');
+  check('signature verifies', hook?.headers['x-mfc-signature'] === expected);
+
+  console.log(c(C.bold + C.cyan, '\nSMS gateway'));
+  await deliver({ type: 'sms', name: 'SMS', url: `${base}/sms`, secret: 'gw-token' }, { recipient: '+15550100', message: 'short text' });
+  const sms = posts.find(p => p.path === '/sms');
+  check('{ to, message } received', JSON.parse(sms?.body ?? '{}').to === '+15550100');
+  check('Bearer token sent', sms?.headers.authorization === 'Bearer gw-token');
+
+  console.log(c(C.bold + C.cyan, '\nFailure'));
+  const err = await deliver({ type: 'webhook', name: 'Broken', url: `${base}/fail` }, { payload }).then(() => null, e => e);
+  check(`non-2xx rejects (${err?.message})`, Boolean(err));
+
+  smtp.close();
+  web.close();
+  console.log(failures ? c(C.red, `\n${failures} check(s) failed\n`) : c(C.green, '\nAll checks passed\n'));
+  process.exit(failures ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error(c(C.red, `[notification-test] ❌ ${err.message}`));
+  process.exit(1);
+});
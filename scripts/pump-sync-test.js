@@ -8,8 +8,7 @@
  *   1. Every new client receives the current pump state immediately on connect
  *      (pump_state_sync event).
  *   2. When one client sends a pump command via HTTP, all other clients see
- *      the update within milliseconds via pump_command / pump2_command /
- *      pump3_command Socket.io events.
+ *      the update within milliseconds via pump_state Socket.io events.
  *   3. AUTO mode is accepted for all three pumps.
  *
  * Usage:
@@ -63,8 +62,8 @@ function ts() {
   return c(C.dim, new Date().toLocaleTimeString('en-US', { hour12: false }));
 }
 
-async function httpCommand(endpoint, command) {
-  const res = await fetch(`${BACKEND_URL}${endpoint}`, {
+async function httpCommand(pump, command) {
+  const res = await fetch(`${BACKEND_URL}/api/pump/${pump}/command`, {
     method:  'POST',
     headers: {
       'Content-Type':  'application/json',
@@ -90,7 +89,7 @@ function createSocketClient(name, colourCode) {
 
   const received = {
     pumpStateSync:  null,   // first pump_state_sync payload
-    pumpCommands:   [],     // { pump, command, at }
+    pumpCommands:   [],     // { pump: 'pump1', command, at }
   };
 
   socket.on('connect', () =>
@@ -112,17 +111,10 @@ function createSocketClient(name, colourCode) {
     );
   });
 
-  socket.on('pump_command',  ({ command }) => {
-    received.pumpCommands.push({ pump: 1, command, at: Date.now() });
-    log(`pump_command   pump1 → ${c(C.yellow, command)}`);
-  });
-  socket.on('pump2_command', ({ command }) => {
-    received.pumpCommands.push({ pump: 2, command, at: Date.now() });
-    log(`pump2_command  pump2 → ${c(C.yellow, command)}`);
-  });
-  socket.on('pump3_command', ({ command }) => {
-    received.pumpCommands.push({ pump: 3, command, at: Date.now() });
-    log(`pump3_command  pump3 → ${c(C.yellow, command)}`);
+  socket.on('pump_state', ({ pump, mode, source }) => {
+    if (source === 'ack') return; // count each command once (broker echo)
+    received.pumpCommands.push({ pump, command: mode, at: Date.now() });
+    log(`pump_state  ${pump} → ${c(C.yellow, mode)}`);
   });
 
   return { name, socket, received, log };
@@ -158,9 +150,9 @@ async function runTests() {
   // Drive pumps to a known baseline: pump1=AUTO, pump2=MANUAL_OFF, pump3=MANUAL_OFF
   console.log(c(C.dim, '\n  [test] Setting baseline: pump1=AUTO pump2=MANUAL_OFF pump3=MANUAL_OFF'));
   try {
-    await httpCommand('/api/pump/command',  'AUTO');        await wait(400);
-    await httpCommand('/api/pump/command2', 'MANUAL_OFF');  await wait(400);
-    await httpCommand('/api/pump/command3', 'MANUAL_OFF');  await wait(400);
+    await httpCommand('pump1', 'AUTO');        await wait(400);
+    await httpCommand('pump2', 'MANUAL_OFF');  await wait(400);
+    await httpCommand('pump3', 'MANUAL_OFF');  await wait(400);
   } catch (err) {
     console.error(c(C.red, `  [ERROR] HTTP command failed: ${err.message}`));
     console.error(c(C.red, '  Is the backend server running?'));
@@ -197,18 +189,18 @@ async function runTests() {
   console.log(c(C.bold, '\n── Phase 3: state is updated before a third client joins ────\n'));
 
   console.log(c(C.dim, '  [test] Changing: pump1=MANUAL_ON pump2=AUTO pump3=AUTO'));
-  await httpCommand('/api/pump/command',  'MANUAL_ON');  await wait(400);
-  await httpCommand('/api/pump/command2', 'AUTO');        await wait(400);
-  await httpCommand('/api/pump/command3', 'AUTO');        await wait(400);
+  await httpCommand('pump1', 'MANUAL_ON');  await wait(400);
+  await httpCommand('pump2', 'AUTO');        await wait(400);
+  await httpCommand('pump3', 'AUTO');        await wait(400);
   await wait(600);
 
   // Verify A and B both got the live updates
-  const aGotP1 = clientA.received.pumpCommands.some(e => e.pump === 1 && e.command === 'MANUAL_ON');
-  const aGotP2 = clientA.received.pumpCommands.some(e => e.pump === 2 && e.command === 'AUTO');
-  const aGotP3 = clientA.received.pumpCommands.some(e => e.pump === 3 && e.command === 'AUTO');
-  const bGotP1 = clientB.received.pumpCommands.some(e => e.pump === 1 && e.command === 'MANUAL_ON');
-  const bGotP2 = clientB.received.pumpCommands.some(e => e.pump === 2 && e.command === 'AUTO');
-  const bGotP3 = clientB.received.pumpCommands.some(e => e.pump === 3 && e.command === 'AUTO');
+  const aGotP1 = clientA.received.pumpCommands.some(e => e.pump === 'pump1' && e.command === 'MANUAL_ON');
+  const aGotP2 = clientA.received.pumpCommands.some(e => e.pump === 'pump2' && e.command === 'AUTO');
+  const aGotP3 = clientA.received.pumpCommands.some(e => e.pump === 'pump3' && e.command === 'AUTO');
+  const bGotP1 = clientB.received.pumpCommands.some(e => e.pump === 'pump1' && e.command === 'MANUAL_ON');
+  const bGotP2 = clientB.received.pumpCommands.some(e => e.pump === 'pump2' && e.command === 'AUTO');
+  const bGotP3 = clientB.received.pumpCommands.some(e => e.pump === 'pump3' && e.command === 'AUTO');
 
   assert('Client-A received pump1=MANUAL_ON via socket',  aGotP1);
   assert('Client-A received pump2=AUTO via socket',        aGotP2);
@@ -242,15 +234,15 @@ async function runTests() {
 
   const commandsBefore = clientA.received.pumpCommands.length;
   const rapidSequence = [
-    ['/api/pump/command',  'MANUAL_OFF'],
-    ['/api/pump/command2', 'MANUAL_OFF'],
-    ['/api/pump/command3', 'MANUAL_OFF'],
-    ['/api/pump/command',  'AUTO'],
-    ['/api/pump/command2', 'MANUAL_ON'],
-    ['/api/pump/command3', 'MANUAL_ON'],
+    ['pump1', 'MANUAL_OFF'],
+    ['pump2', 'MANUAL_OFF'],
+    ['pump3', 'MANUAL_OFF'],
+    ['pump1', 'AUTO'],
+    ['pump2', 'MANUAL_ON'],
+    ['pump3', 'MANUAL_ON'],
   ];
-  for (const [ep, cmd] of rapidSequence) {
-    await httpCommand(ep, cmd);
+  for (const [pump, cmd] of rapidSequence) {
+    await httpCommand(pump, cmd);
     await wait(200);
   }
   await wait(800);
@@ -263,9 +255,9 @@ async function runTests() {
 
   // ── Restore baseline ──────────────────────────────────────────────────────
   console.log(c(C.dim, '\n  [test] Restoring baseline: pump1=AUTO pump2=MANUAL_OFF pump3=MANUAL_OFF'));
-  await httpCommand('/api/pump/command',  'AUTO');       await wait(300);
-  await httpCommand('/api/pump/command2', 'MANUAL_OFF'); await wait(300);
-  await httpCommand('/api/pump/command3', 'MANUAL_OFF'); await wait(300);
+  await httpCommand('pump1', 'AUTO');       await wait(300);
+  await httpCommand('pump2', 'MANUAL_OFF'); await wait(300);
+  await httpCommand('pump3', 'MANUAL_OFF'); await wait(300);
 
   // ── Summary ───────────────────────────────────────────────────────────────
   console.log(c(C.bold, '\n══════════════════════════════════════════'));
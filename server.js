@@ -9,14 +9,37 @@ const cors   = require('cors');
 const jwt    = require('jsonwebtoken');
 
 // Import our custom modules
-const { initMqttListener, getPumpState } = require('./services/mqttListener');
+const { initMqttListener, refreshActuatorSubscriptions } = require('./services/mqttListener');
 const SystemLog  = require('./models/SystemLog');
 const apiRoutes    = require('./routes/api');
 const authRoutes   = require('./routes/auth');
 const usersRoutes  = require('./routes/users');
 const pumpRoutes   = require('./routes/pump');
 const exportRoutes = require('./routes/export');
-const { checkDeviceOffline } = require('./services/alertService');
+const devicesRoutes = require('./routes/devices');
+const telemetryRoutes = require('./routes/telemetry');
+const apiKeysRoutes = require('./routes/apiKeys');
+const auditRoutes  = require('./routes/audit');
+const pumpScheduleRoutes = require('./routes/pumpSchedules');
+const pumpInterlockRoutes = require('./routes/pumpInterlocks');
+const automationRoutes = require('./routes/automation');
+const notificationRoutes = require('./routes/notifications');
+const escalationPolicyRoutes = require('./routes/escalationPolicies');
+const maintenanceWindowRoutes = require('./routes/maintenanceWindows');
+const complianceRoutes = require('./routes/compliance');
+const complianceRuleSetRoutes = require('./routes/complianceRuleSets');
+const { checkDeviceOffline, loadAlertState } = require('./services/alertService');
+const { ensureDefaultDevice } = require('./services/deviceService');
+const { seedLastSeen } = require('./services/sensorStatusService');
+const { expirePendingCommands } = require('./services/pumpCommandService');
+const { getPumpState, loadPumpState } = require('./services/pumpStateService');
+const { ensureDefaultActuators } = require('./services/actuatorService');
+const { runScheduler, SCHEDULE_TICK_MS } = require('./services/pumpScheduler');
+const { ensureDefaultInterlocks } = require('./services/interlockService');
+const { retryDueDeliveries, RETRY_TICK_MS } = require('./services/notificationService');
+const { checkEscalations, ESCALATION_TICK_MS } = require('./services/escalationService');
+const { runComplianceRollup, ROLLUP_TICK_MS } = require('./services/complianceService');
+const { ensureDefaultRuleSet } = require('./services/complianceRuleService');
 const { requireAuth, JWT_SECRET } = require('./middleware/auth');
 
 const app    = express();
@@ -44,8 +67,40 @@ const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/mfc_databa
 mongoose.connect(MONGO_URI)
   .then(() => {
     console.log('✅ MongoDB Connected Successfully');
-    // Start device offline detection — runs every 30 s after DB is ready
-    setInterval(() => checkDeviceOffline(io, SystemLog), 30_000);
+    ensureDefaultDevice().catch(err =>
+      console.error('❌ Failed to seed default device:', err.message)
+    );
+    // Load the actuator registry before pump state so every actuator has an entry
+    ensureDefaultActuators()
+      .then(() => refreshActuatorSubscriptions(mqttClient))
+      .catch(err => console.error('❌ Failed to load actuator registry:', err.message))
+      .then(() => loadPumpState())
+      .catch(err => console.error('❌ Failed to restore pump state:', err.message));
+    ensureDefaultInterlocks().catch(err =>
+      console.error('❌ Failed to seed interlock rules:', err.message)
+    );
+    ensureDefaultRuleSet().catch(err =>
+      console.error('❌ Failed to seed compliance rule set:', err.message)
+    );
+    loadAlertState().catch(err =>
+      console.error('❌ Failed to load alert state:', err.message)
+    );
+    seedLastSeen().catch(err =>
+      console.error('❌ Failed to load sensor last-seen times:', err.message)
+    );
+    // Start device and sensor offline detection — runs every 30 s after DB is ready
+    setInterval(() => checkDeviceOffline(io), 30_000);
+    // Escalate alerts nobody has acknowledged
+    setInterval(() => checkEscalations(io), ESCALATION_TICK_MS);
+    // Time out pump commands the ESP32 never acknowledged
+    setInterval(() => expirePendingCommands(io), 5_000);
+    // Run pump schedules
+    setInterval(() => runScheduler(io, mqttClient), SCHEDULE_TICK_MS);
+    // Retry alert notifications that could not be delivered
+    setInterval(() => retryDueDeliveries(), RETRY_TICK_MS);
+    // Persist daily EOR compliance once each day has closed
+    runComplianceRollup();
+    setInterval(() => runComplianceRollup(), ROLLUP_TICK_MS);
   })
   .catch(err => console.error('❌ MongoDB Connection Error:', err));
 
@@ -59,7 +114,20 @@ app.use('/api/auth', authRoutes);
 // 5. Protected routes
 // Note: pumpRoutes is mounted before the general /api handler so it
 // takes precedence. It carries its own auth via requireRole.
+// telemetryRoutes likewise carries its own auth (API key or user token).
 app.use('/api/users',  requireAuth, usersRoutes);
+app.use('/api/devices', requireAuth, devicesRoutes);
+app.use('/api/api-keys', requireAuth, apiKeysRoutes);
+app.use('/api/audit',  requireAuth, auditRoutes);
+app.use('/api/automation', requireAuth, automationRoutes);
+app.use('/api/notifications', requireAuth, notificationRoutes);
+app.use('/api/escalation-policies', requireAuth, escalationPolicyRoutes);
+app.use('/api/maintenance-windows', requireAuth, maintenanceWindowRoutes);
+app.use('/api/compliance/rule-sets', requireAuth, complianceRuleSetRoutes);
+app.use('/api/compliance', requireAuth, complianceRoutes);
+app.use('/api/telemetry', telemetryRoutes);
+app.use('/api/pump/schedules', requireAuth, pumpScheduleRoutes);
+app.use('/api/pump/interlocks', requireAuth, pumpInterlockRoutes);
 app.use('/api/pump',   pumpRoutes);
 app.use('/api/export', exportRoutes);
 app.use('/api',        requireAuth, apiRoutes);
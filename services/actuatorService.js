@@ -0,0 +1,86 @@
+'use strict';
+
+const Actuator = require('../models/Actuator');
+
+// ─── Factory defaults ─────────────────────────────────────────────────────────
+// The three pumps of the original rig. Seeded on first startup and used as the
+// registry until MongoDB is available (startup race condition).
+
+const PUMP_MODES = ['MANUAL_ON', 'MANUAL_OFF', 'AUTO'];
+
+const DEFAULT_ACTUATORS = [
+  { actuator_id: 'pump1', label: 'Pump 1', kind: 'pump', topic: 'mfc/system/_01/command', modes: PUMP_MODES, default_mode: 'AUTO',       enabled: true },
+  { actuator_id: 'pump2', label: 'Pump 2', kind: 'pump', topic: 'mfc/system/_02/command', modes: PUMP_MODES, default_mode: 'MANUAL_OFF', enabled: true },
+  { actuator_id: 'pump3', label: 'Pump 3', kind: 'pump', topic: 'mfc/system/_03/command', modes: PUMP_MODES, default_mode: 'MANUAL_OFF', enabled: true },
+];
+
+const ACK_SUFFIX = '/ack';
+
+// ─── In-memory registry ───────────────────────────────────────────────────────
+// The MQTT message handler looks actuators up by topic on every message, so the
+// registry is held in memory and reloaded whenever /api/pump/actuators changes it.
+
+let _actuators = DEFAULT_ACTUATORS;
+
+/** Returns every registered actuator (lean documents). */
+function getActuators() {
+  return _actuators;
+}
+
+/** Returns the actuator with `actuatorId`, or undefined. */
+function getActuator(actuatorId) {
+  return _actuators.find(a => a.actuator_id === actuatorId);
+}
+
+/**
+ * Resolves an MQTT topic to its actuator.
+ *
+ * @param {string} topic
+ * @returns {{ actuator: object, ack: boolean }|null} — ack is true for `${topic}/ack`
+ */
+function resolveActuatorTopic(topic) {
+  const command = _actuators.find(a => a.topic === topic);
+  if (command) return { actuator: command, ack: false };
+  if (topic.endsWith(ACK_SUFFIX)) {
+    const base = topic.slice(0, -ACK_SUFFIX.length);
+    const acked = _actuators.find(a => a.topic === base);
+    if (acked) return { actuator: acked, ack: true };
+  }
+  return null;
+}
+
+/** Returns every command and ack topic the MQTT client must subscribe to. */
+function getActuatorTopics() {
+  return _actuators.flatMap(a => [a.topic, a.topic + ACK_SUFFIX]);
+}
+
+/**
+ * Reloads the registry from MongoDB. Called after seeding and after every
+ * change made through /api/pump/actuators.
+ */
+async function loadActuators() {
+  _actuators = await Actuator.find().sort({ actuator_id: 1 }).lean();
+  return _actuators;
+}
+
+/**
+ * Seeds DEFAULT_ACTUATORS into an empty registry, then loads it.
+ * Only an empty collection is seeded so actuators an admin deleted stay deleted.
+ * Called once from server.js after MongoDB connects.
+ */
+async function ensureDefaultActuators() {
+  if (await Actuator.countDocuments() === 0) {
+    await Actuator.insertMany(DEFAULT_ACTUATORS);
+  }
+  return loadActuators();
+}
+
+module.exports = {
+  getActuators,
+  getActuator,
+  resolveActuatorTopic,
+  getActuatorTopics,
+  loadActuators,
+  ensureDefaultActuators,
+  DEFAULT_ACTUATORS,
+};
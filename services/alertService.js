@@ -1,119 +1,429 @@
 'use strict';
 
-const Alert = require('../models/Alert');
+const Alert  = require('../models/Alert');
+const Device = require('../models/Device');
 const settingsService = require('./settingsService');
+const { notifyAlert } = require('./notificationService');
+const { SENSORS, SENSOR_FIELDS } = require('./sensorMetadata');
+const { getDeviceStatus, OFFLINE_THRESHOLD_MS } = require('./sensorStatusService');
+const { findActiveWindow } = require('./maintenanceService');
 
 // ─── In-memory deduplication ──────────────────────────────────────────────────
-// Tracks which sensor:severity combinations already have an active alert.
-// Avoids a DB round-trip on every telemetry packet for the common (no-alert) case.
-// Populated lazily from DB so it survives restarts.
-const activeKeys = new Set(); // `${sensor}:${severity}`
+// Caches which device:sensor:rule:severity combinations have an unresolved
+// alert, so a sensor that stays out of range costs no DB round-trip per packet.
+// Loaded from MongoDB at startup (loadAlertState) and kept up to date as alerts
+// are raised and resolved.
+// System-wide alerts (no device) use an empty device segment, range-threshold
+// and offline alerts an empty rule segment.
+//
+// MongoDB stays the source of truth: a partial unique index (models/Alert.js)
+// allows one unresolved alert per device + sensor + rule, so backend replicas
+// racing to raise the same alert end up with one. Cache entries are re-checked
+// against the DB after ACTIVE_KEY_TTL_MS, so an alert resolved elsewhere (by
+// another replica) can fire again.
+const ACTIVE_KEY_TTL_MS = 60_000;
+const activeKeys = new Map(); // `${device_id}:${sensor}:${rule}:${severity}` → cached at (ms)
+
+const alertKey = (deviceId, sensor, severity, rule) => `${deviceId ?? ''}:${sensor}:${rule ?? ''}:${severity}`;
+
+const isCached = key => Date.now() - (activeKeys.get(key) ?? -Infinity) < ACTIVE_KEY_TTL_MS;
+
+const hasActiveKey = (deviceId, sensor, rule) => {
+  const prefix = `${deviceId ?? ''}:${sensor}:${rule ?? ''}:`;
+  for (const key of activeKeys.keys()) if (key.startsWith(prefix)) return true;
+  return false;
+};
+
+const UNRESOLVED = ['active', 'acknowledged'];
+
+// ─── Debounce state ───────────────────────────────────────────────────────────
+// Out-of-range streaks that have not fired yet, per device:sensor. A streak
+// ends (and the entry is dropped) as soon as a reading is back within [min, max].
+const breaches = new Map(); // `${device_id}:${sensor}` → { since: Date, packets: number }
+
+// ─── Sensor-fault state ───────────────────────────────────────────────────────
+// Per device:sensor, updated by every packet that carries the field.
+const lastReadings = new Map(); // `${device_id}:${sensor}` → { value: number, at: Date }
+const flatlines    = new Map(); // `${device_id}:${sensor}` → { value: number, since: Date }
+
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
 
 // ─── Dynamic threshold rules ──────────────────────────────────────────────────
 // Rules are built from the persisted settings on every telemetry packet so that
 // changes made in the Settings page take effect immediately.
 
-const UNITS = { ph: 'pH', tds: 'ppm', temperature: '°C', flow_rate: 'L/min', voltage: 'V', current: 'A' };
-const DECIMALS = { ph: 2, tds: 0, temperature: 1, flow_rate: 2, voltage: 2, current: 3 };
+/**
+ * Places a reading relative to a threshold:
+ *   'out'    – outside [min, max] (a min of 0 disables the lower bound)
+ *   'margin' – inside, but within `deadband` of a bound: an active alert is kept
+ *   'in'     – safely inside: an active alert resolves
+ */
+function classifyReading(value, { min, max, deadband = 0 }) {
+  if ((min > 0 && value < min) || value > max) return 'out';
+  if ((min > 0 && value < min + deadband) || value > max - deadband) return 'margin';
+  return 'in';
+}
+
+/**
+ * Returns the most severe band the reading is outside of, or null.
+ *
+ * @param {number} value
+ * @param {{ severity: string, min: number, max: number }[]} bands
+ */
+function highestBreach(value, bands) {
+  let worst = null;
+  for (const band of bands) {
+    if (classifyReading(value, band) !== 'out') continue;
+    if (!worst || SEVERITY_RANK[band.severity] > SEVERITY_RANK[worst.severity]) worst = band;
+  }
+  return worst;
+}
+
+/**
+ * Extends an out-of-range streak by one packet.
+ *
+ * @param {{ minDurationSeconds?: number, minPackets?: number }} threshold
+ * @param {{ since: Date, packets: number }|undefined} streak — undefined for a new streak
+ * @param {Date} at — packet timestamp
+ * @returns {{ streak: object, fire: boolean }}
+ */
+function stepBreach({ minDurationSeconds = 0, minPackets = 1 }, streak, at) {
+  const since   = streak?.since ?? at;
+  const packets = (streak?.packets ?? 0) + 1;
+  const fire    = packets >= minPackets && at.getTime() - since.getTime() >= minDurationSeconds * 1000;
+  return { streak: { since, packets }, fire };
+}
+
+/**
+ * Rate of change from `prev` to a new reading, in units per minute.
+ * Null when the new reading is not later than `prev`.
+ *
+ * @param {{ value: number, at: Date }} prev
+ * @param {number} value
+ * @param {Date}   at
+ */
+function ratePerMinute(prev, value, at) {
+  const minutes = (at.getTime() - prev.at.getTime()) / 60_000;
+  return minutes > 0 ? Math.abs(value - prev.value) / minutes : null;
+}
+
+/**
+ * Extends a flatline run by one reading: a value within `tolerance` of the
+ * run's first value continues it, anything else starts a new run.
+ *
+ * @param {{ value: number, since: Date }|undefined} run — undefined for the first reading
+ * @param {number} value
+ * @param {Date}   at
+ * @param {number} [tolerance=0]
+ * @returns {{ value: number, since: Date }}
+ */
+function stepFlatline(run, value, at, tolerance = 0) {
+  if (run && Math.abs(value - run.value) <= tolerance) return run;
+  return { value, since: at };
+}
 
 function buildThresholdRules(thresholds) {
-  return ['ph', 'tds', 'temperature', 'flow_rate'].map(sensor => {
-    const { min, max, severity } = thresholds[sensor];
-    const unit    = UNITS[sensor];
-    const dec     = DECIMALS[sensor];
-    const rangeStr = sensor === 'tds' ? `≤ ${max} ${unit}` : `${min} – ${max} ${unit}`;
+  return SENSOR_FIELDS.map(sensor => {
+    const threshold = thresholds[sensor];
+    const { unit, decimals: dec } = SENSORS[sensor];
+    const rangeStr = ({ min, max }) => (min > 0 ? `${min} – ${max} ${unit}` : `≤ ${max} ${unit}`);
+
+    const bands = [{ severity: threshold.severity, min: threshold.min, max: threshold.max }];
+    if (threshold.critical) bands.push({ severity: 'critical', ...threshold.critical });
+
     return {
       sensor,
-      severity,
-      threshold: rangeStr,
-      check:   p => (min > 0 && p[sensor] < min) || p[sensor] > max,
-      message: p => `${sensor.replace('_', ' ')} at ${Number(p[sensor]).toFixed(dec)} ${unit} is outside safe range (${rangeStr})`,
+      debounce:  threshold,
+      classify:  p => classifyReading(p[sensor], threshold),
+      breach:    p => highestBreach(p[sensor], bands),
+      threshold: band => rangeStr(band),
+      message:   (p, band) => `${sensor.replace('_', ' ')} at ${Number(p[sensor]).toFixed(dec)} ${unit} is outside ${band.severity === 'critical' ? 'critical' : 'safe'} range (${rangeStr(band)})`,
     };
   });
 }
 
-const OFFLINE_THRESHOLD_MS = 60_000; // 60 s without telemetry → device offline alert
-
 // ─── Core helpers ─────────────────────────────────────────────────────────────
 
 /**
- * Creates and persists a new alert, then emits it via Socket.io.
- * No-ops if an active alert for the same sensor + severity already exists.
+ * Creates and persists a new alert, emits it via Socket.io and hands it to the
+ * notification channels (in the background).
+ * No-ops if an unresolved alert for the same device + sensor already exists at
+ * this severity or above; one at a lower severity is upgraded instead, unless
+ * it is snoozed. Also a no-op while a maintenance window covers the sensor.
  */
-async function createAlert(io, { severity, sensor, message, value, threshold }) {
-  const key = `${sensor}:${severity}`;
-  if (activeKeys.has(key)) return;
+async function createAlert(io, { severity, sensor, rule, deviceId, message, value, threshold }) {
+  const key = alertKey(deviceId, sensor, severity, rule);
+  if (isCached(key)) return;
+  const cache = () => activeKeys.set(key, Date.now());
+
+  // Left uncached, so a condition that outlasts the window alerts once it ends
+  if (await findActiveWindow(deviceId, sensor)) return;
+
+  // Cache miss or stale entry: check the DB
+  const existing = await Alert.findOne({
+    sensor,
+    rule:   rule ?? { $exists: false },
+    status: { $in: UNRESOLVED },
+    device_id: deviceId ?? { $exists: false },
+  }).sort({ timestamp: -1 }).lean();
+  if (existing && SEVERITY_RANK[existing.severity] >= SEVERITY_RANK[severity]) {
+    cache();
+    return;
+  }
+  // Uncached likewise: the upgrade happens once the snooze is over
+  if (existing?.snoozedUntil > new Date()) return;
+
+  cache();
 
-  // Sync in-memory set with DB on first encounter (handles server restarts)
-  const existing = await Alert.findOne({ sensor, severity, status: 'active' });
   if (existing) {
-    activeKeys.add(key);
+    await upgradeAlert(io, existing, { severity, message, value, threshold });
     return;
   }
 
-  activeKeys.add(key);
+  let doc;
+  try {
+    doc = await Alert.create({ severity, sensor, rule, device_id: deviceId, message, value, threshold });
+  } catch (err) {
+    if (err.code === 11000) return; // another replica raised it first
+    throw err;
+  }
+  const alert = formatAlert(doc.toObject());
+  io.emit('system_alert', alert);
+  notifyAlert(alert);
 
-  const doc = await Alert.create({ severity, sensor, message, value, threshold });
-  io.emit('system_alert', formatAlert(doc.toObject()));
+  console.log(`[alertService] 🚨 [${severity.toUpperCase()}] ${deviceId ?? 'system'}/${sensor} — ${message}`);
+}
 
-  console.log(`[alertService] 🚨 [${severity.toUpperCase()}] ${sensor} — ${message}`);
+/**
+ * Raises an unresolved alert to a higher severity in place. An acknowledged
+ * alert becomes active again — the new severity needs fresh attention.
+ */
+async function upgradeAlert(io, existing, { severity, message, value, threshold }) {
+  const doc = await Alert.findOneAndUpdate(
+    { _id: existing._id, status: { $in: ['active', 'acknowledged'] } },
+    {
+      $set:   { severity, message, value, threshold, status: 'active', upgradedFrom: existing.severity, upgradedAt: new Date() },
+      $unset: { acknowledgedAt: 1, acknowledgedBy: 1, acknowledgedByName: 1 },
+    },
+    { new: true }
+  ).lean();
+  if (!doc) return;
+
+  const alert = formatAlert(doc);
+  io.emit('alert_upgraded', alert);
+  notifyAlert(alert);
+
+  console.log(`[alertService] ⏫ [${existing.severity.toUpperCase()} → ${severity.toUpperCase()}] ${doc.device_id ?? 'system'}/${doc.sensor} — ${message}`);
 }
 
 /**
  * Resolves all active/acknowledged alerts for a given sensor.
  * Called when a condition clears (reading back in safe range).
+ * When `deviceId` is omitted, alerts for that sensor are resolved on every device;
+ * null resolves only system-wide alerts (those without a device).
+ * `rule` picks which alerts: omitted for range-threshold (and offline) alerts,
+ * a sensor-fault rule name for that rule's alerts, or '*' for all of them.
  */
-async function resolveAlertsForSensor(io, sensor) {
+async function resolveAlertsForSensor(io, sensor, deviceId, rule) {
   // Remove all severity levels for this sensor from the in-memory set
-  for (const key of activeKeys) {
-    if (key.startsWith(`${sensor}:`)) activeKeys.delete(key);
+  for (const key of activeKeys.keys()) {
+    const [keyDevice, keySensor, keyRule] = key.split(':');
+    if (keySensor === sensor && (deviceId === undefined || keyDevice === (deviceId ?? '')) &&
+        (rule === '*' || keyRule === (rule ?? ''))) {
+      activeKeys.delete(key);
+    }
   }
 
-  const result = await Alert.updateMany(
-    { sensor, status: { $in: ['active', 'acknowledged'] } },
-    { status: 'resolved', resolvedAt: new Date() }
-  );
+  const filter = { sensor, status: { $in: ['active', 'acknowledged'] } };
+  if (deviceId !== undefined) filter.device_id = deviceId ?? { $exists: false };
+  if (rule !== '*') filter.rule = rule ?? { $exists: false };
+
+  const result = await Alert.updateMany(filter, { status: 'resolved', resolvedAt: new Date() });
 
   if (result.modifiedCount > 0) {
-    console.log(`[alertService] ✅ Auto-resolved ${result.modifiedCount} alert(s) for: ${sensor}`);
-    io.emit('alert_resolved', { sensor });
+    console.log(`[alertService] ✅ Auto-resolved ${result.modifiedCount} alert(s) for: ${deviceId === undefined ? 'all devices' : deviceId ?? 'system'}/${sensor}${rule && rule !== '*' ? ` (${rule})` : ''}`);
+    io.emit('alert_resolved', { sensor, ...(deviceId != null && { deviceId }), ...(rule && rule !== '*' && { rule }) });
+  }
+}
+
+/**
+ * Evaluates the sensor-fault rules (rate of change, flatline, missing field)
+ * for one packet. Range thresholds are handled by processTelemetryAlerts.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {object} payload    — validated telemetry
+ * @param {object} device     — registered Device the packet came from
+ * @param {object} thresholds — settings.thresholds
+ * @param {Date}   at         — packet timestamp
+ */
+async function processFaultRules(io, payload, device, thresholds, at) {
+  const deviceId = device.device_id;
+
+  for (const sensor of SENSOR_FIELDS) {
+    const t     = thresholds[sensor];
+    const key   = `${deviceId}:${sensor}`;
+    const value = payload[sensor];
+    const prev  = lastReadings.get(key);
+    const { unit, decimals: dec } = SENSORS[sensor];
+    const name  = sensor.replace('_', ' ');
+
+    // Missing field — only judged against packets that still arrive; a device
+    // that goes silent altogether is checkDeviceOffline's job.
+    if (value == null) {
+      const silentMs = prev ? at.getTime() - prev.at.getTime() : 0;
+      if (t.missingAfterSeconds > 0 && silentMs >= t.missingAfterSeconds * 1000) {
+        await createAlert(io, {
+          severity:  'warning',
+          sensor,
+          rule:      'missing',
+          deviceId,
+          message:   `${name} missing from telemetry for ${Math.floor(silentMs / 1000)} s — sensor may be disconnected`,
+          threshold: `< ${t.missingAfterSeconds} s since last reading`,
+        });
+      }
+      continue;
+    }
+    lastReadings.set(key, { value, at });
+    if (hasActiveKey(deviceId, sensor, 'missing')) await resolveAlertsForSensor(io, sensor, deviceId, 'missing');
+
+    // Rate of change — a jump is a one-off event, not an ongoing condition, so
+    // its alert is never auto-resolved. Later jumps are covered by the open
+    // alert; once an operator resolves it, the next jump raises a new one.
+    const rate = prev && ratePerMinute(prev, value, at);
+    if (t.maxRatePerMinute > 0 && rate > t.maxRatePerMinute) {
+      await createAlert(io, {
+        severity:  'warning',
+        sensor,
+        rule:      'rate_of_change',
+        deviceId,
+        message:   `${name} jumped from ${prev.value.toFixed(dec)} to ${value.toFixed(dec)} ${unit} (${rate.toFixed(dec)} ${unit}/min) — sensor may be faulty`,
+        value,
+        threshold: `≤ ${t.maxRatePerMinute} ${unit}/min`,
+      });
+    }
+
+    // Flatline
+    const run = stepFlatline(flatlines.get(key), value, at, t.flatlineTolerance);
+    flatlines.set(key, run);
+    const stuckMs = at.getTime() - run.since.getTime();
+    if (stuckMs === 0) {
+      if (hasActiveKey(deviceId, sensor, 'flatline')) await resolveAlertsForSensor(io, sensor, deviceId, 'flatline');
+    } else if (t.flatlineMinutes > 0 && stuckMs >= t.flatlineMinutes * 60_000) {
+      await createAlert(io, {
+        severity:  'warning',
+        sensor,
+        rule:      'flatline',
+        deviceId,
+        message:   `${name} stuck at ${run.value.toFixed(dec)} ${unit} for ${Math.floor(stuckMs / 60_000)} min — sensor may be faulty`,
+        value,
+        threshold: `changes by more than ${t.flatlineTolerance} ${unit} within ${t.flatlineMinutes} min`,
+      });
+    }
   }
 }
 
 // ─── Public API ───────────────────────────────────────────────────────────────
 
+/**
+ * Reconciles alert state with MongoDB. Called once from server.js after
+ * MongoDB connects:
+ *   1. resolves duplicate unresolved alerts left from before the unique index
+ *      existed (the newest of each device + sensor + rule is kept);
+ *   2. builds the indexes, including the unique one;
+ *   3. caches every unresolved alert in activeKeys.
+ */
+async function loadAlertState() {
+  const groups = await Alert.aggregate([
+    { $match: { status: { $in: UNRESOLVED } } },
+    { $sort: { timestamp: -1 } },
+    { $group: { _id: { device_id: '$device_id', sensor: '$sensor', rule: '$rule' }, ids: { $push: '$_id' } } },
+    { $match: { 'ids.1': { $exists: true } } },
+  ]);
+  const duplicates = groups.flatMap(g => g.ids.slice(1));
+  if (duplicates.length) {
+    await Alert.updateMany({ _id: { $in: duplicates } }, { status: 'resolved', resolvedAt: new Date() });
+    console.warn(`[alertService] Resolved ${duplicates.length} duplicate unresolved alert(s)`);
+  }
+
+  await Alert.createIndexes();
+
+  const open = await Alert.find({ status: { $in: UNRESOLVED } }).select('device_id sensor severity rule').lean();
+  const now  = Date.now();
+  for (const a of open) activeKeys.set(alertKey(a.device_id, a.sensor, a.severity, a.rule), now);
+  console.log(`[alertService] Loaded ${open.length} unresolved alert(s)`);
+}
+
+/**
+ * Drops a resolved alert from the cache, so its condition can alert again
+ * straight away. Called when an alert is resolved by hand.
+ *
+ * @param {object} doc — lean Alert
+ */
+function forgetAlert(doc) {
+  activeKeys.delete(alertKey(doc.device_id, doc.sensor, doc.severity, doc.rule));
+}
+
 /**
  * Called after every valid telemetry packet.
- * Loads the latest settings, then evaluates all threshold rules and fires/clears alerts.
+ * Loads the latest settings, then evaluates all threshold and sensor-fault rules
+ * and fires/clears alerts scoped to the device that reported the packet.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {object} payload — validated telemetry
+ * @param {object} device  — registered Device the packet came from
  */
-async function processTelemetryAlerts(io, payload) {
+async function processTelemetryAlerts(io, payload, device) {
   try {
     const settings = await settingsService.getSettings();
 
     // If alerts are globally disabled, still resolve any existing active alerts
     // so the UI doesn't show stale active alerts when the toggle is off.
     if (!settings.alertsEnabled) {
-      for (const sensor of ['ph', 'tds', 'temperature', 'flow_rate']) {
-        await resolveAlertsForSensor(io, sensor);
+      for (const sensor of SENSOR_FIELDS) {
+        const key = `${device.device_id}:${sensor}`;
+        breaches.delete(key);
+        lastReadings.delete(key);
+        flatlines.delete(key);
+        await resolveAlertsForSensor(io, sensor, device.device_id, '*');
       }
       return;
     }
 
     const rules = buildThresholdRules(settings.thresholds);
+    const at    = new Date(payload.timestamp);
 
     for (const rule of rules) {
-      if (rule.check(payload)) {
-        await createAlert(io, {
-          severity:  rule.severity,
-          sensor:    rule.sensor,
-          message:   rule.message(payload),
-          value:     payload[rule.sensor],
-          threshold: rule.threshold,
-        });
-      } else {
-        await resolveAlertsForSensor(io, rule.sensor);
+      // Partial packets are normal (one ESP32 per sensor group): a field that
+      // is absent says nothing about its alert.
+      if (payload[rule.sensor] == null) continue;
+
+      const key  = `${device.device_id}:${rule.sensor}`;
+      const zone = rule.classify(payload);
+
+      if (zone !== 'out') {
+        breaches.delete(key);
+        if (zone === 'in') await resolveAlertsForSensor(io, rule.sensor, device.device_id);
+        continue;
+      }
+
+      const { streak, fire } = stepBreach(rule.debounce, breaches.get(key), at);
+      if (!fire) {
+        breaches.set(key, streak);
+        continue;
       }
+      breaches.delete(key);
+      const band = rule.breach(payload);
+      await createAlert(io, {
+        severity:  band.severity,
+        sensor:    rule.sensor,
+        deviceId:  device.device_id,
+        message:   rule.message(payload, band),
+        value:     payload[rule.sensor],
+        threshold: rule.threshold(band),
+      });
     }
+
+    await processFaultRules(io, payload, device, settings.thresholds, at);
   } catch (err) {
     console.error('[alertService] processTelemetryAlerts error:', err.message);
   }
@@ -121,25 +431,54 @@ async function processTelemetryAlerts(io, payload) {
 
 /**
  * Called periodically by server.js.
- * Fires a critical alert if no telemetry has been received for OFFLINE_THRESHOLD_MS.
+ * For every enabled device that has reported before:
+ *   • silent for OFFLINE_THRESHOLD_MS → a critical 'device' alert naming it;
+ *   • still reporting, but some of its sensors silent that long → a warning
+ *     'offline' alert per silent sensor (e.g. one of several ESP32s died).
+ * Devices that have never reported are not alerted on.
  */
-async function checkDeviceOffline(io, SystemLog) {
+async function checkDeviceOffline(io, now = new Date()) {
   try {
-    const latest = await SystemLog.findOne().sort({ timestamp: -1 }).lean();
-    if (!latest) return; // no data ever received — don't alert yet
+    const devices = await Device.find({ enabled: true }).lean();
+    const seconds = at => Math.floor((now.getTime() - at.getTime()) / 1000);
 
-    const ageMs = Date.now() - new Date(latest.timestamp).getTime();
+    for (const device of devices) {
+      const deviceId = device.device_id;
+      const status   = getDeviceStatus(deviceId, now);
+      if (status.status === 'never') continue;
 
-    if (ageMs > OFFLINE_THRESHOLD_MS) {
-      await createAlert(io, {
-        severity:  'critical',
-        sensor:    'device',
-        message:   `No telemetry received for ${Math.floor(ageMs / 1000)} s — device may be offline`,
-        threshold: `< ${OFFLINE_THRESHOLD_MS / 1000} s since last packet`,
-      });
-    } else {
-      await resolveAlertsForSensor(io, 'device');
+      if (status.status === 'offline') {
+        const carried = status.sensors.filter(s => s.status !== 'never').map(s => s.sensor);
+        await createAlert(io, {
+          severity:  'critical',
+          sensor:    'device',
+          deviceId,
+          message:   `No telemetry from ${device.name} (${deviceId}) for ${seconds(status.lastSeen)} s — device may be offline` +
+                     (carried.length ? ` (sensors: ${carried.join(', ')})` : ''),
+          threshold: `< ${OFFLINE_THRESHOLD_MS / 1000} s since last packet`,
+        });
+        continue; // per-sensor alerts would only repeat this one
+      }
+      await resolveAlertsForSensor(io, 'device', deviceId);
+
+      for (const { sensor, lastSeen, status: sensorStatus } of status.sensors) {
+        if (sensorStatus === 'online') {
+          await resolveAlertsForSensor(io, sensor, deviceId, 'offline');
+        } else if (sensorStatus === 'offline') {
+          await createAlert(io, {
+            severity:  'warning',
+            sensor,
+            rule:      'offline',
+            deviceId,
+            message:   `No ${sensor.replace('_', ' ')} readings from ${device.name} (${deviceId}) for ${seconds(lastSeen)} s while the device is still reporting — the board publishing it may be offline`,
+            threshold: `< ${OFFLINE_THRESHOLD_MS / 1000} s since last reading`,
+          });
+        }
+      }
     }
+
+    // System-wide offline alerts raised before offline detection was per device
+    await resolveAlertsForSensor(io, 'device', null);
   } catch (err) {
     console.error('[alertService] checkDeviceOffline error:', err.message);
   }
@@ -148,17 +487,47 @@ async function checkDeviceOffline(io, SystemLog) {
 // ─── Formatter (shared with routes) ──────────────────────────────────────────
 
 function formatAlert(doc) {
+  const iso = d => (d instanceof Date ? d.toISOString() : d ?? null);
   return {
     id:         doc._id.toString(),
     severity:   doc.severity,
     sensor:     doc.sensor,
+    rule:       doc.rule ?? null,
+    deviceId:   doc.device_id ?? null,
     message:    doc.message,
     value:      doc.value,
     threshold:  doc.threshold,
     timestamp:  doc.timestamp instanceof Date ? doc.timestamp.toISOString() : doc.timestamp,
     status:     doc.status,
     resolvedAt: doc.resolvedAt ? (doc.resolvedAt instanceof Date ? doc.resolvedAt.toISOString() : doc.resolvedAt) : undefined,
+    upgradedFrom: doc.upgradedFrom ?? null,
+    upgradedAt:   doc.upgradedAt ? (doc.upgradedAt instanceof Date ? doc.upgradedAt.toISOString() : doc.upgradedAt) : null,
+    snoozedUntil:  iso(doc.snoozedUntil),
+    snoozed:       Boolean(doc.snoozedUntil && new Date(doc.snoozedUntil) > new Date()),
+    snoozedByName: doc.snoozedByName ?? null,
+    acknowledgedAt:     iso(doc.acknowledgedAt),
+    acknowledgedBy:     doc.acknowledgedBy ? String(doc.acknowledgedBy) : null,
+    acknowledgedByName: doc.acknowledgedByName ?? null,
+    resolvedBy:         doc.resolvedBy ? String(doc.resolvedBy) : null,
+    resolvedByName:     doc.resolvedByName ?? null,
+    assignee:           doc.assignee ? String(doc.assignee) : null,
+    assigneeName:       doc.assigneeName ?? null,
+    comments: (doc.comments ?? []).map(c => ({
+      id:         String(c._id),
+      kind:       c.kind,
+      text:       c.text,
+      author:     c.author ? String(c.author) : null,
+      authorName: c.authorName ?? null,
+      at:         iso(c.at),
+    })),
+    escalationLevel:   doc.escalation_level ?? 0,
+    escalationHistory: (doc.escalation_history ?? []).map(e => ({
+      level:      e.level,
+      policyId:   e.policy_id ? String(e.policy_id) : null,
+      policyName: e.policy_name,
+      at:         e.at instanceof Date ? e.at.toISOString() : e.at,
+    })),
   };
 }
 
-module.exports = { processTelemetryAlerts, checkDeviceOffline, formatAlert };
+module.exports = { processTelemetryAlerts, checkDeviceOffline, loadAlertState, forgetAlert, formatAlert, classifyReading, highestBreach, stepBreach, ratePerMinute, stepFlatline };
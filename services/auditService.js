@@ -0,0 +1,159 @@
+'use strict';
+
+const AuditLog = require('../models/AuditLog');
+
+// ─── Actions ──────────────────────────────────────────────────────────────────
+// '<target type>.<verb>' — the target type is also stored on its own so the
+// log can be filtered by either.
+
+const AUDIT_ACTIONS = [
+  'settings.update',
+  'settings.reset',
+  'alert.acknowledge',
+  'alert.resolve',
+  'alert.assign',
+  'alert.snooze',
+  'maintenance_window.create',
+  'maintenance_window.update',
+  'maintenance_window.delete',
+  'compliance_rule_set.create',
+  'compliance_rule_set.update',
+  'compliance_rule_set.activate',
+  'notification_channel.create',
+  'notification_channel.update',
+  'notification_channel.delete',
+  'escalation_policy.create',
+  'escalation_policy.update',
+  'escalation_policy.delete',
+  'user.create',
+  'user.update',
+  'user.delete',
+  'pump.command',
+  'pump.command_blocked',
+  'pump.interlock_override',
+  'interlock.create',
+  'interlock.update',
+  'interlock.delete',
+  'schedule.create',
+  'schedule.update',
+  'schedule.delete',
+  'automation_rule.create',
+  'automation_rule.update',
+  'automation_rule.delete',
+  'actuator.create',
+  'actuator.update',
+  'actuator.delete',
+  'device.create',
+  'device.update',
+  'device.delete',
+  'api_key.create',
+  'api_key.update',
+  'api_key.revoke',
+];
+
+// Never copied into the log, at any depth: secrets, and bookkeeping fields
+// that change on every write and would only add noise to the diff.
+const OMITTED_FIELDS = new Set(['password', 'key_hash', '__v', 'createdAt', 'updatedAt']);
+
+// ─── Diff ─────────────────────────────────────────────────────────────────────
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Returns a JSON-safe deep copy of `value` with OMITTED_FIELDS removed.
+ * ObjectIds and Dates become strings.
+ */
+function sanitize(value) {
+  if (value === undefined || value === null) return value;
+  return JSON.parse(JSON.stringify(value, (key, v) => (OMITTED_FIELDS.has(key) ? undefined : v)));
+}
+
+/** Flattens nested plain objects into { 'a.b.c': leaf }. Arrays are leaves. */
+function flatten(obj, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(obj ?? {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && Object.keys(value).length) flatten(value, path, out);
+    else out[path] = value;
+  }
+  return out;
+}
+
+/**
+ * Lists every leaf that differs between two (sanitized) snapshots.
+ *
+ * @param {object|null} before
+ * @param {object|null} after
+ * @returns {{ path: string, before: *, after: * }[]}
+ */
+function diffChanges(before, after) {
+  const a = flatten(before);
+  const b = flatten(after);
+  const paths = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+
+  return paths
+    .filter(path => JSON.stringify(a[path]) !== JSON.stringify(b[path]))
+    .map(path => ({ path, before: a[path] ?? null, after: b[path] ?? null }));
+}
+
+// ─── Recording ────────────────────────────────────────────────────────────────
+
+/**
+ * Records an operator action. Never throws — a failed audit write is logged
+ * but must never fail the request that triggered it.
+ *
+ * @param {import('express').Request} req — supplies the actor (req.user / req.apiKey) and IP
+ * @param {object}  entry
+ * @param {string}  entry.action     — one of AUDIT_ACTIONS
+ * @param {string}  entry.targetType
+ * @param {*}       [entry.targetId]
+ * @param {object}  [entry.before]   — state before the change (omit for creations)
+ * @param {object}  [entry.after]    — state after the change (omit for deletions)
+ */
+async function recordAudit(req, { action, targetType, targetId, before, after }) {
+  try {
+    const beforeSnap = sanitize(before);
+    const afterSnap  = sanitize(after);
+
+    await AuditLog.create({
+      actor_type:  req.apiKey ? 'api_key' : 'user',
+      actor_id:    req.user?._id,
+      actor_name:  req.user?.name,
+      actor_role:  req.apiKey ? undefined : req.user?.role,
+      action,
+      target_type: targetType,
+      target_id:   targetId !== undefined && targetId !== null ? String(targetId) : undefined,
+      changes:     diffChanges(beforeSnap, afterSnap),
+      before:      beforeSnap,
+      after:       afterSnap,
+      ip:          req.ip,
+    });
+  } catch (err) {
+    console.error(`[audit] Failed to record "${action}":`, err.message);
+  }
+}
+
+// ─── Formatter (shared with routes) ──────────────────────────────────────────
+
+function formatAuditEntry(doc) {
+  return {
+    id:         doc._id.toString(),
+    timestamp:  doc.timestamp instanceof Date ? doc.timestamp.toISOString() : doc.timestamp,
+    actor: {
+      type: doc.actor_type,
+      id:   doc.actor_id ? String(doc.actor_id) : null,
+      name: doc.actor_name ?? null,
+      role: doc.actor_role ?? null,
+    },
+    action:     doc.action,
+    targetType: doc.target_type,
+    targetId:   doc.target_id ?? null,
+    changes:    doc.changes ?? [],
+    before:     doc.before ?? null,
+    after:      doc.after ?? null,
+    ip:         doc.ip ?? null,
+  };
+}
+
+module.exports = { recordAudit, diffChanges, formatAuditEntry, AUDIT_ACTIONS };
@@ -0,0 +1,232 @@
+'use strict';
+
+const AutomationRule      = require('../models/AutomationRule');
+const AutomationExecution = require('../models/AutomationExecution');
+const { getActuator } = require('./actuatorService');
+const { getPumpState } = require('./pumpStateService');
+const { issuePumpCommand } = require('./pumpCommandService');
+const { checkInterlocks, describeBlocks } = require('./interlockService');
+
+// ─── Rule semantics ───────────────────────────────────────────────────────────
+//
+//   • A rule is *breached* while `reading <operator> value` holds.
+//   • It fires once the breach has lasted duration_seconds (measured between
+//     packet timestamps) and then stays *triggered* — it does not fire again
+//     on every packet.
+//   • It re-arms once the reading is back past the value by `hysteresis`
+//     (e.g. '< 0.5' with hysteresis 0.2 re-arms at ≥ 0.7). A packet that is
+//     missing the sensor leaves the state unchanged.
+//   • A rule without device_id keeps separate state for every device.
+//   • Automation commands go through the same pending → ack lifecycle as
+//     manual ones but do not suspend pump schedules. Safety interlocks apply
+//     (a blocked command is recorded as 'blocked' and not retried).
+
+// ─── In-memory state ──────────────────────────────────────────────────────────
+
+let _rules = null;             // enabled rules, loaded lazily
+const _state = new Map();      // `${ruleId}:${deviceId}` → { since: Date|null, triggered: boolean }
+
+const stateKey = (ruleId, deviceId) => `${ruleId}:${deviceId}`;
+
+async function getRules() {
+  if (!_rules) _rules = await AutomationRule.find({ enabled: true }).lean();
+  return _rules;
+}
+
+/**
+ * Clears the cached rules so the next packet reloads them.
+ * Called after every change made through /api/automation/rules.
+ * When `ruleId` is given, that rule's state is reset too (its condition may
+ * have changed).
+ */
+function invalidateCache(ruleId) {
+  _rules = null;
+  if (ruleId === undefined) return;
+  for (const key of _state.keys()) {
+    if (key.startsWith(`${ruleId}:`)) _state.delete(key);
+  }
+}
+
+/** Returns the live state of a rule per device: [{ deviceId, pendingSince, triggered }]. */
+function getRuleState(ruleId) {
+  const prefix = `${ruleId}:`;
+  return [..._state.entries()]
+    .filter(([key]) => key.startsWith(prefix))
+    .map(([key, s]) => ({
+      deviceId:     key.slice(prefix.length),
+      pendingSince: s.since ? s.since.toISOString() : null,
+      triggered:    s.triggered,
+    }));
+}
+
+// ─── Evaluation ───────────────────────────────────────────────────────────────
+
+function compare(reading, operator, value) {
+  switch (operator) {
+    case '<':  return reading <  value;
+    case '<=': return reading <= value;
+    case '>':  return reading >  value;
+    case '>=': return reading >= value;
+    default:   return false;
+  }
+}
+
+/** True once a triggered rule's reading is back past the value by the hysteresis band. */
+function isCleared(reading, { operator, value, hysteresis = 0 }) {
+  if (!hysteresis) return !compare(reading, operator, value);
+  return operator.startsWith('<') ? reading >= value + hysteresis : reading <= value - hysteresis;
+}
+
+/**
+ * Advances one rule's state with a new reading.
+ *
+ * @param {object} condition — rule.condition
+ * @param {{ since: Date|null, triggered: boolean }} state
+ * @param {number} reading
+ * @param {Date}   at        — packet timestamp
+ * @returns {{ state: object, fire: boolean }}
+ */
+function stepRule(condition, state, reading, at) {
+  if (state.triggered) {
+    return isCleared(reading, condition)
+      ? { state: { since: null, triggered: false }, fire: false }
+      : { state, fire: false };
+  }
+
+  if (!compare(reading, condition.operator, condition.value)) {
+    return { state: { since: null, triggered: false }, fire: false };
+  }
+
+  const since = state.since ?? at;
+  const held  = at.getTime() - since.getTime() >= (condition.duration_seconds ?? 0) * 1000;
+  return { state: { since, triggered: held }, fire: held };
+}
+
+function describeCondition({ sensor, operator, value, duration_seconds: duration }) {
+  return `${sensor} ${operator} ${value}${duration ? ` for ${duration} s` : ''}`;
+}
+
+/**
+ * Carries out a fired rule and records the execution. Never throws.
+ */
+async function executeRule(io, mqttClient, rule, deviceId, reading) {
+  const { pump, command } = rule.action;
+  const entry = {
+    rule_id:   rule._id,
+    rule_name: rule.name,
+    device_id: deviceId,
+    sensor:    rule.condition.sensor,
+    value:     reading,
+    condition: describeCondition(rule.condition),
+    pump,
+    command,
+  };
+
+  const actuator = getActuator(pump);
+  if (rule.dry_run) {
+    entry.status = 'dry_run';
+  } else if (!actuator || !actuator.enabled) {
+    entry.status = 'failed';
+    entry.reason = `${pump} is ${actuator ? 'disabled' : 'not registered'}`;
+  } else if (getPumpState()[pump] === command) {
+    entry.status = 'skipped';
+    entry.reason = `${pump} is already ${command}`;
+  } else if (!mqttClient?.connected) {
+    entry.status = 'failed';
+    entry.reason = 'MQTT broker is not connected';
+  } else {
+    try {
+      const blocks = await checkInterlocks(pump, command);
+      if (blocks.length) {
+        entry.status = 'blocked';
+        entry.reason = describeBlocks(blocks);
+        return finishExecution(io, rule, deviceId, entry);
+      }
+      const pending = await issuePumpCommand(io, mqttClient, {
+        actuator,
+        command,
+        user: { name: `Automation rule "${rule.name}"` },
+      });
+      entry.status     = 'executed';
+      entry.command_id = pending._id;
+    } catch (err) {
+      entry.status = 'failed';
+      entry.reason = err.message;
+    }
+  }
+
+  return finishExecution(io, rule, deviceId, entry);
+}
+
+/** Logs, persists and broadcasts one execution. Never throws. */
+async function finishExecution(io, rule, deviceId, entry) {
+  const { pump, command } = entry;
+  console.log(`[automation] ⚡ Rule "${rule.name}" (${entry.condition}) on ${deviceId} → ${pump} "${command}": ${entry.status}${entry.reason ? ` (${entry.reason})` : ''}`);
+
+  try {
+    const doc = await AutomationExecution.create(entry);
+    io.emit('automation_execution', formatExecution(doc.toObject()));
+  } catch (err) {
+    console.error('[automation] Failed to record execution:', err.message);
+  }
+}
+
+/**
+ * Called after every accepted live telemetry packet (not for backfill).
+ * Advances every applicable rule and executes those that fire.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {mqtt.MqttClient} mqttClient
+ * @param {object} payload — validated telemetry
+ * @param {object} device  — registered Device the packet came from
+ */
+async function evaluateAutomationRules(io, mqttClient, payload, device) {
+  try {
+    const rules = await getRules();
+    const at    = new Date(payload.timestamp);
+
+    for (const rule of rules) {
+      if (rule.device_id && rule.device_id !== device.device_id) continue;
+
+      const reading = payload[rule.condition.sensor];
+      if (typeof reading !== 'number') continue;
+
+      const key  = stateKey(rule._id, device.device_id);
+      const prev = _state.get(key) ?? { since: null, triggered: false };
+      const { state, fire } = stepRule(rule.condition, prev, reading, at);
+      _state.set(key, state);
+
+      if (fire) await executeRule(io, mqttClient, rule, device.device_id, reading);
+    }
+  } catch (err) {
+    console.error('[automation] evaluateAutomationRules error:', err.message);
+  }
+}
+
+// ─── Formatter (shared with routes) ──────────────────────────────────────────
+
+function formatExecution(doc) {
+  return {
+    id:        doc._id.toString(),
+    timestamp: doc.timestamp instanceof Date ? doc.timestamp.toISOString() : doc.timestamp,
+    ruleId:    String(doc.rule_id),
+    ruleName:  doc.rule_name,
+    deviceId:  doc.device_id ?? null,
+    sensor:    doc.sensor,
+    value:     doc.value,
+    condition: doc.condition,
+    pump:      doc.pump,
+    command:   doc.command,
+    status:    doc.status,
+    reason:    doc.reason ?? null,
+    commandId: doc.command_id ? String(doc.command_id) : null,
+  };
+}
+
+module.exports = {
+  evaluateAutomationRules,
+  invalidateCache,
+  getRuleState,
+  stepRule,
+  formatExecution,
+};
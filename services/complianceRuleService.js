@@ -0,0 +1,97 @@
+'use strict';
+
+const ComplianceRuleSet = require('../models/ComplianceRuleSet');
+const { DEFAULT_RULE_SET } = require('../validations/telemetryValidator');
+
+// ─── In-memory cache ──────────────────────────────────────────────────────────
+// Every telemetry packet is checked against the active rule set — avoid a DB
+// lookup per packet. The DEFAULT_RULE_SET fallback is only held for
+// FALLBACK_RETRY_MS, so a rule set that becomes loadable is picked up.
+
+const FALLBACK_RETRY_MS = 30_000;
+
+let _active     = null;
+let _fallbackAt = 0;
+
+/**
+ * Loads the rule-set version in force: the most recently activated one still
+ * flagged active.
+ *
+ * @returns {Promise<object|null>} lean ComplianceRuleSet
+ */
+function findActiveRuleSet() {
+  return ComplianceRuleSet.findOne({ active: true }).sort({ activated_at: -1 }).lean();
+}
+
+/**
+ * Returns the active EOR compliance rule set, loading it from DB on first call.
+ * Falls back to DEFAULT_RULE_SET if none is active or the DB is not yet
+ * available, and retries the load after FALLBACK_RETRY_MS.
+ *
+ * @returns {Promise<{ name: string, version: number, rules: object[] }>}
+ */
+async function getActiveRuleSet() {
+  if (_active) return _active;
+  if (Date.now() - _fallbackAt < FALLBACK_RETRY_MS) return DEFAULT_RULE_SET;
+  try {
+    _active = await findActiveRuleSet();
+    if (_active) return _active;
+    console.error(`[complianceRules] ❌ No active compliance rule set — checking readings against "${DEFAULT_RULE_SET.name}" v${DEFAULT_RULE_SET.version}`);
+  } catch (err) {
+    console.warn('[complianceRules] DB not ready, using default rule set:', err.message);
+  }
+  _fallbackAt = Date.now();
+  return DEFAULT_RULE_SET;
+}
+
+/**
+ * Clears the cached rule set so the next packet reloads it.
+ * Called after every change made through /api/compliance/rule-sets.
+ */
+function invalidateCache() {
+  _active     = null;
+  _fallbackAt = 0;
+}
+
+/**
+ * Makes one rule-set version the active one, deactivating whichever was. The
+ * target is activated first: if the second write fails, the previous version
+ * stays flagged too but the target, activated later, is the one in force.
+ *
+ * @param {import('mongoose').Types.ObjectId|string} id
+ * @returns {Promise<object|null>} the activated lean document, or null if it does not exist
+ */
+async function activateRuleSet(id) {
+  const doc = await ComplianceRuleSet.findByIdAndUpdate(
+    id, { $set: { active: true, activated_at: new Date() } }, { new: true }
+  ).lean();
+  if (doc) {
+    await ComplianceRuleSet.updateMany({ active: true, _id: { $ne: doc._id } }, { $set: { active: false } });
+  }
+  invalidateCache();
+  return doc;
+}
+
+/**
+ * Stores DEFAULT_RULE_SET as the active rule set if there is none yet, so the
+ * version recorded on readings so far refers to a stored rule set.
+ * Called once from server.js after MongoDB connects.
+ */
+async function ensureDefaultRuleSet() {
+  if (await ComplianceRuleSet.exists({})) return;
+  try {
+    await ComplianceRuleSet.create({
+      name:         DEFAULT_RULE_SET.name,
+      version:      DEFAULT_RULE_SET.version,
+      description:  'Factory limits: pH 6.5 – 8.5, TDS ≤ 5000 ppm',
+      rules:        DEFAULT_RULE_SET.rules,
+      active:       true,
+      activated_at: new Date(),
+    });
+  } catch (err) {
+    if (err.code !== 11000) throw err; // another replica seeded it first
+  }
+  invalidateCache();
+}
+
+module.exports = { getActiveRuleSet, findActiveRuleSet, activateRuleSet, ensureDefaultRuleSet, invalidateCache };
@@ -0,0 +1,292 @@
+'use strict';
+
+const SystemLog     = require('../models/SystemLog');
+const ComplianceDay = require('../models/ComplianceDay');
+const Device        = require('../models/Device');
+const { getSettings, DEFAULTS } = require('./settingsService');
+
+// ─── Daily EOR compliance ─────────────────────────────────────────────────────
+//
+// A compliance day is one UTC calendar day of one device's telemetry (the same
+// day buckets /api/analytics uses). It passes when both of the rules in
+// Settings.compliance hold:
+//
+//   • pass rate — at least minPassRate % of its readings passed the EOR check
+//     in validateTelemetry (SystemLog.validation.status) under the compliance
+//     rule set active at the time — each record lists the versions involved;
+//   • coverage  — at least minCoverage % of its SAMPLE_INTERVAL_SECONDS
+//     intervals hold a reading (Specification 12).
+//
+// Every enabled device gets a record for each day since it was registered,
+// so a day without any telemetry shows up as a failure rather than a gap.
+// Closed days are persisted by runComplianceRollup; any day it has not
+// persisted (the current day, days it has not reached yet, days before its
+// first run) is computed on request.
+
+// Specification 12: at least one stored reading every 10 seconds.
+const SAMPLE_INTERVAL_SECONDS = 10;
+
+const DAY_MS            = 86_400_000;
+const INTERVALS_PER_DAY = DAY_MS / (SAMPLE_INTERVAL_SECONDS * 1000);
+
+// How often server.js runs the rollup. Only the first tick after midnight UTC
+// finds a newly closed day to write.
+const ROLLUP_TICK_MS = 60 * 60 * 1000;
+
+// How far back the very first rollup reaches.
+const MAX_BACKFILL_DAYS = 30;
+
+/** 'YYYY-MM-DD' of the UTC day containing `date`. */
+const dayKey = date => date.toISOString().slice(0, 10);
+
+/** Start of a UTC day given as 'YYYY-MM-DD'. */
+const dayStart = day => new Date(`${day}T00:00:00.000Z`);
+
+/** The day `n` days after `day` (n may be negative). */
+const addDays = (day, n) => dayKey(new Date(dayStart(day).getTime() + n * DAY_MS));
+
+// ─── Evaluation ───────────────────────────────────────────────────────────────
+
+/**
+ * Applies the compliance rules to one device-day. Percentages are rounded to
+ * two decimals before they are compared, so the verdict agrees with the
+ * figures shown next to it.
+ *
+ * @param {{ readingCount: number, passCount: number, intervals: number }} stats
+ *   intervals — sample intervals holding at least one reading
+ * @param {number} expectedIntervals — sample intervals in the (elapsed part of the) day
+ * @param {{ minPassRate: number, minCoverage: number }} rules
+ * @returns {{ passRate: number|null, coverage: number, verdict: 'PASS'|'FAIL', reasons: string[] }}
+ */
+function evaluateDay({ readingCount, passCount, intervals }, expectedIntervals, rules) {
+  const percent  = (n, of) => +(Math.min(n / of, 1) * 100).toFixed(2);
+  const passRate = readingCount > 0 ? percent(passCount, readingCount) : null;
+  const coverage = expectedIntervals > 0 ? percent(intervals, expectedIntervals) : 0;
+
+  const reasons = [];
+  if (passRate === null) reasons.push('no readings');
+  else if (passRate < rules.minPassRate) reasons.push(`pass rate ${passRate}% is below ${rules.minPassRate}%`);
+  if (coverage < rules.minCoverage) reasons.push(`data coverage ${coverage}% is below ${rules.minCoverage}%`);
+
+  return { passRate, coverage, verdict: reasons.length ? 'FAIL' : 'PASS', reasons };
+}
+
+/**
+ * Aggregates SystemLog into per-day, per-device statistics.
+ *
+ * @param {object} match — SystemLog device filter
+ * @param {string} from  — first day
+ * @param {string} to    — last day (inclusive)
+ * @returns {Promise<Map<string, Map<string, object>>>}
+ *   day → device_id → { readingCount, passCount, intervals, failingParameters, ruleSets }
+ */
+async function aggregateDays(match, from, to) {
+  const $match = { ...match, timestamp: { $gte: dayStart(from), $lt: dayStart(addDays(to, 1)) } };
+
+  const [totals, failures] = await Promise.all([
+    SystemLog.aggregate([
+      { $match },
+      // Group per sample interval first: several ESP32s publishing for one
+      // device within the same interval fill it only once.
+      { $group: {
+        _id: {
+          device:   '$metadata.device_id',
+          interval: { $dateTrunc: { date: '$timestamp', unit: 'second', binSize: SAMPLE_INTERVAL_SECONDS } },
+        },
+        readingCount: { $sum: 1 },
+        passCount:    { $sum: { $cond: [{ $eq: ['$validation.status', 'PASS'] }, 1, 0] } },
+        ruleSets:     { $addToSet: '$validation.rule_set' },
+      }},
+      { $group: {
+        _id:          { device: '$_id.device', day: { $dateToString: { format: '%Y-%m-%d', date: '$_id.interval' } } },
+        readingCount: { $sum: '$readingCount' },
+        passCount:    { $sum: '$passCount' },
+        intervals:    { $sum: 1 },
+        ruleSets:     { $push: '$ruleSets' },
+      }},
+      { $set: { ruleSets: { $reduce: { input: '$ruleSets', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } } } },
+    ]),
+    SystemLog.aggregate([
+      { $match: { ...$match, 'validation.failed_parameters.0': { $exists: true } } },
+      { $unwind: '$validation.failed_parameters' },
+      { $group: {
+        _id: {
+          device:    '$metadata.device_id',
+          day:       { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } },
+          parameter: '$validation.failed_parameters',
+        },
+        count: { $sum: 1 },
+      }},
+      { $sort: { count: -1 } },
+    ]),
+  ]);
+
+  const days = new Map();
+  const entry = ({ day, device }) => {
+    if (!days.has(day)) days.set(day, new Map());
+    const devices = days.get(day);
+    if (!devices.has(device)) devices.set(device, { readingCount: 0, passCount: 0, intervals: 0, failingParameters: [], ruleSets: [] });
+    return devices.get(device);
+  };
+  for (const t of totals) {
+    // Readings stored before rule sets were versioned carry none
+    const ruleSets = t.ruleSets
+      .filter(r => r?.name)
+      .map(r => ({ name: r.name, version: r.version }))
+      .sort((a, b) => a.name.localeCompare(b.name) || a.version - b.version);
+    Object.assign(entry(t._id), { readingCount: t.readingCount, passCount: t.passCount, intervals: t.intervals, ruleSets });
+  }
+  for (const f of failures) {
+    entry(f._id).failingParameters.push({ parameter: f._id.parameter, count: f.count });
+  }
+  return days;
+}
+
+/**
+ * Computes ComplianceDay-shaped records for `from` … `to`, clipped to today.
+ * Today's record covers only the part of the day that has elapsed.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @param {object} [filter] — device filter on `device_id` (see deviceIdFilter)
+ * @param {Date}   [now]
+ * @returns {Promise<object[]>} sorted by day, then device
+ */
+async function computeDays(from, to, filter = {}, now = new Date()) {
+  const today = dayKey(now);
+  if (to > today) to = today;
+  if (from > to) return [];
+
+  const settings = await getSettings();
+  const rules    = { ...DEFAULTS.compliance, ...settings.compliance };
+  const match    = filter.device_id ? { 'metadata.device_id': filter.device_id } : {};
+  const [stats, devices] = await Promise.all([
+    aggregateDays(match, from, to),
+    Device.find({ ...filter, enabled: true }).select('device_id createdAt').lean(),
+  ]);
+
+  const records = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const expected = day === today
+      ? Math.ceil((now.getTime() - dayStart(day).getTime()) / (SAMPLE_INTERVAL_SECONDS * 1000))
+      : INTERVALS_PER_DAY;
+    const reported  = stats.get(day) ?? new Map();
+    const deviceIds = new Set(reported.keys());
+    for (const d of devices) {
+      if (!d.createdAt || dayKey(d.createdAt) <= day) deviceIds.add(d.device_id);
+    }
+
+    for (const deviceId of [...deviceIds].sort()) {
+      const s = reported.get(deviceId) ?? { readingCount: 0, passCount: 0, intervals: 0, failingParameters: [], ruleSets: [] };
+      const { passRate, coverage, verdict, reasons } = evaluateDay(s, expected, rules);
+      records.push({
+        device_id:          deviceId,
+        day,
+        reading_count:      s.readingCount,
+        pass_count:         s.passCount,
+        pass_rate:          passRate,
+        failing_parameters: s.failingParameters,
+        rule_sets:          s.ruleSets,
+        coverage,
+        verdict,
+        reasons,
+        rules:              { min_pass_rate: rules.minPassRate, min_coverage: rules.minCoverage },
+        computed_at:        now,
+      });
+    }
+  }
+  return records;
+}
+
+/**
+ * Splits `from` … `to` into the contiguous runs of days not in `rolledUp`.
+ *
+ * @param {string}   from
+ * @param {string}   to
+ * @param {string[]} rolledUp — days the rollup has persisted
+ * @returns {[string, string][]} [first, last] of each run, in order
+ */
+function missingRanges(from, to, rolledUp) {
+  const done   = new Set(rolledUp);
+  const ranges = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    if (done.has(day)) continue;
+    const last = ranges.at(-1);
+    if (last && addDays(last[1], 1) === day) last[1] = day;
+    else ranges.push([day, day]);
+  }
+  return ranges;
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Returns the compliance records for `from` … `to`: days the rollup has
+ * persisted as stored, every other day (today, days it has not reached yet,
+ * days before its first run) computed now and flagged `provisional`.
+ *
+ * @param {string} from
+ * @param {string} to
+ * @param {object} [filter] — device filter on `device_id` (see deviceIdFilter)
+ * @param {Date}   [now]
+ * @returns {Promise<object[]>} API-formatted records, sorted by day, then device
+ */
+async function getDailyCompliance(from, to, filter = {}, now = new Date()) {
+  const range = { day: { $gte: from, $lte: to } };
+  // A day counts as rolled up once it holds any record, whatever the device
+  // filter: devices without one that day were not registered or not enabled.
+  const [rolledUp, stored] = await Promise.all([
+    ComplianceDay.distinct('day', range),
+    ComplianceDay.find({ ...filter, ...range }).lean(),
+  ]);
+  const live = (await Promise.all(
+    missingRanges(from, to, rolledUp).map(([first, last]) => computeDays(first, last, filter, now))
+  )).flat();
+
+  return [
+    ...stored.map(doc => ({ ...ComplianceDay.formatForApi(doc), provisional: false })),
+    ...live.map(doc => ({ ...ComplianceDay.formatForApi(doc), provisional: true })),
+  ].sort((a, b) => a.day.localeCompare(b.day) || a.deviceId.localeCompare(b.deviceId));
+}
+
+/**
+ * Persists a ComplianceDay for every device and every closed day not rolled
+ * up yet. The last day already rolled up is computed again, so readings that
+ * reached it late through store-and-forward backfill are counted.
+ * Called periodically by server.js.
+ */
+async function runComplianceRollup(now = new Date()) {
+  try {
+    const yesterday = addDays(dayKey(now), -1);
+    const latest    = await ComplianceDay.findOne().sort({ day: -1 }).select('day').lean();
+    if (latest && latest.day >= yesterday) return;
+
+    let from = latest?.day;
+    if (!from) {
+      const first = await SystemLog.findOne().sort({ timestamp: 1 }).select('timestamp').lean();
+      if (!first) return;
+      const horizon = addDays(yesterday, 1 - MAX_BACKFILL_DAYS);
+      from = dayKey(first.timestamp) > horizon ? dayKey(first.timestamp) : horizon;
+    }
+
+    const records = await computeDays(from, yesterday, {}, now);
+    if (!records.length) return;
+    await ComplianceDay.bulkWrite(records.map(r => ({
+      updateOne: { filter: { day: r.day, device_id: r.device_id }, update: { $set: r }, upsert: true },
+    })));
+    console.log(`[compliance] 📋 Rolled up ${from} … ${yesterday} (${records.length} device-day(s))`);
+  } catch (err) {
+    console.error('[compliance] runComplianceRollup error:', err.message);
+  }
+}
+
+module.exports = {
+  getDailyCompliance,
+  runComplianceRollup,
+  evaluateDay,
+  missingRanges,
+  dayKey,
+  addDays,
+  SAMPLE_INTERVAL_SECONDS,
+  ROLLUP_TICK_MS,
+};
@@ -25,6 +25,30 @@ const COLUMNS = [
     // Semicolon-delimited so the list stays in one cell without triggering CSV quoting
     extract: d => (d.validation?.failed_parameters ?? []).join(';'),
   },
+  {
+    header:  'EOR Rule Set',
+    extract: d => d.validation?.rule_set?.name && `${d.validation.rule_set.name} v${d.validation.rule_set.version}`,
+  },
+];
+
+// Audit log export — reads a single lean AuditLog document.
+const AUDIT_COLUMNS = [
+  { header: 'Timestamp (ISO)', extract: d => d.timestamp instanceof Date ? d.timestamp.toISOString() : d.timestamp },
+  { header: 'Actor Type',      extract: d => d.actor_type },
+  { header: 'Actor ID',        extract: d => d.actor_id && String(d.actor_id) },
+  { header: 'Actor Name',      extract: d => d.actor_name },
+  { header: 'Actor Role',      extract: d => d.actor_role },
+  { header: 'Action',          extract: d => d.action },
+  { header: 'Target Type',     extract: d => d.target_type },
+  { header: 'Target ID',       extract: d => d.target_id },
+  {
+    header:  'Changes',
+    // path: before → after, semicolon-delimited like Failed Parameters
+    extract: d => (d.changes ?? [])
+      .map(c => `${c.path}: ${JSON.stringify(c.before ?? null)} → ${JSON.stringify(c.after ?? null)}`)
+      .join('; '),
+  },
+  { header: 'IP Address',      extract: d => d.ip },
 ];
 
 // ─── Cell escaping ────────────────────────────────────────────────────────────
@@ -61,23 +85,24 @@ function escapeCell(value) {
 // ─── Public API ───────────────────────────────────────────────────────────────
 
 /**
- * Converts an array of lean SystemLog documents into a complete CSV string.
+ * Converts an array of lean documents into a complete CSV string.
  *
  * The first row is the header row. Subsequent rows are data rows, one per
  * document. Lines are separated by CRLF (\\r\\n) per RFC 4180, which ensures
  * correct behaviour when the file is opened in Excel on Windows.
  *
- * @param {object[]} docs - Plain JS objects from SystemLog.find().lean()
- * @returns {string}      - Complete CSV text ready to send as a response body
+ * @param {object[]} docs      - Plain JS objects from SystemLog.find().lean()
+ * @param {object[]} [columns] - Column definitions (default: SystemLog readings)
+ * @returns {string}           - Complete CSV text ready to send as a response body
  */
-function buildCsv(docs) {
-  const headerRow = COLUMNS.map(col => escapeCell(col.header)).join(',');
+function buildCsv(docs, columns = COLUMNS) {
+  const headerRow = columns.map(col => escapeCell(col.header)).join(',');
 
   const dataRows = docs.map(doc =>
-    COLUMNS.map(col => escapeCell(col.extract(doc))).join(',')
+    columns.map(col => escapeCell(col.extract(doc))).join(',')
   );
 
   return [headerRow, ...dataRows].join('\r\n');
 }
 
-module.exports = { buildCsv };
+module.exports = { buildCsv, AUDIT_COLUMNS };
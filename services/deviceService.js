@@ -0,0 +1,138 @@
+'use strict';
+
+const Device = require('../models/Device');
+
+// ─── Default device ───────────────────────────────────────────────────────────
+// The original single-reactor deployment. It is seeded on startup and is what
+// the legacy topic (mfc/system_01/telemetry) resolves to, so existing ESP32
+// firmware keeps working without being re-flashed.
+
+const DEFAULT_DEVICE = {
+  device_id: 'MFC_01',
+  name:      'MFC Reactor 1',
+  location:  'Dammam_Lab',
+  enabled:   true,
+};
+
+// ─── In-memory cache ──────────────────────────────────────────────────────────
+// Telemetry arrives every few seconds per device — avoid a DB lookup per packet.
+// Misses are cached too (as null) so an unregistered publisher can't hammer the DB.
+
+const _cache = new Map(); // device_id → lean Device doc | null
+
+/**
+ * Resolves a device_id to its registered Device document.
+ * Returns null if the device is unknown (or cannot be looked up).
+ * Falls back to DEFAULT_DEVICE for the default id if the DB is not yet available.
+ *
+ * @param {string} deviceId
+ * @returns {Promise<object|null>}
+ */
+async function resolveDevice(deviceId) {
+  if (_cache.has(deviceId)) return _cache.get(deviceId);
+  try {
+    const doc = await Device.findOne({ device_id: deviceId }).lean();
+    _cache.set(deviceId, doc);
+    return doc;
+  } catch (err) {
+    if (deviceId === DEFAULT_DEVICE.device_id) {
+      console.warn('[deviceService] DB not ready, using default device:', err.message);
+      return DEFAULT_DEVICE;
+    }
+    console.warn(`[deviceService] Could not resolve device "${deviceId}":`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Creates the default device if it does not exist yet.
+ * Called once from server.js after MongoDB connects.
+ */
+async function ensureDefaultDevice() {
+  await Device.updateOne(
+    { device_id: DEFAULT_DEVICE.device_id },
+    { $setOnInsert: DEFAULT_DEVICE },
+    { upsert: true }
+  );
+  invalidateCache();
+}
+
+// ─── Query filters ────────────────────────────────────────────────────────────
+// Shared by every route that accepts the `device` / `location` query params.
+// Both take comma-separated lists, e.g. ?device=MFC_01,MFC_02, and may be
+// repeated (?device=MFC_01&device=MFC_02 arrives as an array).
+
+/**
+ * Splits a list-valued query param into its trimmed, non-empty items. Also
+ * used by routes for their own list params (status, code, …).
+ *
+ * @param {string|string[]|undefined} value — req.query.<param>
+ * @returns {string[]}
+ */
+function splitList(value) {
+  if (value === undefined) return [];
+  // Anything but a string is stringified, so an odd value narrows the filter
+  // to nothing instead of silently dropping it.
+  return [value].flat(Infinity)
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+}
+
+const oneOrIn = vals => (vals.length === 1 ? vals[0] : { $in: vals });
+
+/**
+ * Builds the SystemLog match fragment for the `device` / `location` query params.
+ * Returns an empty object when neither is supplied.
+ *
+ * @param {object} query — req.query
+ * @returns {object}
+ */
+function readingsDeviceFilter(query) {
+  const filter    = {};
+  const devices   = splitList(query.device);
+  const locations = splitList(query.location);
+  if (devices.length)   filter['metadata.device_id'] = oneOrIn(devices);
+  if (locations.length) filter['metadata.location']  = oneOrIn(locations);
+  return filter;
+}
+
+/**
+ * Builds the match fragment for the `device` / `location` query params on
+ * collections that store a top-level `device_id` (Alert, RejectedPacket, …).
+ * Those don't store a location, so `location` is resolved to the device_ids
+ * currently registered there.
+ *
+ * @param {object} query — req.query
+ * @returns {Promise<object>}
+ */
+async function deviceIdFilter(query) {
+  let devices     = splitList(query.device);
+  const locations = splitList(query.location);
+
+  if (locations.length) {
+    const atLocation = await Device.distinct('device_id', { location: { $in: locations } });
+    devices = devices.length ? devices.filter(d => atLocation.includes(d)) : atLocation;
+    return { device_id: { $in: devices } };
+  }
+
+  return devices.length ? { device_id: oneOrIn(devices) } : {};
+}
+
+/**
+ * Clears the in-memory cache so the next lookup re-reads from DB.
+ * Called after any create / update / delete on /api/devices.
+ */
+function invalidateCache() {
+  _cache.clear();
+}
+
+module.exports = {
+  resolveDevice,
+  ensureDefaultDevice,
+  invalidateCache,
+  readingsDeviceFilter,
+  deviceIdFilter,
+  splitList,
+  DEFAULT_DEVICE,
+};
@@ -0,0 +1,105 @@
+'use strict';
+
+const Alert            = require('../models/Alert');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const { formatAlert } = require('./alertService');
+const { notifyEscalation, matchesFilter } = require('./notificationService');
+
+// How often unacknowledged alerts are checked against their policy.
+const ESCALATION_TICK_MS = 30_000;
+
+// ─── Rules ────────────────────────────────────────────────────────────────────
+//
+//   • Only 'active' alerts escalate — acknowledging or resolving one stops it,
+//     snoozing it pauses it (levels that fell due meanwhile fire afterwards).
+//   • An alert follows the first enabled policy (oldest first) whose
+//     severities / sensors match it.
+//   • Level n fires once the alert is levels[n-1].after_minutes old. If several
+//     levels fell due at once (e.g. the server was down) only the highest is
+//     notified; the alert's escalation_level jumps straight to it.
+
+// ─── In-memory cache ──────────────────────────────────────────────────────────
+
+let _policies = null;
+
+async function getPolicies() {
+  if (!_policies) _policies = await EscalationPolicy.find({ enabled: true }).sort({ createdAt: 1 }).lean();
+  return _policies;
+}
+
+/**
+ * Clears the cached policies so the next check reloads them.
+ * Called after every change made through /api/escalation-policies.
+ */
+function invalidateCache() {
+  _policies = null;
+}
+
+// ─── Evaluation ───────────────────────────────────────────────────────────────
+
+/**
+ * Returns the highest level of `policy` that is due for `alert` at `now`
+ * (0 = none yet).
+ *
+ * @param {object} policy — lean EscalationPolicy
+ * @param {object} alert  — lean Alert
+ * @param {Date}   now
+ */
+function dueLevel(policy, alert, now) {
+  const ageMinutes = (now.getTime() - new Date(alert.timestamp).getTime()) / 60_000;
+  let level = 0;
+  for (const [i, l] of policy.levels.entries()) {
+    if (ageMinutes >= l.after_minutes) level = i + 1;
+  }
+  return level;
+}
+
+/**
+ * Moves one alert to `level` and notifies that level. The update only applies
+ * while the alert is still active at its previous level, so a concurrent
+ * acknowledgement (or a second server tick) never sends twice.
+ */
+async function escalate(io, alert, policy, level, now) {
+  const current = alert.escalation_level ?? 0;
+  const doc = await Alert.findOneAndUpdate(
+    { _id: alert._id, status: 'active', escalation_level: current || { $in: [0, null] } },
+    {
+      $set:  { escalation_level: level },
+      $push: { escalation_history: { level, policy_id: policy._id, policy_name: policy.name, at: now } },
+    },
+    { new: true }
+  ).lean();
+  if (!doc) return;
+
+  const formatted  = formatAlert(doc);
+  const deliveries = await notifyEscalation(formatted, policy.levels[level - 1], level);
+  io.emit('alert_escalated', formatted);
+  console.log(`[escalation] 📣 ${doc.device_id ?? 'system'}/${doc.sensor} unacknowledged — level ${level} of "${policy.name}" (${deliveries} notification(s))`);
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Called periodically by server.js, next to checkDeviceOffline.
+ *
+ * @param {import('socket.io').Server} io
+ */
+async function checkEscalations(io, now = new Date()) {
+  try {
+    const policies = await getPolicies();
+    if (!policies.length) return;
+
+    const alerts = await Alert.find({ status: 'active', snoozedUntil: { $not: { $gt: now } } }).lean();
+    for (const alert of alerts) {
+      const policy = policies.find(p => matchesFilter(p, alert));
+      if (!policy) continue;
+
+      const level = dueLevel(policy, alert, now);
+      if (level > (alert.escalation_level ?? 0)) await escalate(io, alert, policy, level, now);
+    }
+  } catch (err) {
+    console.error('[escalation] checkEscalations error:', err.message);
+  }
+}
+
+module.exports = { checkEscalations, invalidateCache, dueLevel, ESCALATION_TICK_MS };
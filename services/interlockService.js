@@ -0,0 +1,136 @@
+'use strict';
+
+const InterlockRule = require('../models/InterlockRule');
+const SystemLog     = require('../models/SystemLog');
+const Alert         = require('../models/Alert');
+
+// ─── Factory defaults ─────────────────────────────────────────────────────────
+// Seeded into an empty collection on first startup.
+
+const DEFAULT_INTERLOCKS = [
+  { name: 'Valve closed',          type: 'valve_closed', commands: ['MANUAL_ON'] },
+  { name: 'Critical alert active', type: 'active_alert', commands: ['MANUAL_ON'], severity: 'critical' },
+];
+
+// How far back the last reported valve_status is looked for.
+const VALVE_STATUS_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+const SEVERITIES_AT_LEAST = {
+  critical: ['critical'],
+  warning:  ['critical', 'warning'],
+};
+
+// ─── In-memory cache ──────────────────────────────────────────────────────────
+
+let _rules = null;
+
+async function getRules() {
+  if (!_rules) _rules = await InterlockRule.find({ enabled: true }).lean();
+  return _rules;
+}
+
+/**
+ * Clears the cached rules so the next check reloads them.
+ * Called after every change made through /api/pump/interlocks.
+ */
+function invalidateCache() {
+  _rules = null;
+}
+
+/**
+ * Seeds DEFAULT_INTERLOCKS into an empty collection.
+ * Called once from server.js after MongoDB connects.
+ */
+async function ensureDefaultInterlocks() {
+  if (await InterlockRule.countDocuments() === 0) {
+    await InterlockRule.insertMany(DEFAULT_INTERLOCKS);
+    console.log(`[interlocks] Seeded ${DEFAULT_INTERLOCKS.length} default interlock rules`);
+  }
+  invalidateCache();
+}
+
+// ─── Conditions ───────────────────────────────────────────────────────────────
+
+/** Returns a reason string when the rule's condition currently holds, else null. */
+async function evaluateValveClosed(rule) {
+  const match = {
+    valve_status: { $exists: true },
+    timestamp:    { $gte: new Date(Date.now() - VALVE_STATUS_LOOKBACK_MS) },
+  };
+  if (rule.device_id) match['metadata.device_id'] = rule.device_id;
+
+  const latest = await SystemLog.aggregate([
+    { $match: match },
+    { $sort: { timestamp: -1 } },
+    { $group: { _id: '$metadata.device_id', valve_status: { $first: '$valve_status' } } },
+  ]);
+
+  const closed = latest.filter(d => d.valve_status === 'CLOSED').map(d => d._id).sort();
+  return closed.length ? `valve reported CLOSED by ${closed.join(', ')}` : null;
+}
+
+async function evaluateActiveAlert(rule) {
+  const filter = {
+    status:   { $in: ['active', 'acknowledged'] },
+    severity: { $in: SEVERITIES_AT_LEAST[rule.severity] ?? ['critical'] },
+  };
+  if (rule.sensor)    filter.sensor    = rule.sensor;
+  if (rule.device_id) filter.device_id = rule.device_id;
+
+  const alert = await Alert.findOne(filter).sort({ timestamp: -1 }).lean();
+  if (!alert) return null;
+  return `${alert.severity} alert active on ${alert.device_id ?? 'system'}/${alert.sensor}: ${alert.message}`;
+}
+
+const EVALUATORS = {
+  valve_closed: evaluateValveClosed,
+  active_alert: evaluateActiveAlert,
+};
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * True if `rule` guards `command` on `pump`. An empty `pumps` or `commands`
+ * list matches every pump or command.
+ *
+ * @param {{ pumps: string[], commands: string[] }} rule
+ * @param {string} pump    — actuator_id
+ * @param {string} command
+ */
+function ruleApplies(rule, pump, command) {
+  return (!rule.pumps.length    || rule.pumps.includes(pump))
+      && (!rule.commands.length || rule.commands.includes(command));
+}
+
+/**
+ * Returns every enabled interlock that currently blocks `command` on `pump`.
+ * An empty array means the command may be published.
+ *
+ * @param {string} pump    — actuator_id
+ * @param {string} command
+ * @returns {Promise<{ ruleId: string, name: string, type: string, reason: string }[]>}
+ */
+async function checkInterlocks(pump, command) {
+  const rules = await getRules();
+  const blocks = [];
+
+  for (const rule of rules.filter(r => ruleApplies(r, pump, command))) {
+    const reason = await EVALUATORS[rule.type]?.(rule);
+    if (reason) blocks.push({ ruleId: String(rule._id), name: rule.name, type: rule.type, reason });
+  }
+  return blocks;
+}
+
+/** Joins blocking interlocks into one human-readable message. */
+function describeBlocks(blocks) {
+  return blocks.map(b => `Interlock "${b.name}": ${b.reason}`).join('; ');
+}
+
+module.exports = {
+  checkInterlocks,
+  ruleApplies,
+  describeBlocks,
+  ensureDefaultInterlocks,
+  invalidateCache,
+  DEFAULT_INTERLOCKS,
+};
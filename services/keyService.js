@@ -0,0 +1,26 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// ─── Bearer secrets ───────────────────────────────────────────────────────────
+// Used for API keys. Keys are 192-bit random strings, so a plain SHA-256
+// (rather than bcrypt) is enough and allows an indexed lookup.
+
+/** Returns the SHA-256 hex digest stored in place of a key. */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Generates a new key with a recognisable prefix (e.g. 'mfck_').
+ *
+ * @param {string} prefix
+ * @returns {{ key: string, hash: string, prefix: string }} — `key` is shown to the admin once;
+ *   `prefix` is the first few characters, safe to store in clear for identification
+ */
+function generateKey(prefix) {
+  const key = prefix + crypto.randomBytes(24).toString('hex');
+  return { key, hash: hashKey(key), prefix: key.slice(0, prefix.length + 6) };
+}
+
+module.exports = { hashKey, generateKey };
@@ -0,0 +1,64 @@
+'use strict';
+
+const MaintenanceWindow = require('../models/MaintenanceWindow');
+
+// ─── Rules ────────────────────────────────────────────────────────────────────
+//
+//   • A window covers an alert when it is in progress, names the alert's device
+//     (or no device) and lists the alert's sensor (or no sensors).
+//   • While covered, createAlert raises nothing new and upgrades nothing.
+//     Open alerts are left alone: they still resolve once readings recover.
+//   • When the window ends, a condition that is still present alerts again on
+//     the next packet (or offline check).
+
+// ─── In-memory cache ──────────────────────────────────────────────────────────
+// Windows that had not ended when loaded; ended ones are skipped by time.
+
+let _windows = null;
+
+async function getWindows() {
+  if (!_windows) _windows = await MaintenanceWindow.find({ ends_at: { $gt: new Date() } }).lean();
+  return _windows;
+}
+
+/**
+ * Clears the cached windows so the next check reloads them.
+ * Called after every change made through /api/maintenance-windows.
+ */
+function invalidateCache() {
+  _windows = null;
+}
+
+// ─── Evaluation ───────────────────────────────────────────────────────────────
+
+/**
+ * Whether `window` covers alerts for `sensor` on `deviceId` at `now`.
+ *
+ * @param {object} window            — lean MaintenanceWindow
+ * @param {string|undefined} deviceId — undefined for system-wide alerts
+ * @param {string} sensor
+ * @param {Date}   now
+ */
+function windowCovers(window, deviceId, sensor, now) {
+  return window.starts_at <= now && now < window.ends_at &&
+    (!window.device_id || window.device_id === deviceId) &&
+    (!window.sensors.length || window.sensors.includes(sensor));
+}
+
+/**
+ * Returns the windows in progress at `now`.
+ */
+async function getActiveWindows(now = new Date()) {
+  const windows = await getWindows();
+  return windows.filter(w => w.starts_at <= now && now < w.ends_at);
+}
+
+/**
+ * Returns the window in progress that covers `sensor` on `deviceId`, or null.
+ */
+async function findActiveWindow(deviceId, sensor, now = new Date()) {
+  const windows = await getWindows();
+  return windows.find(w => windowCovers(w, deviceId, sensor, now)) ?? null;
+}
+
+module.exports = { findActiveWindow, getActiveWindows, windowCovers, invalidateCache };
@@ -10,6 +10,15 @@
 const mqtt = require('mqtt');
 const { validateTelemetry } = require('../validations/telemetryValidator');
 const { processTelemetryAlerts } = require('./alertService');
+const { evaluateAutomationRules } = require('./automationService');
+const { resolveDevice, DEFAULT_DEVICE } = require('./deviceService');
+const { recordRejection, REJECTION_CODES } = require('./rejectionService');
+const { handleAcknowledgement, findPendingCommand } = require('./pumpCommandService');
+const { setPumpMode } = require('./pumpStateService');
+const { resolveActuatorTopic, getActuatorTopics } = require('./actuatorService');
+const { SENSOR_FIELDS } = require('./sensorMetadata');
+const { recordTelemetry } = require('./sensorStatusService');
+const { getActiveRuleSet } = require('./complianceRuleService');
 
 // ─────────────────────────────────────────────────────────────────────────
 // Configuration
@@ -26,67 +35,70 @@ const BROKER_URL = process.env.MQTT_BROKER_URL ?? 'mqtt://localhost:1883';
 // messages would otherwise cause the dashboard to see rapid partial updates
 // (e.g. one message has ph/temp, the next has tds/flow).  We collect all
 // fields that arrive within a 150 ms window and emit one merged payload so
-// the frontend always gets a complete, unified reading.
+// the frontend always gets a complete, unified reading.  Windows are kept
+// per device so readings from different reactors are never mixed together.
 
 const AGGREGATION_WINDOW_MS = 150;
 // Fields forwarded from validated telemetry to the aggregated payload.
-const AGGREGATED_FIELDS = [
-  'ph', 'tds', 'temperature', 'flow_rate', 'salinity',
-  'conductivity', 'voltage', 'current', 'power',
-  'valve_status', 'timestamp', 'validation',
-];
+const AGGREGATED_FIELDS = [...SENSOR_FIELDS, 'valve_status', 'timestamp', 'validation'];
 
-let _pendingFields = {};
-let _emitTimer    = null;
+const _pending = new Map(); // device_id → { fields, timer }
 
 /**
- * Merges `validatedData` into the pending aggregate and schedules a single
- * Socket.io emission after AGGREGATION_WINDOW_MS.  Subsequent calls within
- * the same window extend the merged payload without resetting the timer.
+ * Merges `validatedData` into the pending aggregate for `device` and schedules
+ * a single Socket.io emission after AGGREGATION_WINDOW_MS.  Subsequent calls
+ * within the same window extend the merged payload without resetting the timer.
  *
  * @param {object} validatedData
  * @param {import('socket.io').Server} io
+ * @param {object} device — resolved Device document
  */
-function mergeAndScheduleEmit(validatedData, io) {
+function mergeAndScheduleEmit(validatedData, io, device) {
+  let entry = _pending.get(device.device_id);
+  if (!entry) {
+    entry = { fields: {}, timer: null };
+    _pending.set(device.device_id, entry);
+  }
+
   for (const field of AGGREGATED_FIELDS) {
     if (validatedData[field] != null) {
-      _pendingFields[field] = validatedData[field];
+      entry.fields[field] = validatedData[field];
     }
   }
 
-  if (_emitTimer) return; // already scheduled for this window
-  _emitTimer = setTimeout(() => {
-    io.emit('live_telemetry', { ..._pendingFields });
-    _pendingFields = {};
-    _emitTimer    = null;
+  if (entry.timer) return; // already scheduled for this window
+  entry.timer = setTimeout(() => {
+    io.emit('live_telemetry', {
+      device_id: device.device_id,
+      location:  device.location,
+      ...entry.fields,
+    });
+    _pending.delete(device.device_id);
   }, AGGREGATION_WINDOW_MS);
 }
-const TOPIC_TELEMETRY = 'mfc/system_01/telemetry';
-const TOPIC_ALERTS    = 'mfc/system_01/alerts';
-const TOPIC_COMMAND   = 'mfc/system/_01/command';
-const TOPIC_COMMAND_2 = 'mfc/system/_02/command';
-const TOPIC_COMMAND_3 = 'mfc/system/_03/command';
 
-const VALID_COMMANDS       = new Set(['MANUAL_ON', 'MANUAL_OFF', 'AUTO']);
-const VALID_PUMP2_COMMANDS = new Set(['MANUAL_ON', 'MANUAL_OFF', 'AUTO']);
-const VALID_PUMP3_COMMANDS = new Set(['MANUAL_ON', 'MANUAL_OFF', 'AUTO']);
+// Every device publishes live readings on mfc/<device_id>/telemetry and
+// replays its SD-card buffer after a connectivity loss on
+// mfc/<device_id>/telemetry/backfill.  The original segment (system_01)
+// predates the device registry and is mapped to the default device so
+// existing firmware keeps working.
+const TOPIC_TELEMETRY_PATTERN = 'mfc/+/telemetry';
+const TOPIC_BACKFILL_PATTERN  = 'mfc/+/telemetry/backfill';
+const TOPIC_TELEMETRY_RE      = /^mfc\/([^/]+)\/telemetry(\/backfill)?$/;
+const LEGACY_TOPIC_DEVICE     = 'system_01';
+
+// Upper bound on packets accepted in one backfill message.
+const MAX_BACKFILL_BATCH = 500;
+const TOPIC_ALERTS    = 'mfc/system_01/alerts';
 
-// ─── Pump state store ─────────────────────────────────────────────────────────
-//
-// Tracks the last-known command for each pump so that newly connecting
-// Socket.io clients can be synced immediately instead of waiting for the
-// next MQTT message to arrive.
-
-const pumpState = {
-  pump1: 'AUTO',
-  pump2: 'MANUAL_OFF',
-  pump3: 'MANUAL_OFF',
-};
+// Actuator command topics (and their <topic>/ack counterparts) come from the
+// actuator registry — see services/actuatorService.js.  The set currently
+// subscribed is tracked so registry changes can be applied without a restart.
+const _actuatorSubscriptions = new Set();
 
-/** Returns a snapshot of the current pump states. */
-function getPumpState() {
-  return { ...pumpState };
-}
+// The client created by initMqttListener — automation rules fired from
+// handleTelemetry (MQTT or HTTP ingestion) publish their commands through it.
+let _client = null;
 
 const MQTT_OPTIONS = {
   clientId:       `mfc-backend-${process.pid}-${Date.now()}`,
@@ -110,25 +122,18 @@ const MQTT_OPTIONS = {
  * @param {function} SystemLog — Mongoose model
  */
 function createMessageHandler(client, io, SystemLog) {
-  return async (topic, rawBuffer) => {
+  return async (topic, rawBuffer, packet) => {
     const raw = rawBuffer.toString('utf8').trim();
 
-    // Command topic uses a plain-string payload (not JSON) — handle first.
+    // Command topics use a plain-string payload (not JSON) — handle first.
     // This covers commands from the HTTP route, the test script, or any
     // other MQTT publisher, making this the single source of truth for
-    // pump_command Socket.io events.
-    if (topic === TOPIC_COMMAND) {
-      handleCommand(raw, io);
-      return;
-    }
-
-    if (topic === TOPIC_COMMAND_2) {
-      handleCommand2(raw, io);
-      return;
-    }
-
-    if (topic === TOPIC_COMMAND_3) {
-      handleCommand3(raw, io);
+    // pump_state Socket.io events.  Commands are published retained, so
+    // the broker replays the last one on subscribe — that is how pump state
+    // is reconciled with MQTT after a restart.
+    const actuatorTopic = resolveActuatorTopic(topic);
+    if (actuatorTopic && !actuatorTopic.ack) {
+      await handleActuatorCommand(actuatorTopic.actuator, raw, io, packet?.retain);
       return;
     }
 
@@ -141,6 +146,13 @@ function createMessageHandler(client, io, SystemLog) {
         `[mqttListener] [DROP] Malformed JSON on topic "${topic}":`,
         raw.slice(0, 100)
       );
+      recordRejection({
+        code:     REJECTION_CODES.MALFORMED_JSON,
+        reason:   'Payload is not valid JSON',
+        topic,
+        deviceId: parseTelemetryTopic(topic)?.deviceId,
+        payload:  raw,
+      });
       return;
     }
 
@@ -150,8 +162,33 @@ function createMessageHandler(client, io, SystemLog) {
       return;
     }
 
-    if (topic === TOPIC_TELEMETRY) {
-      await handleTelemetry(rawPayload, io, SystemLog);
+    // The ESP32 reports the outcome of each command on <command topic>/ack.
+    if (actuatorTopic?.ack) {
+      await handlePumpAck(rawPayload, io, actuatorTopic.actuator.actuator_id);
+      return;
+    }
+
+    const telemetryTopic = parseTelemetryTopic(topic);
+    if (telemetryTopic) {
+      const { deviceId, backfill } = telemetryTopic;
+      const device = await resolveDevice(deviceId);
+      if (!device || !device.enabled) {
+        const reason = `Telemetry from ${device ? 'disabled' : 'unregistered'} device "${deviceId}"`;
+        console.warn(`[mqttListener] [DROP] ${reason}`);
+        recordRejection({
+          code:    device ? REJECTION_CODES.DEVICE_DISABLED : REJECTION_CODES.UNKNOWN_DEVICE,
+          reason,
+          topic,
+          deviceId,
+          payload: rawPayload,
+        });
+        return;
+      }
+      if (backfill) {
+        await handleBackfill(rawPayload, io, SystemLog, device, topic);
+      } else {
+        await handleTelemetry(rawPayload, io, SystemLog, device, topic);
+      }
       return;
     }
 
@@ -161,54 +198,102 @@ function createMessageHandler(client, io, SystemLog) {
 }
 
 /**
- * Handles a pump command received from the MQTT broker.
+ * Parses a live or backfill telemetry topic.
+ * Returns null if `topic` is not a telemetry topic.
+ *
+ * @param {string} topic
+ * @returns {{ deviceId: string, backfill: boolean }|null}
+ */
+function parseTelemetryTopic(topic) {
+  const match = TOPIC_TELEMETRY_RE.exec(topic);
+  if (!match) return null;
+  return {
+    deviceId: match[1] === LEGACY_TOPIC_DEVICE ? DEFAULT_DEVICE.device_id : match[1],
+    backfill: Boolean(match[2]),
+  };
+}
+
+/**
+ * Handles a command received from the MQTT broker on an actuator's topic.
  * This fires for commands published by the HTTP route, the test script,
  * or any other MQTT client — making it the single authoritative source
- * for pump_command Socket.io events.
+ * for pump_state Socket.io events.
  *
- * @param {string} command  — raw string payload from the broker
+ * @param {object}  actuator — registry entry the topic belongs to
+ * @param {string}  command  — raw string payload from the broker
  * @param {import('socket.io').Server} io
+ * @param {boolean} retained — true when replayed by the broker on subscribe
  */
-function handleCommand(command, io) {
-  if (!VALID_COMMANDS.has(command)) {
-    console.warn(`[mqttListener] Unknown pump command received: "${command}" — ignoring`);
+async function handleActuatorCommand(actuator, command, io, retained) {
+  const pump = actuator.actuator_id;
+  if (!actuator.modes.includes(command)) {
+    console.warn(`[mqttListener] Unknown ${pump} command received: "${command}" — ignoring`);
     return;
   }
-  pumpState.pump1 = command;
-  console.log(`[mqttListener] 🔧 Pump 1 command confirmed by broker: "${command}"`);
-  io.emit('pump_command', { command, timestamp: new Date().toISOString() });
+  if (!(await applyPumpMode(pump, command, retained))) return;
+  console.log(`[mqttListener] 🔧 ${actuator.label} command confirmed by broker: "${command}"`);
+  emitPumpState(io, pump, command, retained ? 'retained' : 'command');
 }
 
 /**
- * Handles a Pump 2 command (MANUAL_ON / MANUAL_OFF / AUTO).
+ * Broadcasts a pump mode change to every connected client.
  *
- * @param {string} command
  * @param {import('socket.io').Server} io
+ * @param {string} pump   — actuator_id
+ * @param {string} mode
+ * @param {string} source — 'command' | 'ack' | 'retained'
  */
-function handleCommand2(command, io) {
-  if (!VALID_PUMP2_COMMANDS.has(command)) {
-    console.warn(`[mqttListener] Unknown pump 2 command received: "${command}" — ignoring`);
-    return;
+function emitPumpState(io, pump, mode, source) {
+  io.emit('pump_state', { pump, mode, source, timestamp: new Date().toISOString() });
+}
+
+/**
+ * Records a commanded pump mode in the persisted pump state.
+ * Live commands are attributed to whoever issued the matching pending
+ * PumpCommand (or 'MQTT' for external publishers).  A retained replay that
+ * matches the known mode changes nothing.
+ *
+ * @returns {Promise<boolean>} — false when nothing changed (caller skips the emit)
+ */
+async function applyPumpMode(pump, command, retained) {
+  try {
+    if (retained) {
+      return await setPumpMode(pump, command, { source: 'retained', changedBy: 'MQTT (retained)' });
+    }
+    const issuer = await findPendingCommand(pump, command);
+    await setPumpMode(pump, command, {
+      source:      'command',
+      changedBy:   issuer?.issuedByName ?? 'MQTT',
+      changedById: issuer?.issuedBy,
+    });
+  } catch (err) {
+    console.error(`[mqttListener] Failed to record ${pump} state:`, err.message);
   }
-  pumpState.pump2 = command;
-  console.log(`[mqttListener] 🔧 Pump 2 command confirmed by broker: "${command}"`);
-  io.emit('pump2_command', { command, timestamp: new Date().toISOString() });
+  return true;
 }
 
 /**
- * Handles a Pump 3 command (MANUAL_ON / MANUAL_OFF / AUTO).
+ * Handles an ESP32 command acknowledgement: resolves the matching pending
+ * PumpCommand and, on success, records the mode the pump is actually in.
  *
- * @param {string} command
+ * @param {object} payload — { command?, status: 'OK' | 'ERROR', error? }
  * @param {import('socket.io').Server} io
+ * @param {string} pump — actuator_id
  */
-function handleCommand3(command, io) {
-  if (!VALID_PUMP3_COMMANDS.has(command)) {
-    console.warn(`[mqttListener] Unknown pump 3 command received: "${command}" — ignoring`);
-    return;
+async function handlePumpAck(payload, io, pump) {
+  try {
+    const doc = await handleAcknowledgement(io, pump, payload);
+    if (doc?.status === 'acknowledged') {
+      await setPumpMode(pump, doc.command, {
+        source:      'ack',
+        changedBy:   doc.issuedByName,
+        changedById: doc.issuedBy,
+      });
+      emitPumpState(io, pump, doc.command, 'ack');
+    }
+  } catch (err) {
+    console.error(`[mqttListener] Failed to process ${pump} acknowledgement:`, err.message);
   }
-  pumpState.pump3 = command;
-  console.log(`[mqttListener] 🔧 Pump 3 command confirmed by broker: "${command}"`);
-  io.emit('pump3_command', { command, timestamp: new Date().toISOString() });
 }
 
 /**
@@ -224,71 +309,196 @@ function handleAlert(payload, io) {
 
 /**
  * Handles a telemetry message: validate, persist to DB, emit to frontend.
+ * Shared by the MQTT listener and POST /api/telemetry so both ingestion
+ * paths behave identically.
  *
  * @param {object} rawPayload
  * @param {import('socket.io').Server} io
  * @param {function} SystemLog — Mongoose model
+ * @param {object} device — registered Device the packet was published for
+ * @param {string} topic  — source topic ('http' for REST), recorded if the packet is rejected
+ * @returns {Promise<{ accepted: boolean, code?: string, reason?: string }>}
+ *   A packet that fails to persist is not accepted (code STORAGE_FAILED) and
+ *   drives no alerts, automation or live emit.
  */
-async function handleTelemetry(rawPayload, io, SystemLog) {
+async function handleTelemetry(rawPayload, io, SystemLog, device, topic) {
   // Step 1: Validation gatekeeper (Hard & Soft checks)
-  const result = validateTelemetry(rawPayload);
+  const result = validateTelemetry(rawPayload, { ruleSet: await getActiveRuleSet() });
 
   if (!result.valid) {
-    logDroppedPacket(result.reason, rawPayload);
-    return;
+    logDroppedPacket(result, rawPayload, device, topic);
+    return { accepted: false, code: result.code, reason: result.reason };
   }
 
   // result.payload now contains the EOR { validation: { status, failed_parameters } }
   const validatedData = result.payload;
+  recordTelemetry(validatedData, device.device_id);
 
-  // Step 2: Persist to DB asynchronously
+  // Step 2: Persist to DB — a reading that was not stored goes no further
   try {
-    const newLog = new SystemLog({
-        timestamp: validatedData.timestamp,
-        metadata: {
-            device_id: 'MFC_01', // You can extract this dynamically later if needed
-            location: 'Dammam_Lab'
-        },
-        readings: {
-            ph: validatedData.ph,
-            tds: validatedData.tds,
-            temperature: validatedData.temperature,
-            flow_rate: validatedData.flow_rate,
-            salinity: validatedData.salinity,
-            conductivity: validatedData.conductivity,
-            current: validatedData.current,
-            voltage: validatedData.voltage,
-            power: validatedData.power
-        },
-        valve_status: validatedData.valve_status,
-        validation: validatedData.validation
-    });
-    
+    const newLog = new SystemLog(buildLogDocument(validatedData, device));
     await newLog.save();
   } catch (err) {
     console.error('[mqttListener] Database persistence failed:', {
         error: err.message,
+        device_id: device.device_id,
         timestamp: validatedData.timestamp
     });
+    return { accepted: false, code: REJECTION_CODES.STORAGE_FAILED, reason: `Reading could not be stored: ${err.message}` };
   }
 
   // Step 3: Evaluate thresholds and fire/clear alerts (non-blocking)
-  processTelemetryAlerts(io, validatedData);
+  processTelemetryAlerts(io, validatedData, device);
+
+  // Step 3b: Evaluate automation rules, which may command pumps (non-blocking)
+  evaluateAutomationRules(io, _client, validatedData, device);
 
   // Step 4: Merge into the aggregation window and schedule a single emit.
   // Multiple ESP32 clients publishing within 150 ms are bundled into one
   // Socket.io event so the dashboard sees a unified, complete reading.
-  mergeAndScheduleEmit(validatedData, io);
+  mergeAndScheduleEmit(validatedData, io, device);
+
+  return { accepted: true };
 }
 
 /**
- * Logs details of a dropped telemetry packet.
+ * Handles a store-and-forward backfill message: a single packet or an array
+ * of packets an ESP32 buffered while it was offline.
+ *
+ * Packets go through the same bounds and EOR checks as live telemetry (under
+ * the rule set active when they arrive) but skip the latency gate.  Packets whose device + timestamp already exist
+ * (in the DB or earlier in the same batch) are skipped, so a replay that is
+ * interrupted and restarted does not create duplicates.
+ *
+ * Backfilled readings are historical: they are persisted with
+ * `backfilled: true` but do not drive alerts or the live_telemetry stream.
+ *
+ * @param {object|object[]} rawPayload
+ * @param {import('socket.io').Server} io
+ * @param {function} SystemLog — Mongoose model
+ * @param {object} device
+ * @param {string} topic
  */
-function logDroppedPacket(reason, payload) {
+async function handleBackfill(rawPayload, io, SystemLog, device, topic) {
+  const packets = Array.isArray(rawPayload) ? rawPayload : [rawPayload];
+
+  if (packets.length > MAX_BACKFILL_BATCH) {
+    const reason = `Backfill batch of ${packets.length} packets exceeds limit of ${MAX_BACKFILL_BATCH}`;
+    console.warn(`[mqttListener] [DROP] ${reason}`, { device_id: device.device_id });
+    recordRejection({
+      code:     REJECTION_CODES.BATCH_TOO_LARGE,
+      reason,
+      topic,
+      deviceId: device.device_id,
+      payload:  { count: packets.length },
+    });
+    return;
+  }
+
+  // Step 1: Validate every packet (latency gate skipped) and dedupe within the batch
+  const accepted = new Map(); // epoch ms → validated payload
+  let rejected   = 0;
+  let duplicates = 0;
+  const ruleSet  = await getActiveRuleSet();
+
+  for (const packet of packets) {
+    const result = validateTelemetry(packet, { allowStale: true, ruleSet });
+    if (!result.valid) {
+      logDroppedPacket(result, packet, device, topic);
+      rejected++;
+      continue;
+    }
+    const key = result.date.getTime();
+    if (accepted.has(key)) {
+      duplicates++;
+      continue;
+    }
+    accepted.set(key, result.payload);
+  }
+
+  // Step 2: Dedupe against readings already stored for this device, then persist
+  try {
+    if (accepted.size > 0) {
+      const existing = await SystemLog.find(
+        {
+          'metadata.device_id': device.device_id,
+          timestamp: { $in: [...accepted.keys()].map(ms => new Date(ms)) },
+        },
+        { timestamp: 1 }
+      ).lean();
+
+      for (const doc of existing) {
+        if (accepted.delete(new Date(doc.timestamp).getTime())) duplicates++;
+      }
+    }
+
+    if (accepted.size > 0) {
+      await SystemLog.insertMany(
+        [...accepted.values()].map(data => ({ ...buildLogDocument(data, device), backfilled: true })),
+        { ordered: false }
+      );
+    }
+  } catch (err) {
+    console.error('[mqttListener] Backfill persistence failed:', {
+      error:     err.message,
+      device_id: device.device_id,
+      packets:   packets.length,
+    });
+    return;
+  }
+
+  const summary = {
+    device_id:  device.device_id,
+    received:   packets.length,
+    inserted:   accepted.size,
+    duplicates,
+    rejected,
+  };
+  console.log('[mqttListener] 📥 Backfill processed', summary);
+  io.emit('telemetry_backfilled', summary);
+}
+
+/**
+ * Maps a validated telemetry payload onto the SystemLog document shape.
+ *
+ * @param {object} validatedData
+ * @param {object} device
+ * @returns {object}
+ */
+function buildLogDocument(validatedData, device) {
+  return {
+    timestamp: validatedData.timestamp,
+    metadata: {
+      device_id: device.device_id,
+      location:  device.location,
+    },
+    readings: {
+      ph:           validatedData.ph,
+      tds:          validatedData.tds,
+      temperature:  validatedData.temperature,
+      flow_rate:    validatedData.flow_rate,
+      salinity:     validatedData.salinity,
+      conductivity: validatedData.conductivity,
+      current:      validatedData.current,
+      voltage:      validatedData.voltage,
+      power:        validatedData.power,
+    },
+    valve_status: validatedData.valve_status,
+    validation:   validatedData.validation,
+  };
+}
+
+/**
+ * Logs details of a dropped telemetry packet and persists it to the
+ * RejectedPacket collection for later diagnosis.
+ */
+function logDroppedPacket({ code, reason }, payload, device, topic) {
   console.warn('[mqttListener] [DROP] Telemetry packet rejected', {
     reason,
+    device_id: device.device_id,
     timestamp: payload?.timestamp ?? 'N/A'
   });
+  recordRejection({ code, reason, topic, deviceId: device.device_id, payload });
 }
 
 // ─────────────────────────────────────────────────────────────────────────
@@ -318,10 +528,22 @@ function attachConnectionHandlers(client) {
 }
 
 /**
- * Subscribes to telemetry and alert topics.
+ * Subscribes to telemetry, backfill, alert, and every registered actuator's
+ * command and command-ack topics.
  */
 function subscribeToTopics(client) {
-  client.subscribe([TOPIC_TELEMETRY, TOPIC_ALERTS, TOPIC_COMMAND, TOPIC_COMMAND_2, TOPIC_COMMAND_3], { qos: 1 }, (err, granted) => {
+  const actuatorTopics = getActuatorTopics();
+  _actuatorSubscriptions.clear();
+  actuatorTopics.forEach(t => _actuatorSubscriptions.add(t));
+
+  subscribe(client, [
+    TOPIC_TELEMETRY_PATTERN, TOPIC_BACKFILL_PATTERN, TOPIC_ALERTS,
+    ...actuatorTopics,
+  ]);
+}
+
+function subscribe(client, topics) {
+  client.subscribe(topics, { qos: 1 }, (err, granted) => {
     if (err) {
       console.error('[mqttListener] Subscription failed:', err.message);
       return;
@@ -333,6 +555,33 @@ function subscribeToTopics(client) {
   });
 }
 
+/**
+ * Brings the actuator subscriptions in line with the registry.  Called after
+ * the registry is loaded at startup and after every /api/pump/actuators change.
+ * A no-op while the client is disconnected — the next 'connect' subscribes to
+ * the full set anyway.
+ *
+ * @param {mqtt.MqttClient} client
+ */
+function refreshActuatorSubscriptions(client) {
+  if (!client?.connected) return;
+
+  const wanted  = new Set(getActuatorTopics());
+  const added   = [...wanted].filter(t => !_actuatorSubscriptions.has(t));
+  const removed = [..._actuatorSubscriptions].filter(t => !wanted.has(t));
+
+  if (added.length) subscribe(client, added);
+  if (removed.length) {
+    client.unsubscribe(removed, (err) => {
+      if (err) console.error('[mqttListener] Unsubscribe failed:', err.message);
+      else removed.forEach(t => console.log(`[mqttListener] 📴 Unsubscribed from "${t}"`));
+    });
+  }
+
+  _actuatorSubscriptions.clear();
+  wanted.forEach(t => _actuatorSubscriptions.add(t));
+}
+
 /**
  * Attaches graceful shutdown handlers.
  */
@@ -362,6 +611,7 @@ function attachShutdownHandlers(client) {
  */
 function initMqttListener(io, SystemLog) {
   const client = mqtt.connect(BROKER_URL, MQTT_OPTIONS);
+  _client = client;
 
   attachConnectionHandlers(client);
   client.on('message', createMessageHandler(client, io, SystemLog));
@@ -370,4 +620,4 @@ function initMqttListener(io, SystemLog) {
   return client;
 }
 
-module.exports = { initMqttListener, getPumpState };
\ No newline at end of file
+module.exports = { initMqttListener, handleTelemetry, refreshActuatorSubscriptions };
\ No newline at end of file
@@ -0,0 +1,385 @@
+'use strict';
+
+const crypto     = require('crypto');
+const nodemailer = require('nodemailer');
+const User                     = require('../models/User');
+const NotificationChannel      = require('../models/NotificationChannel');
+const NotificationSubscription = require('../models/NotificationSubscription');
+const NotificationDelivery     = require('../models/NotificationDelivery');
+
+// ─── Delivery policy ──────────────────────────────────────────────────────────
+//   • Every new alert is matched against the enabled channels; each matching
+//     channel gets one delivery per recipient (webhooks: one delivery).
+//   • A delivery is attempted right away. A failed attempt is retried after
+//     RETRY_BASE_MS, doubling each time, until MAX_ATTEMPTS — then it is
+//     'failed'. Retries are driven by retryDueDeliveries (server.js).
+//   • Deliveries are created with a next_attempt_at in the future, so one whose
+//     first attempt never finished (e.g. a restart) is still retried.
+//   • Every attempt first claims the delivery by pushing next_attempt_at out by
+//     CLAIM_MS, so the first attempt, the retry loop and other replicas never
+//     send the same delivery twice. A claim whose sender died simply expires.
+
+const MAX_ATTEMPTS    = 5;
+const RETRY_BASE_MS   = 30_000;   // 30 s, 1 min, 2 min, 4 min
+const RETRY_TICK_MS   = 15_000;
+const RETRY_BATCH     = 50;
+const SEND_TIMEOUT_MS = 10_000;
+const CLAIM_MS        = 60_000;   // comfortably longer than any one send
+
+// ─── Transports ───────────────────────────────────────────────────────────────
+// SMTP settings come from the environment so a local stand-in server can be
+// used in development (see scripts/notification-test.js).
+
+const SMTP_FROM = process.env.SMTP_FROM || 'MFC Monitor <alerts@localhost>';
+
+let _transport = null;
+
+function getTransport() {
+  if (!_transport) {
+    _transport = nodemailer.createTransport({
+      host:              process.env.SMTP_HOST || 'localhost',
+      port:              Number(process.env.SMTP_PORT) || 587,
+      secure:            process.env.SMTP_SECURE === 'true',
+      auth:              process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      connectionTimeout: SEND_TIMEOUT_MS,
+      greetingTimeout:   SEND_TIMEOUT_MS,
+      socketTimeout:     SEND_TIMEOUT_MS,
+    });
+  }
+  return _transport;
+}
+
+async function sendEmail(to, subject, text) {
+  await getTransport().sendMail({ from: SMTP_FROM, to, subject, text });
+}
+
+/** POSTs `body` as JSON; throws on a network error or a non-2xx response. */
+async function postJson(url, body, headers = {}) {
+  const raw = JSON.stringify(body);
+  const res = await fetch(url, {
+    method:  'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body:    raw,
+    signal:  AbortSignal.timeout(SEND_TIMEOUT_MS),
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status} from ${new URL(url).host}`);
+}
+
+async function sendWebhook(url, secret, body) {
+  const headers = {};
+  if (secret) {
+    const signature = crypto.createHmac('sha256', secret).update(JSON.stringify(body)).digest('hex');
+    headers['X-MFC-Signature'] = `sha256=${signature}`;
+  }
+  await postJson(url, body, headers);
+}
+
+async function sendSms(url, secret, to, message) {
+  await postJson(url, { to, message }, secret ? { Authorization: `Bearer ${secret}` } : {});
+}
+
+/**
+ * Sends one delivery over its channel. `channel` must include its secret.
+ * Throws when the transport reports a failure.
+ */
+async function deliver(channel, delivery) {
+  switch (channel.type) {
+    case 'email':   return sendEmail(delivery.recipient, delivery.subject, delivery.message);
+    case 'webhook': return sendWebhook(channel.url, channel.secret, delivery.payload);
+    case 'sms':     return sendSms(channel.url, channel.secret, delivery.recipient, delivery.message);
+    default:        throw new Error(`Unsupported channel type "${channel.type}"`);
+  }
+}
+
+// ─── Routing ──────────────────────────────────────────────────────────────────
+
+/** True if `alert` passes a { severities, sensors } filter (empty = any). */
+function matchesFilter({ severities = [], sensors = [] }, alert) {
+  return (!severities.length || severities.includes(alert.severity))
+      && (!sensors.length    || sensors.includes(alert.sensor));
+}
+
+/** Returns the channel's recipients plus those of matching subscribers, deduplicated. */
+function recipientsFor(channel, subscriptions, alert) {
+  const recipients = new Set(channel.recipients);
+  for (const sub of subscriptions) {
+    if (!sub.channel.equals(channel._id) || !matchesFilter(sub, alert)) continue;
+    const address = channel.type === 'sms' ? sub.phone : sub.user?.email;
+    if (address) recipients.add(address);
+  }
+  return [...recipients];
+}
+
+/**
+ * Returns the addresses of explicitly targeted users on one channel: their
+ * account email, or for SMS the phone of their subscription to the channel.
+ */
+function userRecipients(channel, users, subscriptions) {
+  if (channel.type === 'email') return [...new Set(users.map(u => u.email))];
+  const ids = new Set(users.map(u => String(u._id)));
+  return [...new Set(subscriptions
+    .filter(sub => sub.channel.equals(channel._id) && ids.has(String(sub.user?._id)) && sub.phone)
+    .map(sub => sub.phone))];
+}
+
+function buildMessage(alert, escalationLevel) {
+  const where   = `${alert.deviceId ?? 'system'}/${alert.sensor}`;
+  const prefix  = escalationLevel ? `[ESCALATION L${escalationLevel}] ` : '';
+  const subject = `${prefix}[${alert.severity.toUpperCase()}] ${where} alert`;
+  const lines   = [alert.message, '', `Device: ${alert.deviceId ?? 'system'}`, `Sensor: ${alert.sensor}`];
+  if (alert.value !== undefined && alert.value !== null) lines.push(`Value: ${alert.value}`);
+  if (alert.threshold) lines.push(`Threshold: ${alert.threshold}`);
+  lines.push(`Time: ${alert.timestamp}`);
+  if (escalationLevel) lines.push('', 'This alert has not been acknowledged.');
+  return {
+    subject,
+    text: lines.join('\n'),
+    sms:  `${subject}: ${alert.message}`,
+  };
+}
+
+/**
+ * Builds the delivery documents for one channel (not yet saved).
+ * `event` is 'alert', 'escalation' or 'test'.
+ */
+function buildDeliveries(channel, recipients, alert, event, escalationLevel) {
+  const msg  = buildMessage(alert, escalationLevel);
+  const base = {
+    alert_id:         event === 'test' ? undefined : alert.id,
+    escalation_level: escalationLevel,
+    channel_id:       channel._id,
+    channel_name:     channel.name,
+    channel_type:     channel.type,
+    next_attempt_at:  new Date(Date.now() + RETRY_BASE_MS),
+  };
+
+  if (channel.type === 'webhook') {
+    const payload = { event, alert, ...(escalationLevel && { escalationLevel }) };
+    return [{ ...base, message: msg.sms, payload }];
+  }
+  return recipients.map(recipient => ({
+    ...base,
+    recipient,
+    subject: channel.type === 'email' ? msg.subject : undefined,
+    message: channel.type === 'email' ? msg.text : msg.sms,
+  }));
+}
+
+// ─── Attempts ─────────────────────────────────────────────────────────────────
+
+/**
+ * Claims a pending delivery for one attempt. Matches on the attempt count and
+ * next_attempt_at it was read with, so only one sender can win.
+ *
+ * @returns {Promise<object|null>} the claimed lean delivery, or null if another sender has it
+ */
+function claimDelivery(delivery) {
+  return NotificationDelivery.findOneAndUpdate(
+    { _id: delivery._id, status: 'pending', attempts: delivery.attempts, next_attempt_at: delivery.next_attempt_at },
+    { $set: { next_attempt_at: new Date(Date.now() + CLAIM_MS) } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Claims a delivery, makes one attempt at it and records the outcome. Skips
+ * it if another sender claimed it first. Never throws.
+ */
+async function attemptDelivery(delivery, channel) {
+  try {
+    delivery = await claimDelivery(delivery);
+  } catch (err) {
+    console.error('[notifications] Failed to claim delivery:', err.message);
+    return;
+  }
+  if (!delivery) return;
+
+  const attempts = delivery.attempts + 1;
+  let update;
+  try {
+    await deliver(channel, delivery);
+    update = { $set: { status: 'sent', attempts, sent_at: new Date() }, $unset: { next_attempt_at: 1 } };
+  } catch (err) {
+    const failed = attempts >= MAX_ATTEMPTS;
+    update = { $set: { attempts, last_error: err.message, status: failed ? 'failed' : 'pending' } };
+    if (failed) update.$unset = { next_attempt_at: 1 };
+    else update.$set.next_attempt_at = new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1));
+    console.warn(`[notifications] ${channel.type} "${channel.name}"${delivery.recipient ? ` → ${delivery.recipient}` : ''} attempt ${attempts}/${MAX_ATTEMPTS} failed: ${err.message}`);
+  }
+
+  try {
+    await NotificationDelivery.updateOne({ _id: delivery._id }, update);
+  } catch (err) {
+    console.error('[notifications] Failed to record delivery attempt:', err.message);
+  }
+}
+
+/** Saves and immediately attempts deliveries for one channel. Returns their ids. */
+async function dispatch(channel, docs) {
+  if (!docs.length) return [];
+  const deliveries = await NotificationDelivery.insertMany(docs);
+  for (const d of deliveries) await attemptDelivery(d.toObject(), channel);
+  return deliveries.map(d => d._id);
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Called by alertService after a new alert is created. Never throws.
+ *
+ * @param {object} alert — formatted alert (formatAlert)
+ */
+async function notifyAlert(alert) {
+  try {
+    const channels = (await NotificationChannel.find({ enabled: true }).select('+secret').lean())
+      .filter(c => matchesFilter(c, alert));
+    if (!channels.length) return;
+
+    const subscriptions = await NotificationSubscription
+      .find({ channel: { $in: channels.map(c => c._id) } })
+      .populate('user', 'email')
+      .lean();
+
+    for (const channel of channels) {
+      const recipients = recipientsFor(channel, subscriptions, alert);
+      await dispatch(channel, buildDeliveries(channel, recipients, alert, 'alert'));
+    }
+  } catch (err) {
+    console.error('[notifications] notifyAlert error:', err.message);
+  }
+}
+
+/**
+ * Called by escalationService when an alert reaches a level of its escalation
+ * policy. Never throws.
+ *
+ * @param {object} alert — formatted alert (formatAlert)
+ * @param {object} level — policy level: { channels, users, roles }
+ * @param {number} levelNumber — 1-based
+ * @returns {Promise<number>} — deliveries created
+ */
+async function notifyEscalation(alert, level, levelNumber) {
+  try {
+    const channels = await NotificationChannel
+      .find({ _id: { $in: level.channels }, enabled: true })
+      .select('+secret')
+      .lean();
+    if (!channels.length) return 0;
+
+    const targeted = level.users.length > 0 || level.roles.length > 0;
+    const users = targeted
+      ? await User.find({ $or: [{ _id: { $in: level.users } }, { role: { $in: level.roles } }] }).select('email').lean()
+      : [];
+    const subscriptions = await NotificationSubscription
+      .find({ channel: { $in: channels.map(c => c._id) }, ...(targeted && { user: { $in: users.map(u => u._id) } }) })
+      .populate('user', 'email')
+      .lean();
+
+    let count = 0;
+    for (const channel of channels) {
+      const recipients = targeted ? userRecipients(channel, users, subscriptions) : recipientsFor(channel, subscriptions, alert);
+      count += (await dispatch(channel, buildDeliveries(channel, recipients, alert, 'escalation', levelNumber))).length;
+    }
+    return count;
+  } catch (err) {
+    console.error('[notifications] notifyEscalation error:', err.message);
+    return 0;
+  }
+}
+
+let _retrying = false;
+
+/**
+ * Called periodically by server.js. Retries pending deliveries that are due.
+ */
+async function retryDueDeliveries(now = new Date()) {
+  if (_retrying) return;   // the previous tick is still sending
+  _retrying = true;
+  try {
+    const due = await NotificationDelivery
+      .find({ status: 'pending', next_attempt_at: { $lte: now } })
+      .sort({ next_attempt_at: 1 })
+      .limit(RETRY_BATCH)
+      .lean();
+    if (!due.length) return;
+
+    const channels = await NotificationChannel
+      .find({ _id: { $in: [...new Set(due.map(d => String(d.channel_id)))] } })
+      .select('+secret')
+      .lean();
+    const byId = new Map(channels.map(c => [String(c._id), c]));
+
+    for (const delivery of due) {
+      const channel = byId.get(String(delivery.channel_id));
+      if (!channel || !channel.enabled) {
+        await NotificationDelivery.updateOne(
+          { _id: delivery._id, status: 'pending' },
+          { $set: { status: 'failed', last_error: `Channel ${channel ? 'disabled' : 'deleted'}` }, $unset: { next_attempt_at: 1 } }
+        );
+        continue;
+      }
+      await attemptDelivery(delivery, channel);
+    }
+  } catch (err) {
+    console.error('[notifications] retryDueDeliveries error:', err.message);
+  } finally {
+    _retrying = false;
+  }
+}
+
+/**
+ * Sends a sample alert over `channel` to its own recipients, or to
+ * `fallbackEmail` for an email channel without any. Failed sends are retried
+ * like real ones.
+ *
+ * @param {object} channel       — lean NotificationChannel including its secret
+ * @param {string} fallbackEmail — the requesting user's address
+ * @returns {Promise<object[]>} — the deliveries, after their first attempt
+ */
+async function sendTestNotification(channel, fallbackEmail) {
+  const alert = {
+    id:        null,
+    severity:  channel.severities[0] ?? 'info',
+    sensor:    channel.sensors[0] ?? 'ph',
+    deviceId:  null,
+    message:   `Test notification from channel "${channel.name}"`,
+    timestamp: new Date().toISOString(),
+  };
+  const recipients = channel.recipients.length || channel.type !== 'email' ? channel.recipients : [fallbackEmail];
+  const ids = await dispatch(channel, buildDeliveries(channel, recipients, alert, 'test'));
+  return NotificationDelivery.find({ _id: { $in: ids } }).lean();
+}
+
+// ─── Formatter (shared with routes) ──────────────────────────────────────────
+
+function formatDelivery(doc) {
+  const iso = d => (d instanceof Date ? d.toISOString() : d ?? null);
+  return {
+    id:              doc._id.toString(),
+    timestamp:       iso(doc.timestamp),
+    alertId:         doc.alert_id ? String(doc.alert_id) : null,
+    escalationLevel: doc.escalation_level ?? null,
+    channelId:       String(doc.channel_id),
+    channelName:     doc.channel_name,
+    channelType:     doc.channel_type,
+    recipient:       doc.recipient ?? null,
+    subject:         doc.subject ?? null,
+    message:         doc.message,
+    status:          doc.status,
+    attempts:        doc.attempts,
+    lastError:       doc.last_error ?? null,
+    nextAttemptAt:   iso(doc.next_attempt_at),
+    sentAt:          iso(doc.sent_at),
+  };
+}
+
+module.exports = {
+  notifyAlert,
+  notifyEscalation,
+  retryDueDeliveries,
+  sendTestNotification,
+  matchesFilter,
+  deliver,
+  formatDelivery,
+  RETRY_TICK_MS,
+};
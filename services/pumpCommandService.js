@@ -0,0 +1,164 @@
+'use strict';
+
+const PumpCommand = require('../models/PumpCommand');
+
+// How long a command may stay pending before it is marked timed_out.
+const PUMP_COMMAND_TIMEOUT_MS = parseInt(process.env.PUMP_COMMAND_TIMEOUT_MS) || 15_000;
+
+// ─── Lifecycle ────────────────────────────────────────────────────────────────
+// Every status change is broadcast as `pump_command_status` so the frontend can
+// show a spinner until the ESP32 confirms (or the command fails / times out).
+
+/**
+ * Records a command as pending and broadcasts it. Must be called before
+ * publishing so an acknowledgement can never arrive for a command we haven't
+ * stored yet.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {object} params
+ * @param {string} params.pump
+ * @param {string} params.command
+ * @param {string} params.topic
+ * @param {object} [params.user]     — req.user of the issuer
+ * @param {object} [params.override] — { justification, rules } when interlocks were overridden
+ * @returns {Promise<object>} — the created PumpCommand document
+ */
+async function createPendingCommand(io, { pump, command, topic, user, override }) {
+  const doc = await PumpCommand.create({
+    pump,
+    command,
+    topic,
+    issuedBy:     user?._id,
+    issuedByName: user?.name,
+    ...(override && { interlock_override: override }),
+  });
+  io.emit('pump_command_status', formatCommand(doc.toObject()));
+  return doc;
+}
+
+/**
+ * Records a command as pending and publishes it (retained) to the actuator's
+ * command topic. Shared by the HTTP route and the pump scheduler.
+ * On a publish failure the command is marked failed and the error rethrown.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {mqtt.MqttClient} mqttClient — must be connected
+ * @param {object} params
+ * @param {object} params.actuator — registry entry
+ * @param {string} params.command  — one of actuator.modes
+ * @param {object} [params.user]     — issuer ({ _id?, name })
+ * @param {object} [params.override] — see createPendingCommand
+ * @returns {Promise<object>} — the pending PumpCommand document
+ */
+async function issuePumpCommand(io, mqttClient, { actuator, command, user, override }) {
+  const pending = await createPendingCommand(io, { pump: actuator.actuator_id, command, topic: actuator.topic, user, override });
+  try {
+    await mqttClient.publishAsync(actuator.topic, command, { qos: 1, retain: true });
+  } catch (err) {
+    markPublishFailed(io, pending._id, err.message).catch(() => {});
+    throw err;
+  }
+  return pending;
+}
+
+/**
+ * Moves a pending command to a terminal status and broadcasts the change.
+ * No-ops (returns null) if the command already left 'pending'.
+ */
+async function completeCommand(io, commandId, status, error) {
+  const doc = await PumpCommand.findOneAndUpdate(
+    { _id: commandId, status: 'pending' },
+    { status, completedAt: new Date(), ...(error && { error }) },
+    { new: true }
+  ).lean();
+  if (!doc) return null;
+
+  io.emit('pump_command_status', formatCommand(doc));
+  console.log(`[pumpCommands] ${doc.pump} "${doc.command}" → ${status}${error ? ` (${error})` : ''}`);
+  return doc;
+}
+
+/**
+ * Marks a command as failed because it could not be published.
+ */
+function markPublishFailed(io, commandId, error) {
+  return completeCommand(io, commandId, 'failed', `Publish failed: ${error}`);
+}
+
+/**
+ * Returns the most recent pending command for `pump` (optionally matching
+ * `command`), or null.
+ */
+async function findPendingCommand(pump, command) {
+  const filter = { pump, status: 'pending' };
+  if (typeof command === 'string') filter.command = command;
+  return PumpCommand.findOne(filter).sort({ issuedAt: -1 }).lean();
+}
+
+/**
+ * Applies an ESP32 acknowledgement to the most recent pending command for
+ * `pump`. The ESP32 receives plain-string commands with no id, so the ack is
+ * matched by pump (and by command when the ack echoes it).
+ *
+ * Ack payload: { command?: string, status: 'OK' | 'ERROR', error?: string }
+ *
+ * @returns {Promise<object|null>} — the updated command, or null if nothing was pending
+ */
+async function handleAcknowledgement(io, pump, ack) {
+  const pending = await findPendingCommand(pump, ack.command);
+  if (!pending) {
+    console.warn(`[pumpCommands] Ack for ${pump} with no pending command — ignoring`, ack);
+    return null;
+  }
+
+  return ack.status === 'OK'
+    ? completeCommand(io, pending._id, 'acknowledged')
+    : completeCommand(io, pending._id, 'failed', ack.error || 'Device reported an error');
+}
+
+/**
+ * Called periodically by server.js.
+ * Marks every command pending for longer than PUMP_COMMAND_TIMEOUT_MS as timed_out.
+ */
+async function expirePendingCommands(io) {
+  try {
+    const cutoff = new Date(Date.now() - PUMP_COMMAND_TIMEOUT_MS);
+    const stale  = await PumpCommand.find({ status: 'pending', issuedAt: { $lt: cutoff } }, { _id: 1 }).lean();
+    for (const { _id } of stale) {
+      await completeCommand(io, _id, 'timed_out', `No acknowledgement within ${PUMP_COMMAND_TIMEOUT_MS / 1000} s`);
+    }
+  } catch (err) {
+    console.error('[pumpCommands] expirePendingCommands error:', err.message);
+  }
+}
+
+// ─── Formatter (shared with routes) ──────────────────────────────────────────
+
+function formatCommand(doc) {
+  const iso = d => (d instanceof Date ? d.toISOString() : d);
+  return {
+    id:           doc._id.toString(),
+    pump:         doc.pump,
+    command:      doc.command,
+    status:       doc.status,
+    issuedBy:     doc.issuedBy ? String(doc.issuedBy) : null,
+    issuedByName: doc.issuedByName ?? null,
+    issuedAt:     iso(doc.issuedAt),
+    completedAt:  doc.completedAt ? iso(doc.completedAt) : undefined,
+    error:        doc.error,
+    interlockOverride: doc.interlock_override?.justification
+      ? { justification: doc.interlock_override.justification, rules: doc.interlock_override.rules }
+      : undefined,
+  };
+}
+
+module.exports = {
+  createPendingCommand,
+  issuePumpCommand,
+  findPendingCommand,
+  markPublishFailed,
+  handleAcknowledgement,
+  expirePendingCommands,
+  formatCommand,
+  PUMP_COMMAND_TIMEOUT_MS,
+};
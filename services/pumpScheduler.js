@@ -0,0 +1,257 @@
+'use strict';
+
+const PumpSchedule = require('../models/PumpSchedule');
+const { parseCron, cronMatches } = require('../validations/scheduleValidator');
+const { getActuator } = require('./actuatorService');
+const { getPumpState } = require('./pumpStateService');
+const { issuePumpCommand } = require('./pumpCommandService');
+const { checkInterlocks, describeBlocks } = require('./interlockService');
+
+// How often schedules are evaluated. Windows have minute resolution, so a
+// command goes out at most this long after a window opens or closes.
+const SCHEDULE_TICK_MS = 30_000;
+
+// Used when a schedule doesn't name its own timezone.
+const DEFAULT_TIMEZONE = process.env.PUMP_SCHEDULE_TZ || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const MINUTE_MS = 60_000;
+const WEEKDAYS  = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// ─── Rules ────────────────────────────────────────────────────────────────────
+//
+//   • While a window is open the pump is held in the schedule's `mode`; when it
+//     closes the schedule's `end_mode` is sent — unless another schedule for the
+//     same pump has taken over.
+//   • Overlapping schedules for one pump: the highest `priority` wins; on a tie
+//     the oldest schedule wins. Only the winner ever sends commands.
+//   • Manual override: a command issued through POST /api/pump/:pumpId/command
+//     while schedules are open suspends each of them until its current window
+//     closes (suspendForManualCommand). The operator's mode then stands — no
+//     end_mode is sent — and the next window runs normally.
+//   • A command is only sent when the pump isn't already in that mode, and is
+//     retried on the next tick if it could not be published or a safety
+//     interlock blocked it (schedules never override interlocks).
+
+// ─── Time ─────────────────────────────────────────────────────────────────────
+
+const _formatters = new Map();
+
+/** Returns the calendar fields of `date` in `timeZone`. */
+function localParts(date, timeZone) {
+  let fmt = _formatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday:   'short',
+      month:     'numeric',
+      day:       'numeric',
+      hour:      'numeric',
+      minute:    'numeric',
+    });
+    _formatters.set(timeZone, fmt);
+  }
+  const parts = Object.fromEntries(fmt.formatToParts(date).map(p => [p.type, p.value]));
+  return {
+    minute:  Number(parts.minute),
+    hour:    Number(parts.hour),
+    day:     Number(parts.day),
+    month:   Number(parts.month),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Returns the window of `schedule` that is open at `now`, or null.
+ * When several of a weekly schedule's windows are open, the one closing
+ * last is returned.
+ *
+ * @param {object} schedule — lean PumpSchedule
+ * @param {Date}   now
+ * @returns {{ start: Date, end: Date }|null}
+ */
+function activeWindow(schedule, now) {
+  const tz    = schedule.timezone || DEFAULT_TIMEZONE;
+  const floor = Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS;
+  const at    = offsetMin => new Date(floor + offsetMin * MINUTE_MS);
+
+  if (schedule.type === 'cron') {
+    const cron = parseCron(schedule.cron);
+    if (!cron) return null;
+    for (let k = 0; k < schedule.duration_minutes; k++) {
+      if (cronMatches(cron, localParts(at(-k), tz))) {
+        return { start: at(-k), end: at(schedule.duration_minutes - k) };
+      }
+    }
+    return null;
+  }
+
+  const t = localParts(now, tz);
+  const m = t.hour * 60 + t.minute;
+  const yesterday = (t.weekday + 6) % 7;
+  let best = null;
+
+  for (const w of schedule.windows ?? []) {
+    const s = toMinutes(w.start);
+    const e = toMinutes(w.end);
+    let win = null;
+
+    if (s < e) {
+      if (w.days.includes(t.weekday) && m >= s && m < e) win = { start: at(s - m), end: at(e - m) };
+    } else if (w.days.includes(t.weekday) && m >= s) {
+      win = { start: at(s - m), end: at(24 * 60 - m + e) };     // opened today, closes tomorrow
+    } else if (w.days.includes(yesterday) && m < e) {
+      win = { start: at(s - m - 24 * 60), end: at(e - m) };     // opened yesterday
+    }
+
+    if (win && (!best || win.end > best.end)) best = win;
+  }
+  return best;
+}
+
+// ─── Scheduler ────────────────────────────────────────────────────────────────
+
+/**
+ * Sends `mode` to the schedule's pump unless it is already in that mode.
+ * Returns false when the command could not be sent (retried next tick).
+ */
+async function sendScheduledMode(io, mqttClient, schedule, mode) {
+  const actuator = getActuator(schedule.pump);
+  if (!actuator || !actuator.enabled) {
+    console.warn(`[scheduler] Schedule "${schedule.name}": ${schedule.pump} is ${actuator ? 'disabled' : 'not registered'} — skipping`);
+    return true;
+  }
+  if (getPumpState()[schedule.pump] === mode) return true;
+  if (!mqttClient?.connected) {
+    console.warn(`[scheduler] MQTT not connected — ${schedule.pump} "${mode}" deferred`);
+    return false;
+  }
+
+  try {
+    const blocks = await checkInterlocks(schedule.pump, mode);
+    if (blocks.length) {
+      console.warn(`[scheduler] Schedule "${schedule.name}": ${schedule.pump} "${mode}" deferred — ${describeBlocks(blocks)}`);
+      return false;
+    }
+    await issuePumpCommand(io, mqttClient, {
+      actuator,
+      command: mode,
+      user:    { name: `Schedule "${schedule.name}"` },
+    });
+    console.log(`[scheduler] ⏰ Schedule "${schedule.name}": ${schedule.pump} → "${mode}"`);
+    return true;
+  } catch (err) {
+    console.error(`[scheduler] Failed to publish ${schedule.pump} "${mode}":`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Applies the schedules of one pump. `schedules` is sorted by precedence.
+ */
+async function reconcilePump(io, mqttClient, schedules, now) {
+  const winner = schedules
+    .filter(s => s.enabled && !(s.suspended_until > now))
+    .map(s => ({ schedule: s, window: activeWindow(s, now) }))
+    .find(c => c.window);
+
+  // Close runs that are over (or were pre-empted by a higher-priority schedule).
+  for (const s of schedules) {
+    if (!s.active_run?.started_at) continue;
+    const stillRunning = winner
+      && winner.schedule._id.equals(s._id)
+      && winner.window.start.getTime() === s.active_run.started_at.getTime();
+    if (stillRunning) continue;
+
+    if (!winner && !(await sendScheduledMode(io, mqttClient, s, s.end_mode))) continue;
+    await PumpSchedule.updateOne({ _id: s._id }, { $unset: { active_run: 1 } });
+    io.emit('pump_schedule', { scheduleId: String(s._id), pump: s.pump, event: 'ended', timestamp: now.toISOString() });
+  }
+
+  if (!winner) return;
+  const { schedule, window } = winner;
+  if (schedule.active_run?.started_at?.getTime() === window.start.getTime()) return;
+
+  if (!(await sendScheduledMode(io, mqttClient, schedule, schedule.mode))) return;
+  await PumpSchedule.updateOne(
+    { _id: schedule._id },
+    { $set: { active_run: { started_at: window.start, ends_at: window.end } } }
+  );
+  io.emit('pump_schedule', {
+    scheduleId: String(schedule._id),
+    pump:       schedule.pump,
+    event:      'started',
+    mode:       schedule.mode,
+    endsAt:     window.end.toISOString(),
+    timestamp:  now.toISOString(),
+  });
+}
+
+/**
+ * Called periodically by server.js (and after every schedule change).
+ * Evaluates every enabled schedule — plus disabled ones still holding a run,
+ * so disabling a schedule mid-window sends its end_mode.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {mqtt.MqttClient} mqttClient
+ */
+async function runScheduler(io, mqttClient, now = new Date()) {
+  try {
+    const schedules = await PumpSchedule.find({
+      $or: [{ enabled: true }, { 'active_run.started_at': { $exists: true } }],
+    }).sort({ priority: -1, createdAt: 1 }).lean();
+
+    const byPump = new Map();
+    for (const s of schedules) {
+      if (!byPump.has(s.pump)) byPump.set(s.pump, []);
+      byPump.get(s.pump).push(s);
+    }
+    for (const list of byPump.values()) {
+      await reconcilePump(io, mqttClient, list, now);
+    }
+  } catch (err) {
+    console.error('[scheduler] runScheduler error:', err.message);
+  }
+}
+
+/**
+ * Suspends every schedule of `pump` whose window is open, until that window
+ * closes. Called after an operator's manual command so the scheduler doesn't
+ * fight it.
+ *
+ * @returns {Promise<{ id: string, name: string, until: Date }[]>} — the suspended schedules
+ */
+async function suspendForManualCommand(pump, now = new Date()) {
+  const schedules = await PumpSchedule.find({ pump, enabled: true }).lean();
+  const suspended = [];
+
+  for (const s of schedules) {
+    if (s.suspended_until > now) continue;
+    const window = activeWindow(s, now);
+    if (!window) continue;
+
+    await PumpSchedule.updateOne(
+      { _id: s._id },
+      { $set: { suspended_until: window.end }, $unset: { active_run: 1 } }
+    );
+    suspended.push({ id: String(s._id), name: s.name, until: window.end });
+  }
+
+  if (suspended.length) {
+    console.log(`[scheduler] ✋ Manual ${pump} command — suspended ${suspended.map(s => `"${s.name}"`).join(', ')}`);
+  }
+  return suspended;
+}
+
+module.exports = {
+  runScheduler,
+  suspendForManualCommand,
+  activeWindow,
+  SCHEDULE_TICK_MS,
+  DEFAULT_TIMEZONE,
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+const PumpState = require('../models/PumpState');
+const { getActuators, getActuator } = require('./actuatorService');
+
+// ─── Pump state store ─────────────────────────────────────────────────────────
+//
+// Tracks the last-known mode of each pump so that newly connecting Socket.io
+// clients can be synced immediately instead of waiting for the next MQTT
+// message to arrive.  Every change is written through to MongoDB and the
+// store is reloaded on startup, so a backend restart doesn't forget it.
+//
+// Sources of truth, in arrival order after a restart:
+//   1. retained command on each MQTT command topic (delivered on subscribe)
+//   2. the persisted PumpState documents (loaded once MongoDB connects)
+// Whichever arrives first wins; the DB copy never overwrites a mode MQTT has
+// already reported since boot.
+//
+// Keyed by actuator_id; the set of pumps comes from the actuator registry.
+
+// Actuators with no reported mode yet fall back to their registry default_mode.
+const _state = {};
+
+function defaultEntry(actuator) {
+  return { mode: actuator.default_mode, changedBy: null, changedById: null, changedAt: null, source: 'default' };
+}
+
+/** Returns the state entry for every registered actuator (defaults filled in). */
+function currentEntries() {
+  return getActuators().map(a => [a.actuator_id, _state[a.actuator_id] ?? defaultEntry(a)]);
+}
+
+/** Returns a snapshot of the current pump modes: { pump1: 'AUTO', … }. */
+function getPumpState() {
+  return Object.fromEntries(currentEntries().map(([pump, s]) => [pump, s.mode]));
+}
+
+/** Returns a snapshot of the current pump state including who changed it and when. */
+function getPumpStateDetails() {
+  return Object.fromEntries(currentEntries().map(([pump, s]) => [pump, {
+    mode:      s.mode,
+    changedBy: s.changedBy,
+    changedAt: s.changedAt ? s.changedAt.toISOString() : null,
+    source:    s.source,
+  }]));
+}
+
+/**
+ * Records a new mode for `pump` and persists it.
+ * A retained message that matches the current mode is a no-op.
+ *
+ * @param {string} pump
+ * @param {string} mode
+ * @param {object} meta
+ * @param {string} meta.source        — 'command' | 'ack' | 'retained'
+ * @param {string} [meta.changedBy]
+ * @param {*}      [meta.changedById]
+ * @returns {Promise<boolean>} — true if the state changed
+ */
+async function setPumpMode(pump, mode, { source, changedBy, changedById }) {
+  const current = _state[pump]?.mode ?? getActuator(pump)?.default_mode;
+  if (source === 'retained' && current === mode) return false;
+
+  const entry = { mode, changedBy: changedBy ?? null, changedById: changedById ?? null, changedAt: new Date(), source };
+  _state[pump] = entry;
+
+  try {
+    await PumpState.updateOne({ pump }, { $set: entry }, { upsert: true });
+  } catch (err) {
+    console.error(`[pumpState] Failed to persist ${pump} state:`, err.message);
+  }
+  return true;
+}
+
+/**
+ * Restores pump state from MongoDB. Called once from server.js after the
+ * DB connects. Pumps already updated from MQTT since boot are left alone —
+ * setPumpMode has persisted their newer state already.
+ */
+async function loadPumpState() {
+  const docs = await PumpState.find().lean();
+
+  for (const doc of docs) {
+    if (_state[doc.pump]) continue;
+    _state[doc.pump] = {
+      mode:        doc.mode,
+      changedBy:   doc.changedBy ?? null,
+      changedById: doc.changedById ?? null,
+      changedAt:   doc.changedAt ?? null,
+      source:      doc.source,
+    };
+  }
+
+  console.log('[pumpState] Restored pump state:', getPumpState());
+}
+
+module.exports = { getPumpState, getPumpStateDetails, setPumpMode, loadPumpState };
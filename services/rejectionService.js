@@ -0,0 +1,78 @@
+'use strict';
+
+const RejectedPacket = require('../models/RejectedPacket');
+const RejectionCount = require('../models/RejectionCount');
+const { REJECTION_CODES: VALIDATOR_CODES } = require('../validations/telemetryValidator');
+
+// ─── Rejection codes ──────────────────────────────────────────────────────────
+// Validator codes plus the ones only the ingestion layer can detect.
+
+const REJECTION_CODES = Object.freeze({
+  ...VALIDATOR_CODES,
+  MALFORMED_JSON:  'MALFORMED_JSON',
+  UNKNOWN_DEVICE:  'UNKNOWN_DEVICE',
+  DEVICE_DISABLED: 'DEVICE_DISABLED',
+  BATCH_TOO_LARGE: 'BATCH_TOO_LARGE',
+  // A valid packet that could not be persisted. Not recorded as a rejection:
+  // the sender is expected to retry it.
+  STORAGE_FAILED:  'STORAGE_FAILED',
+});
+
+// Raw string payloads (malformed JSON) are truncated before storage.
+const MAX_RAW_LENGTH = 4_096;
+
+/** Truncates a Date to the start of its UTC hour. */
+function hourBucket(date) {
+  const d = new Date(date);
+  d.setUTCMinutes(0, 0, 0);
+  return d;
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Persists a dropped telemetry packet and bumps its hourly counter.
+ *
+ * Non-throwing — a storage failure is logged and must never disrupt ingestion.
+ *
+ * @param {object} rejection
+ * @param {string} rejection.code      — one of REJECTION_CODES
+ * @param {string} rejection.reason    — human-readable reason
+ * @param {string} [rejection.topic]   — source topic ('http' for REST ingestion)
+ * @param {string} [rejection.deviceId]
+ * @param {*}      [rejection.payload] — parsed payload or raw string
+ */
+async function recordRejection({ code, reason, topic, deviceId, payload }) {
+  const receivedAt = new Date();
+  const stored = typeof payload === 'string' ? payload.slice(0, MAX_RAW_LENGTH) : payload;
+
+  try {
+    await Promise.all([
+      RejectedPacket.create({ receivedAt, code, reason, topic, device_id: deviceId, payload: stored }),
+      RejectionCount.updateOne(
+        { hour: hourBucket(receivedAt), device_id: deviceId ?? null, code },
+        { $inc: { count: 1 } },
+        { upsert: true }
+      ),
+    ]);
+  } catch (err) {
+    console.error('[rejectionService] Failed to record rejected packet:', err.message);
+  }
+}
+
+/**
+ * Normalizes a lean RejectedPacket document for the API.
+ */
+function formatRejection(doc) {
+  return {
+    id:         doc._id.toString(),
+    receivedAt: doc.receivedAt instanceof Date ? doc.receivedAt.toISOString() : doc.receivedAt,
+    code:       doc.code,
+    reason:     doc.reason,
+    topic:      doc.topic,
+    deviceId:   doc.device_id ?? null,
+    payload:    doc.payload,
+  };
+}
+
+module.exports = { recordRejection, formatRejection, REJECTION_CODES };
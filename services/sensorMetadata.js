@@ -0,0 +1,23 @@
+'use strict';
+
+// ─── Sensor metadata ──────────────────────────────────────────────────────────
+// One entry per reading field in SystemLog.readings, in display order. Alert
+// messages take their unit and decimals from here, and the factory threshold
+// defaults (services/settingsService.js, models/Settings.js) are built from
+// `threshold`. A min of 0 disables the lower bound (see classifyReading).
+
+const SENSORS = Object.freeze({
+  ph:           { unit: 'pH',    decimals: 2, threshold: { min: 6.5, max: 8.5  } },
+  tds:          { unit: 'ppm',   decimals: 0, threshold: { min: 0,   max: 5000 } },
+  temperature:  { unit: '°C',    decimals: 1, threshold: { min: 10,  max: 40   } },
+  flow_rate:    { unit: 'L/min', decimals: 2, threshold: { min: 0.5, max: 10   } },
+  salinity:     { unit: 'ppm',   decimals: 0, threshold: { min: 0,   max: 2500 } },
+  conductivity: { unit: 'µS/cm', decimals: 0, threshold: { min: 0,   max: 5000 } },
+  voltage:      { unit: 'V',     decimals: 2, threshold: { min: 0,   max: 50   } },
+  current:      { unit: 'A',     decimals: 3, threshold: { min: 0,   max: 5    } },
+  power:        { unit: 'W',     decimals: 2, threshold: { min: 0,   max: 5    } },
+});
+
+const SENSOR_FIELDS = Object.keys(SENSORS);
+
+module.exports = { SENSORS, SENSOR_FIELDS };
@@ -0,0 +1,101 @@
+'use strict';
+
+const SystemLog = require('../models/SystemLog');
+const { SENSOR_FIELDS } = require('./sensorMetadata');
+
+// ─── Last-seen store ──────────────────────────────────────────────────────────
+//
+// When each device last delivered valid live telemetry, and when each of its
+// sensor fields last appeared in it. A device may be fed by several ESP32s,
+// each publishing a subset of the sensors (scripts/multi-esp32-simulator.js),
+// so one board can die while the device as a whole keeps reporting.
+//
+// Live packets are stamped with their arrival time. After a restart the store
+// is seeded from SystemLog (packet timestamps); live packets that arrived in
+// the meantime are never overwritten.
+
+// A device or sensor silent for longer than this is offline.
+const OFFLINE_THRESHOLD_MS = 60_000;
+
+// How far back seedLastSeen looks. Anything older is treated as never seen.
+const SEED_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const _devices = new Map(); // device_id → { lastSeen: Date, sensors: Map<sensor, Date> }
+
+function entryFor(deviceId) {
+  let entry = _devices.get(deviceId);
+  if (!entry) {
+    entry = { lastSeen: null, sensors: new Map() };
+    _devices.set(deviceId, entry);
+  }
+  return entry;
+}
+
+/**
+ * Records a valid live packet. Called from handleTelemetry (MQTT and HTTP).
+ *
+ * @param {object} payload  — validated telemetry
+ * @param {string} deviceId
+ * @param {Date}   [at]     — arrival time
+ */
+function recordTelemetry(payload, deviceId, at = new Date()) {
+  const entry = entryFor(deviceId);
+  entry.lastSeen = at;
+  for (const sensor of SENSOR_FIELDS) {
+    if (payload[sensor] != null) entry.sensors.set(sensor, at);
+  }
+}
+
+/**
+ * Loads the newest reading per device and per sensor from SystemLog.
+ * Called once from server.js after MongoDB connects.
+ */
+async function seedLastSeen(now = new Date()) {
+  const rows = await SystemLog.aggregate([
+    { $match: { timestamp: { $gte: new Date(now.getTime() - SEED_WINDOW_MS) }, backfilled: { $ne: true } } },
+    {
+      $group: {
+        _id:      '$metadata.device_id',
+        lastSeen: { $max: '$timestamp' },
+        // $max skips the nulls left by packets without the field
+        ...Object.fromEntries(SENSOR_FIELDS.map(sensor => [
+          sensor, { $max: { $cond: [{ $isNumber: `$readings.${sensor}` }, '$timestamp', null] } },
+        ])),
+      },
+    },
+  ]);
+
+  for (const row of rows) {
+    const entry = entryFor(row._id);
+    if (!entry.lastSeen) entry.lastSeen = row.lastSeen;
+    for (const sensor of SENSOR_FIELDS) {
+      if (row[sensor] && !entry.sensors.has(sensor)) entry.sensors.set(sensor, row[sensor]);
+    }
+  }
+  console.log(`[sensorStatus] Last-seen times loaded for ${rows.length} device(s)`);
+}
+
+/**
+ * Returns the last-seen status of one device and of every sensor field.
+ * Sensors the device has never reported have status 'never' and are not
+ * expected to report.
+ *
+ * @param {string} deviceId
+ * @param {Date}   [now]
+ * @returns {{ lastSeen: Date|null, status: 'online'|'offline'|'never',
+ *             sensors: { sensor: string, lastSeen: Date|null, status: 'online'|'offline'|'never' }[] }}
+ */
+function getDeviceStatus(deviceId, now = new Date()) {
+  const entry  = _devices.get(deviceId);
+  const status = at => (!at ? 'never' : now.getTime() - at.getTime() > OFFLINE_THRESHOLD_MS ? 'offline' : 'online');
+  return {
+    lastSeen: entry?.lastSeen ?? null,
+    status:   status(entry?.lastSeen),
+    sensors:  SENSOR_FIELDS.map(sensor => {
+      const lastSeen = entry?.sensors.get(sensor) ?? null;
+      return { sensor, lastSeen, status: status(lastSeen) };
+    }),
+  };
+}
+
+module.exports = { recordTelemetry, seedLastSeen, getDeviceStatus, OFFLINE_THRESHOLD_MS };
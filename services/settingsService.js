@@ -1,22 +1,36 @@
 'use strict';
 
 const Settings = require('../models/Settings');
+const { SENSORS, SENSOR_FIELDS } = require('./sensorMetadata');
 
 // ─── Factory defaults ─────────────────────────────────────────────────────────
 // Used as fallback when DB is not yet available (startup race condition).
 
+// No deadband or debounce: alerts fire on the first out-of-range packet and
+// resolve on the first in-range one.
+const DEBOUNCE = { deadband: 0, minDurationSeconds: 0, minPackets: 1 };
+
+// Sensor-fault rules are opt-in per sensor.
+const FAULT_RULES = { maxRatePerMinute: 0, flatlineMinutes: 0, flatlineTolerance: 0, missingAfterSeconds: 0 };
+
 const DEFAULTS = {
-  thresholds: {
-    ph:          { min: 6.5,  max: 8.5,   severity: 'warning' },
-    tds:         { min: 0,    max: 5000,  severity: 'warning' },
-    temperature: { min: 10,   max: 40,    severity: 'warning' },
-    flow_rate:   { min: 0.5,  max: 10,    severity: 'warning' },
-    voltage:     { min: 0,    max: 50,    severity: 'warning' },
-    current:     { min: 0,    max: 5,     severity: 'warning' },
-  },
+  thresholds: Object.fromEntries(SENSOR_FIELDS.map(sensor => [
+    sensor, { ...SENSORS[sensor].threshold, severity: 'warning', ...DEBOUNCE, ...FAULT_RULES },
+  ])),
   alertsEnabled: true,
+  compliance:    { minPassRate: 95, minCoverage: 90 },
 };
 
+/**
+ * Fills in factory thresholds for sensors a stored settings document predates,
+ * so callers can rely on every field in SENSORS having one.
+ *
+ * @param {object} doc — lean Settings document
+ */
+function withDefaultThresholds(doc) {
+  return { ...doc, thresholds: { ...DEFAULTS.thresholds, ...doc.thresholds } };
+}
+
 // ─── In-memory cache ──────────────────────────────────────────────────────────
 let _cache = null;
 
@@ -44,7 +58,7 @@ async function refreshSettings() {
     const created = await Settings.create({});
     doc = created.toObject();
   }
-  _cache = doc;
+  _cache = withDefaultThresholds(doc);
   return _cache;
 }
 
@@ -56,4 +70,4 @@ function invalidateCache() {
   _cache = null;
 }
 
-module.exports = { getSettings, refreshSettings, invalidateCache, DEFAULTS };
+module.exports = { getSettings, refreshSettings, invalidateCache, withDefaultThresholds, DEFAULTS };
@@ -8,11 +8,17 @@
  *       for every operational day in the requested range.  (Constraint 8)
  *   (b) The summary confirms stored readings exist and the storage rate is
  *       consistent with Specification 12 (≥ 1 log per 10 seconds).
+ *   (c) GET /api/compliance/daily returns a well-formed PASS/FAIL record per
+ *       day and device, with pass rate, failing parameters and coverage.
  *
  * The analytics endpoint returns:
  *   eorOverTime: [{ time, pass, fail }, ...]   — one bucket per time period
  *   summary:     { totalReadings, eorPassRate, totalEnergyWh, avgPowerW }
  *
+ * The compliance endpoint returns:
+ *   records: [{ day, deviceId, readingCount, passRate, failingParameters,
+ *               coverage, verdict, reasons, provisional }, ...]
+ *
  * Prerequisites:
  *   1. Backend is running  (npm start / node server.js)
  *   2. Set environment variables:
@@ -69,7 +75,7 @@ async function run() {
   console.log('\n=== Constraint 8 & Specification 12 — Daily EOR Compliance Test ===\n');
 
   // ── 1. Fetch 7-day analytics ──────────────────────────────────────────────
-  console.log('  [1/4]  Fetching GET /api/analytics?range=7d ...');
+  console.log('  [1/5]  Fetching GET /api/analytics?range=7d ...');
   const { data: analytics, ms, status } = await getJSON('/api/analytics?range=7d');
   console.log(`         HTTP ${status}  |  ${ms} ms\n`);
 
@@ -79,7 +85,7 @@ async function run() {
   }
 
   // ── 2. Verify response structure (Constraint 8) ───────────────────────────
-  console.log('  [2/4]  Verifying analytics response structure (Constraint 8) ...');
+  console.log('  [2/5]  Verifying analytics response structure (Constraint 8) ...');
 
   const hasEorOverTime = Array.isArray(analytics.eorOverTime);
   const hasSummary     = analytics.summary && typeof analytics.summary === 'object';
@@ -94,7 +100,7 @@ async function run() {
   console.log(`         Structure check: ${structureOk ? 'PASS' : 'FAIL'}\n`);
 
   // ── 3. Inspect EOR buckets ────────────────────────────────────────────────
-  console.log('  [3/4]  Inspecting EOR compliance buckets ...');
+  console.log('  [3/5]  Inspecting EOR compliance buckets ...');
   const buckets = analytics.eorOverTime;
   const total   = analytics.summary.totalReadings;
   const passRate = analytics.summary.eorPassRate;
@@ -122,7 +128,7 @@ async function run() {
   }
 
   // ── 4. Specification 12 storage rate check ────────────────────────────────
-  console.log('\n  [4/4]  Specification 12 — storage rate check ...');
+  console.log('\n  [4/5]  Specification 12 — storage rate check ...');
   if (total === 0) {
     console.log('         INCONCLUSIVE — no readings in the last 7 days.');
   } else {
@@ -145,13 +151,34 @@ async function run() {
     }
   }
 
+  // ── 5. Daily compliance records (Constraint 8) ────────────────────────────
+  console.log('\n  [5/5]  Fetching GET /api/compliance/daily (last 7 days) ...');
+  const daily = await getJSON('/api/compliance/daily');
+  console.log(`         HTTP ${daily.status}  |  ${daily.ms} ms`);
+
+  let dailyOk = daily.status === 200 && Array.isArray(daily.data.records);
+  if (dailyOk) {
+    for (const r of daily.data.records) {
+      const valid = typeof r.day === 'string' && typeof r.deviceId === 'string' &&
+                    typeof r.readingCount === 'number' && typeof r.coverage === 'number' &&
+                    Array.isArray(r.failingParameters) && (r.verdict === 'PASS' || r.verdict === 'FAIL');
+      if (!valid) dailyOk = false;
+      const failing = r.failingParameters.map(f => `${f.parameter}×${f.count}`).join(', ') || 'none';
+      console.log(`         [${valid ? r.verdict : 'MALFORMED'}]  ${r.day} ${r.deviceId}: readings=${r.readingCount}  ` +
+                  `passRate=${r.passRate ?? 'N/A'}%  coverage=${r.coverage}%  failing=${failing}` +
+                  `${r.provisional ? '  (provisional)' : ''}`);
+    }
+    console.log(`\n         ${daily.data.records.length} daily record(s)`);
+  }
+  console.log(`         Daily records check: ${dailyOk ? 'PASS' : 'FAIL'}`);
+
   // ── Summary ───────────────────────────────────────────────────────────────
   console.log('\n  ─────────────────────────────────────────────────');
-  const c8 = structureOk ? 'PASS' : 'FAIL';
+  const c8 = structureOk && dailyOk ? 'PASS' : 'FAIL';
   console.log(`  Constraint 8  (automated EOR compliance module):  ${c8}`);
   console.log(`  Specification 12 (storage rate):                  ${total === 0 ? 'INCONCLUSIVE' : 'PASS'}`);
 
-  if (!structureOk) {
+  if (!structureOk || !dailyOk) {
     console.log('\n  OVERALL: FAIL\n');
     process.exit(1);
   }
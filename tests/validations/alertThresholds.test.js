@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Test Suite — Alert Thresholds
+ * ──────────────────────────────
+ * Unit tests for deadband classification, critical bands, out-of-range debounce
+ * and the rate-of-change / flatline sensor-fault rules.
+ * Run with: npm test validations/alertThresholds.test.js
+ */
+
+const assert = require('assert');
+const { classifyReading, highestBreach, stepBreach, ratePerMinute, stepFlatline } = require('../../services/alertService');
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Fixtures
+// ─────────────────────────────────────────────────────────────────────────
+
+const ph = { min: 6.5, max: 8.5, deadband: 0.2 };
+
+const T0 = new Date('2026-10-19T08:00:00Z');
+const at = seconds => new Date(T0.getTime() + seconds * 1000);
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Cases
+// ─────────────────────────────────────────────────────────────────────────
+
+describe('classifyReading', () => {
+  it('should place readings out, in the margin, or safely in range', () => {
+    assert.strictEqual(classifyReading(8.6, ph), 'out');
+    assert.strictEqual(classifyReading(6.4, ph), 'out');
+    assert.strictEqual(classifyReading(8.4, ph), 'margin');
+    assert.strictEqual(classifyReading(6.6, ph), 'margin');
+    assert.strictEqual(classifyReading(7.5, ph), 'in');
+  });
+
+  it('should ignore the lower bound when min is 0', () => {
+    const tds = { min: 0, max: 5000, deadband: 100 };
+    assert.strictEqual(classifyReading(0, tds), 'in');
+    assert.strictEqual(classifyReading(4950, tds), 'margin');
+  });
+
+  it('should behave like a plain range check without a deadband', () => {
+    assert.strictEqual(classifyReading(8.5, { min: 6.5, max: 8.5 }), 'in');
+  });
+});
+
+describe('highestBreach', () => {
+  const bands = [
+    { min: 6.5, max: 8.5, severity: 'warning' },
+    { min: 6.0, max: 9.0, severity: 'critical' },
+  ];
+
+  it('should pick the most severe band the reading is outside', () => {
+    assert.strictEqual(highestBreach(8.7, bands).severity, 'warning');
+    assert.strictEqual(highestBreach(9.2, bands).severity, 'critical');
+    assert.strictEqual(highestBreach(5.9, bands).severity, 'critical');
+  });
+
+  it('should return null inside the warning band', () => {
+    assert.strictEqual(highestBreach(7.0, bands), null);
+  });
+});
+
+describe('stepBreach', () => {
+  it('should fire on the first packet by default', () => {
+    assert.strictEqual(stepBreach({}, undefined, at(0)).fire, true);
+  });
+
+  it('should wait for minPackets consecutive packets', () => {
+    const threshold = { minPackets: 3 };
+    let r = stepBreach(threshold, undefined, at(0));
+    r = stepBreach(threshold, r.streak, at(5));
+    assert.strictEqual(r.fire, false);
+    r = stepBreach(threshold, r.streak, at(10));
+    assert.strictEqual(r.fire, true);
+  });
+
+  it('should wait for minDurationSeconds measured from the first packet', () => {
+    const threshold = { minDurationSeconds: 60 };
+    let r = stepBreach(threshold, undefined, at(0));
+    r = stepBreach(threshold, r.streak, at(59));
+    assert.strictEqual(r.fire, false);
+    r = stepBreach(threshold, r.streak, at(60));
+    assert.strictEqual(r.fire, true);
+  });
+});
+
+describe('ratePerMinute', () => {
+  it('should scale the change between two readings to one minute', () => {
+    assert.strictEqual(ratePerMinute({ value: 25, at: at(0) }, 35, at(2)), 300);
+    assert.strictEqual(ratePerMinute({ value: 7.5, at: at(0) }, 7, at(60)), 0.5);
+  });
+
+  it('should return null for readings that are not later', () => {
+    assert.strictEqual(ratePerMinute({ value: 25, at: at(10) }, 35, at(10)), null);
+    assert.strictEqual(ratePerMinute({ value: 25, at: at(10) }, 35, at(5)), null);
+  });
+});
+
+describe('stepFlatline', () => {
+  it('should keep the run open while readings stay within tolerance', () => {
+    let run = stepFlatline(undefined, 7.0, at(0), 0.01);
+    run = stepFlatline(run, 7.005, at(60), 0.01);
+    run = stepFlatline(run, 6.995, at(120), 0.01);
+    assert.deepStrictEqual(run, { value: 7.0, since: at(0) });
+  });
+
+  it('should start a new run once a reading moves beyond tolerance', () => {
+    let run = stepFlatline(undefined, 7.0, at(0));
+    run = stepFlatline(run, 7.0, at(60));
+    run = stepFlatline(run, 7.1, at(120));
+    assert.deepStrictEqual(run, { value: 7.1, since: at(120) });
+  });
+});
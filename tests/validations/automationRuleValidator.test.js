@@ -0,0 +1,102 @@
+'use strict';
+
+/**
+ * Test Suite — Automation Rules
+ * ──────────────────────────────
+ * Unit tests for rule validation and the duration / hysteresis state machine.
+ * Run with: npm test validations/automationRuleValidator.test.js
+ */
+
+const assert = require('assert');
+const { validateAutomationRule } = require('../../validations/automationRuleValidator');
+const { stepRule } = require('../../services/automationService');
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Fixtures
+// ─────────────────────────────────────────────────────────────────────────
+
+const actuator = { actuator_id: 'pump2', modes: ['MANUAL_ON', 'MANUAL_OFF', 'AUTO'] };
+
+const getRule = () => ({
+  name:      'Low flow',
+  condition: { sensor: 'flow_rate', operator: '<', value: 0.5, durationSeconds: 120, hysteresis: 0.2 },
+  action:    { pump: 'pump2', command: 'MANUAL_ON' },
+});
+
+const T0 = new Date('2026-10-19T08:00:00Z');
+const at = seconds => new Date(T0.getTime() + seconds * 1000);
+const IDLE = { since: null, triggered: false };
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Cases
+// ─────────────────────────────────────────────────────────────────────────
+
+describe('validateAutomationRule', () => {
+  it('should accept a valid rule', () => {
+    assert.strictEqual(validateAutomationRule(getRule(), actuator).valid, true);
+  });
+
+  it('should reject an unknown sensor or operator', () => {
+    const rule = getRule();
+    assert.strictEqual(validateAutomationRule({ ...rule, condition: { ...rule.condition, sensor: 'humidity' } }, actuator).valid, false);
+    assert.strictEqual(validateAutomationRule({ ...rule, condition: { ...rule.condition, operator: '==' } }, actuator).valid, false);
+  });
+
+  it('should reject a negative hysteresis', () => {
+    const rule = getRule();
+    const result = validateAutomationRule({ ...rule, condition: { ...rule.condition, hysteresis: -1 } }, actuator);
+    assert.strictEqual(result.valid, false);
+    assert(result.reason.includes('hysteresis'));
+  });
+
+  it('should reject an unknown pump or unsupported command', () => {
+    assert.strictEqual(validateAutomationRule(getRule(), undefined).valid, false);
+    const rule = getRule();
+    assert.strictEqual(validateAutomationRule({ ...rule, action: { pump: 'pump2', command: 'DOSE' } }, actuator).valid, false);
+  });
+});
+
+describe('stepRule', () => {
+  const condition = { operator: '<', value: 0.5, duration_seconds: 120, hysteresis: 0.2 };
+
+  it('should fire only after the condition has held for the duration', () => {
+    let r = stepRule(condition, IDLE, 0.3, at(0));
+    assert.strictEqual(r.fire, false);
+    r = stepRule(condition, r.state, 0.3, at(119));
+    assert.strictEqual(r.fire, false);
+    r = stepRule(condition, r.state, 0.3, at(120));
+    assert.strictEqual(r.fire, true);
+    assert.strictEqual(r.state.triggered, true);
+  });
+
+  it('should restart the duration when the condition breaks', () => {
+    let r = stepRule(condition, IDLE, 0.3, at(0));
+    r = stepRule(condition, r.state, 0.6, at(60));
+    r = stepRule(condition, r.state, 0.3, at(90));
+    r = stepRule(condition, r.state, 0.3, at(150));
+    assert.strictEqual(r.fire, false);
+  });
+
+  it('should not fire again until the reading clears the hysteresis band', () => {
+    let r = stepRule({ ...condition, duration_seconds: 0 }, IDLE, 0.3, at(0));
+    assert.strictEqual(r.fire, true);
+    r = stepRule({ ...condition, duration_seconds: 0 }, r.state, 0.6, at(10));   // above 0.5, inside band
+    assert.strictEqual(r.state.triggered, true);
+    r = stepRule({ ...condition, duration_seconds: 0 }, r.state, 0.4, at(20));
+    assert.strictEqual(r.fire, false);
+    r = stepRule({ ...condition, duration_seconds: 0 }, r.state, 0.7, at(30));   // cleared at ≥ 0.7
+    assert.strictEqual(r.state.triggered, false);
+    r = stepRule({ ...condition, duration_seconds: 0 }, r.state, 0.4, at(40));
+    assert.strictEqual(r.fire, true);
+  });
+
+  it('should apply the band below the value for > conditions', () => {
+    const high = { operator: '>', value: 5000, duration_seconds: 0, hysteresis: 200 };
+    let r = stepRule(high, IDLE, 5100, at(0));
+    assert.strictEqual(r.fire, true);
+    r = stepRule(high, r.state, 4900, at(10));
+    assert.strictEqual(r.state.triggered, true);
+    r = stepRule(high, r.state, 4800, at(20));
+    assert.strictEqual(r.state.triggered, false);
+  });
+});
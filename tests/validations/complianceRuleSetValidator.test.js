@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * Test Suite — EOR Compliance Rule Sets
+ * ──────────────────────────────────────
+ * Unit tests for compliance rule-set validation.
+ * Run with: npm test validations/complianceRuleSetValidator.test.js
+ */
+
+const assert = require('assert');
+const { validateComplianceRuleSet } = require('../../validations/complianceRuleSetValidator');
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Fixtures
+// ─────────────────────────────────────────────────────────────────────────
+
+const getRuleSet = () => ({
+  name:        'Saudi EOR 2024',
+  description: 'Treated effluent reuse limits',
+  rules:       [{ sensor: 'ph', min: 6.5, max: 8.5 }, { sensor: 'tds', min: null, max: 5000 }],
+});
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Cases
+// ─────────────────────────────────────────────────────────────────────────
+
+describe('validateComplianceRuleSet', () => {
+  it('should accept a valid rule set, with one-sided limits', () => {
+    assert.strictEqual(validateComplianceRuleSet(getRuleSet()).valid, true);
+  });
+
+  it('should require a name and at least one rule', () => {
+    assert.strictEqual(validateComplianceRuleSet({ ...getRuleSet(), name: '  ' }).valid, false);
+    assert.strictEqual(validateComplianceRuleSet({ ...getRuleSet(), rules: [] }).valid, false);
+  });
+
+  it('should reject unknown sensors and duplicate rules', () => {
+    const unknown = getRuleSet();
+    unknown.rules[0].sensor = 'turbidity';
+    assert.strictEqual(validateComplianceRuleSet(unknown).valid, false);
+
+    const duplicate = getRuleSet();
+    duplicate.rules[1].sensor = 'ph';
+    assert.match(validateComplianceRuleSet(duplicate).reason, /more than one rule for "ph"/);
+  });
+
+  it('should reject rules without a limit or with min above max', () => {
+    const open = getRuleSet();
+    open.rules[0] = { sensor: 'ph' };
+    assert.strictEqual(validateComplianceRuleSet(open).valid, false);
+
+    const inverted = getRuleSet();
+    inverted.rules[0] = { sensor: 'ph', min: 8.5, max: 6.5 };
+    assert.strictEqual(validateComplianceRuleSet(inverted).valid, false);
+
+    const text = getRuleSet();
+    text.rules[1].max = '5000';
+    assert.strictEqual(validateComplianceRuleSet(text).valid, false);
+  });
+});
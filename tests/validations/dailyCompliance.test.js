@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Test Suite — Daily EOR Compliance
+ * ──────────────────────────────────
+ * Unit tests for the per-day compliance verdict, the days computed on request
+ * and UTC day arithmetic.
+ * Run with: npm test validations/dailyCompliance.test.js
+ */
+
+const assert = require('assert');
+const { evaluateDay, missingRanges, dayKey, addDays } = require('../../services/complianceService');
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Fixtures
+// ─────────────────────────────────────────────────────────────────────────
+
+const rules = { minPassRate: 95, minCoverage: 90 };
+const FULL_DAY = 8640; // 10-second intervals per day
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Cases
+// ─────────────────────────────────────────────────────────────────────────
+
+describe('evaluateDay', () => {
+  it('should pass a fully covered day with enough passing readings', () => {
+    const result = evaluateDay({ readingCount: 9000, passCount: 8800, intervals: FULL_DAY }, FULL_DAY, rules);
+    assert.deepStrictEqual(result, { passRate: 97.78, coverage: 100, verdict: 'PASS', reasons: [] });
+  });
+
+  it('should fail on pass rate and coverage, giving both reasons', () => {
+    const result = evaluateDay({ readingCount: 1000, passCount: 900, intervals: 4320 }, FULL_DAY, rules);
+    assert.strictEqual(result.verdict, 'FAIL');
+    assert.deepStrictEqual(result.reasons, ['pass rate 90% is below 95%', 'data coverage 50% is below 90%']);
+  });
+
+  it('should fail a day without readings', () => {
+    const result = evaluateDay({ readingCount: 0, passCount: 0, intervals: 0 }, FULL_DAY, rules);
+    assert.strictEqual(result.passRate, null);
+    assert.strictEqual(result.coverage, 0);
+    assert.strictEqual(result.verdict, 'FAIL');
+    assert.strictEqual(result.reasons[0], 'no readings');
+  });
+
+  it('should judge coverage against the elapsed part of the day', () => {
+    const result = evaluateDay({ readingCount: 360, passCount: 360, intervals: 360 }, 360, rules);
+    assert.strictEqual(result.coverage, 100);
+    assert.strictEqual(result.verdict, 'PASS');
+  });
+});
+
+describe('missingRanges', () => {
+  it('should compute days before the first rolled-up day as well as after the last', () => {
+    const rolledUp = ['2026-10-10', '2026-10-11', '2026-10-12'];
+    assert.deepStrictEqual(missingRanges('2026-10-01', '2026-10-19', rolledUp), [
+      ['2026-10-01', '2026-10-09'],
+      ['2026-10-13', '2026-10-19'],
+    ]);
+  });
+
+  it('should return gaps between rolled-up days, and nothing when all are stored', () => {
+    assert.deepStrictEqual(missingRanges('2026-10-10', '2026-10-12', ['2026-10-10', '2026-10-12']), [['2026-10-11', '2026-10-11']]);
+    assert.deepStrictEqual(missingRanges('2026-10-10', '2026-10-11', ['2026-10-10', '2026-10-11']), []);
+  });
+});
+
+describe('day arithmetic', () => {
+  it('should use UTC calendar days', () => {
+    assert.strictEqual(dayKey(new Date('2026-10-19T23:59:59Z')), '2026-10-19');
+    assert.strictEqual(addDays('2026-10-19', -19), '2026-09-30');
+    assert.strictEqual(addDays('2028-02-28', 1), '2028-02-29');
+  });
+});
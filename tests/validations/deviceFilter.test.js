@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * Test Suite — Device / Location Query Filters
+ * ─────────────────────────────────────────────
+ * Unit tests for the `device` / `location` query-param filters.
+ * Run with: npm test validations/deviceFilter.test.js
+ */
+
+const assert = require('assert');
+const { readingsDeviceFilter, splitList } = require('../../services/deviceService');
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Cases
+// ─────────────────────────────────────────────────────────────────────────
+
+describe('splitList', () => {
+  it('should split, trim and drop empty items from single and repeated params', () => {
+    assert.deepStrictEqual(splitList(undefined), []);
+    assert.deepStrictEqual(splitList(' a, ,b '), ['a', 'b']);
+    assert.deepStrictEqual(splitList(['a', 'b,c']), ['a', 'b', 'c']);
+  });
+});
+
+describe('readingsDeviceFilter', () => {
+  it('should not filter when neither param is given', () => {
+    assert.deepStrictEqual(readingsDeviceFilter({}), {});
+  });
+
+  it('should accept comma-separated lists', () => {
+    assert.deepStrictEqual(readingsDeviceFilter({ device: 'MFC_01, MFC_02' }), {
+      'metadata.device_id': { $in: ['MFC_01', 'MFC_02'] },
+    });
+  });
+
+  it('should combine repeated params instead of dropping the filter', () => {
+    assert.deepStrictEqual(readingsDeviceFilter({ device: ['MFC_01', 'MFC_02,MFC_03'], location: ['Dammam_Lab'] }), {
+      'metadata.device_id': { $in: ['MFC_01', 'MFC_02', 'MFC_03'] },
+      'metadata.location':  'Dammam_Lab',
+    });
+  });
+});
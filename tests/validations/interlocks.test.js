@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * Test Suite — Pump Safety Interlocks
+ * ────────────────────────────────────
+ * Unit tests for matching interlock rules to pump commands and for the admin
+ * override justification.
+ * Run with: npm test validations/interlocks.test.js
+ */
+
+const assert = require('assert');
+const { ruleApplies } = require('../../services/interlockService');
+const { validateInterlockOverride } = require('../../validations/interlockOverrideValidator');
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Fixtures
+// ─────────────────────────────────────────────────────────────────────────
+
+const getRule = () => ({ name: 'Valve closed', type: 'valve_closed', pumps: ['pump1'], commands: ['MANUAL_ON'] });
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Cases
+// ─────────────────────────────────────────────────────────────────────────
+
+describe('ruleApplies', () => {
+  it('should block the guarded command on the guarded pump', () => {
+    assert.strictEqual(ruleApplies(getRule(), 'pump1', 'MANUAL_ON'), true);
+  });
+
+  it('should allow other commands and other pumps', () => {
+    assert.strictEqual(ruleApplies(getRule(), 'pump1', 'MANUAL_OFF'), false);
+    assert.strictEqual(ruleApplies(getRule(), 'pump2', 'MANUAL_ON'), false);
+  });
+
+  it('should treat empty pump and command lists as matching everything', () => {
+    assert.strictEqual(ruleApplies({ ...getRule(), pumps: [], commands: [] }, 'pump3', 'AUTO'), true);
+  });
+});
+
+describe('validateInterlockOverride', () => {
+  it('should reject a missing or short justification', () => {
+    assert.strictEqual(validateInterlockOverride({}).valid, false);
+    assert.strictEqual(validateInterlockOverride({ justification: 'too short' }).valid, false);
+    assert.strictEqual(validateInterlockOverride({ justification: '   padded    ' }).valid, false);
+  });
+
+  it('should accept a justification of at least 10 characters, trimmed', () => {
+    assert.deepStrictEqual(validateInterlockOverride({ justification: '  Valve sensor faulty, checked on site ' }), {
+      valid: true, justification: 'Valve sensor faulty, checked on site',
+    });
+  });
+});
@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * Test Suite — Maintenance Windows & Snooze
+ * ──────────────────────────────────────────
+ * Unit tests for maintenance window / snooze validation and window coverage.
+ * Run with: npm test validations/maintenanceValidator.test.js
+ */
+
+const assert = require('assert');
+const { validateMaintenanceWindow, validateSnooze } = require('../../validations/maintenanceValidator');
+const { windowCovers } = require('../../services/maintenanceService');
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Fixtures
+// ─────────────────────────────────────────────────────────────────────────
+
+const NOW = new Date('2026-10-19T08:00:00Z');
+const hours = h => new Date(NOW.getTime() + h * 60 * 60 * 1000);
+
+const getWindow = () => ({
+  name:     'Membrane cleaning',
+  deviceId: 'MFC_01',
+  sensors:  ['ph', 'flow_rate'],
+  startsAt: hours(-1).toISOString(),
+  endsAt:   hours(2).toISOString(),
+});
+
+// Stored (snake_case) form, as windowCovers sees it
+const stored = { device_id: 'MFC_01', sensors: ['ph', 'flow_rate'], starts_at: hours(-1), ends_at: hours(2) };
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Cases
+// ─────────────────────────────────────────────────────────────────────────
+
+describe('validateMaintenanceWindow', () => {
+  it('should accept a valid window', () => {
+    assert.strictEqual(validateMaintenanceWindow(getWindow()).valid, true);
+  });
+
+  it('should accept a window for every device and sensor', () => {
+    const w = { ...getWindow(), deviceId: null, sensors: [] };
+    assert.strictEqual(validateMaintenanceWindow(w).valid, true);
+  });
+
+  it('should reject unknown sensors', () => {
+    const result = validateMaintenanceWindow({ ...getWindow(), sensors: ['turbidity'] });
+    assert.strictEqual(result.valid, false);
+    assert.match(result.reason, /sensors/);
+  });
+
+  it('should reject a window that ends before it starts', () => {
+    const w = { ...getWindow(), endsAt: hours(-2).toISOString() };
+    assert.match(validateMaintenanceWindow(w).reason, /after startsAt/);
+  });
+
+  it('should reject a window longer than 30 days', () => {
+    const w = { ...getWindow(), endsAt: hours(31 * 24).toISOString() };
+    assert.match(validateMaintenanceWindow(w).reason, /30 days/);
+  });
+});
+
+describe('validateSnooze', () => {
+  it('should accept a time in the future, or null', () => {
+    assert.strictEqual(validateSnooze(hours(1).toISOString(), NOW).valid, true);
+    assert.strictEqual(validateSnooze(null, NOW).valid, true);
+  });
+
+  it('should reject times in the past or more than 7 days away', () => {
+    assert.strictEqual(validateSnooze(hours(-1).toISOString(), NOW).valid, false);
+    assert.strictEqual(validateSnooze(hours(8 * 24).toISOString(), NOW).valid, false);
+    assert.strictEqual(validateSnooze('tomorrow', NOW).valid, false);
+  });
+});
+
+describe('windowCovers', () => {
+  it('should cover listed sensors on its device while in progress', () => {
+    assert.strictEqual(windowCovers(stored, 'MFC_01', 'ph', NOW), true);
+    assert.strictEqual(windowCovers(stored, 'MFC_01', 'tds', NOW), false);
+    assert.strictEqual(windowCovers(stored, 'MFC_02', 'ph', NOW), false);
+  });
+
+  it('should not cover anything before it starts or once it ends', () => {
+    assert.strictEqual(windowCovers(stored, 'MFC_01', 'ph', hours(-2)), false);
+    assert.strictEqual(windowCovers(stored, 'MFC_01', 'ph', hours(2)), false);
+  });
+
+  it('should cover every device and sensor when neither is given', () => {
+    const everywhere = { ...stored, device_id: undefined, sensors: [] };
+    assert.strictEqual(windowCovers(everywhere, 'MFC_02', 'device', NOW), true);
+    assert.strictEqual(windowCovers(everywhere, undefined, 'device', NOW), true);
+  });
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * Test Suite — Notification Channels
+ * ───────────────────────────────────
+ * Unit tests for channel / subscription / escalation policy validation,
+ * alert routing filters and escalation timing.
+ * Run with: npm test validations/notificationValidator.test.js
+ */
+
+const assert = require('assert');
+const { validateChannel, validateSubscription, validateEscalationPolicy } = require('../../validations/notificationValidator');
+const { matchesFilter } = require('../../services/notificationService');
+const { dueLevel } = require('../../services/escalationService');
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Fixtures
+// ─────────────────────────────────────────────────────────────────────────
+
+const email   = () => ({ name: 'Ops mail', type: 'email', recipients: ['ops@example.com'], severities: ['critical'] });
+const webhook = () => ({ name: 'Hook', type: 'webhook', url: 'https://hooks.example.com/mfc' });
+const sms     = () => ({ name: 'On-call SMS', type: 'sms', url: 'http://localhost:9000/send', recipients: ['+15550100'] });
+
+const alert = { severity: 'critical', sensor: 'ph' };
+
+const CHANNEL_ID = '64b7f0c2a1b2c3d4e5f60718';
+const getPolicy = () => ({
+  name:       'Critical pH',
+  severities: ['critical'],
+  levels: [
+    { afterMinutes: 10, channels: [CHANNEL_ID], roles: ['admin'] },
+    { afterMinutes: 30, channels: [CHANNEL_ID] },
+  ],
+});
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Cases
+// ─────────────────────────────────────────────────────────────────────────
+
+describe('validateChannel', () => {
+  it('should accept valid email, webhook and sms channels', () => {
+    for (const channel of [email(), webhook(), sms()]) {
+      assert.strictEqual(validateChannel(channel).valid, true, channel.type);
+    }
+  });
+
+  it('should reject an unknown severity', () => {
+    const result = validateChannel({ ...email(), severities: ['urgent'] });
+    assert.strictEqual(result.valid, false);
+    assert(result.reason.includes('severities'));
+  });
+
+  it('should reject malformed recipients', () => {
+    assert.strictEqual(validateChannel({ ...email(), recipients: ['not-an-address'] }).valid, false);
+    assert.strictEqual(validateChannel({ ...sms(), recipients: ['call me'] }).valid, false);
+  });
+
+  it('should require an http(s) url for webhook and sms channels', () => {
+    assert.strictEqual(validateChannel({ ...webhook(), url: undefined }).valid, false);
+    assert.strictEqual(validateChannel({ ...sms(), url: 'ftp://gateway' }).valid, false);
+  });
+});
+
+describe('validateSubscription', () => {
+  it('should require a phone number for sms channels only', () => {
+    assert.strictEqual(validateSubscription({}, sms()).valid, false);
+    assert.strictEqual(validateSubscription({ phone: '+15550101' }, sms()).valid, true);
+    assert.strictEqual(validateSubscription({}, email()).valid, true);
+  });
+
+  it('should reject subscriptions to webhooks', () => {
+    assert.strictEqual(validateSubscription({}, webhook()).valid, false);
+  });
+});
+
+describe('matchesFilter', () => {
+  it('should treat empty lists as matching everything', () => {
+    assert.strictEqual(matchesFilter({}, alert), true);
+    assert.strictEqual(matchesFilter({ severities: [], sensors: [] }, alert), true);
+  });
+
+  it('should require both severity and sensor to match', () => {
+    assert.strictEqual(matchesFilter({ severities: ['critical'], sensors: ['ph'] }, alert), true);
+    assert.strictEqual(matchesFilter({ severities: ['warning'] }, alert), false);
+    assert.strictEqual(matchesFilter({ sensors: ['tds'] }, alert), false);
+  });
+});
+
+describe('validateEscalationPolicy', () => {
+  it('should accept a valid policy', () => {
+    assert.strictEqual(validateEscalationPolicy(getPolicy()).valid, true);
+  });
+
+  it('should require strictly increasing level delays', () => {
+    const policy = getPolicy();
+    policy.levels[1].afterMinutes = 10;
+    const result = validateEscalationPolicy(policy);
+    assert.strictEqual(result.valid, false);
+    assert(result.reason.includes('levels[1].afterMinutes'));
+  });
+
+  it('should reject a level without channels or with an unknown role', () => {
+    const policy = getPolicy();
+    assert.strictEqual(validateEscalationPolicy({ ...policy, levels: [{ afterMinutes: 5, channels: [] }] }).valid, false);
+    assert.strictEqual(validateEscalationPolicy({ ...policy, levels: [{ afterMinutes: 5, channels: [CHANNEL_ID], roles: ['on-call'] }] }).valid, false);
+  });
+});
+
+describe('dueLevel', () => {
+  const policy = { levels: [{ after_minutes: 10 }, { after_minutes: 30 }] };
+  const raised = { timestamp: new Date('2026-10-19T03:00:00Z') };
+  const at = minutes => new Date(raised.timestamp.getTime() + minutes * 60_000);
+
+  it('should return the highest level whose delay has elapsed', () => {
+    assert.strictEqual(dueLevel(policy, raised, at(9)), 0);
+    assert.strictEqual(dueLevel(policy, raised, at(10)), 1);
+    assert.strictEqual(dueLevel(policy, raised, at(45)), 2);
+  });
+});
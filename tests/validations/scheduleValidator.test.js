@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Test Suite — Pump Schedule Validator
+ * ─────────────────────────────────────
+ * Unit tests for schedule validation, cron parsing and window resolution.
+ * Run with: npm test validations/scheduleValidator.test.js
+ */
+
+const assert = require('assert');
+const { validateSchedule, parseCron, cronMatches } = require('../../validations/scheduleValidator');
+const { activeWindow } = require('../../services/pumpScheduler');
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Fixtures
+// ─────────────────────────────────────────────────────────────────────────
+
+const actuator = { actuator_id: 'pump1', modes: ['MANUAL_ON', 'MANUAL_OFF', 'AUTO'], default_mode: 'AUTO' };
+
+const getWeekly = () => ({
+  type:     'weekly',
+  windows:  [{ days: [1, 2, 3], start: '06:00', end: '08:30' }],
+  mode:     'MANUAL_ON',
+  endMode:  'AUTO',
+  timezone: 'UTC',
+});
+
+const getCron = () => ({
+  type:            'cron',
+  cron:            '0 */4 * * *',
+  durationMinutes: 20,
+  mode:            'MANUAL_ON',
+  endMode:         'MANUAL_OFF',
+  timezone:        'UTC',
+});
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Cases
+// ─────────────────────────────────────────────────────────────────────────
+
+describe('validateSchedule', () => {
+  it('should accept a valid weekly schedule', () => {
+    assert.strictEqual(validateSchedule(getWeekly(), actuator).valid, true);
+  });
+
+  it('should accept a valid cron schedule', () => {
+    assert.strictEqual(validateSchedule(getCron(), actuator).valid, true);
+  });
+
+  it('should reject a mode the actuator does not support', () => {
+    const result = validateSchedule({ ...getWeekly(), mode: 'DOSE' }, actuator);
+    assert.strictEqual(result.valid, false);
+    assert(result.reason.includes('mode'));
+  });
+
+  it('should reject malformed window times and weekdays', () => {
+    assert.strictEqual(validateSchedule({ ...getWeekly(), windows: [{ days: [1], start: '6:00', end: '08:00' }] }, actuator).valid, false);
+    assert.strictEqual(validateSchedule({ ...getWeekly(), windows: [{ days: [7], start: '06:00', end: '08:00' }] }, actuator).valid, false);
+    assert.strictEqual(validateSchedule({ ...getWeekly(), windows: [{ days: [1], start: '06:00', end: '06:00' }] }, actuator).valid, false);
+  });
+
+  it('should reject an invalid cron expression or duration', () => {
+    assert.strictEqual(validateSchedule({ ...getCron(), cron: '0 25 * * *' }, actuator).valid, false);
+    assert.strictEqual(validateSchedule({ ...getCron(), cron: '0 * * *' }, actuator).valid, false);
+    assert.strictEqual(validateSchedule({ ...getCron(), durationMinutes: 0 }, actuator).valid, false);
+  });
+
+  it('should reject an unknown timezone', () => {
+    assert.strictEqual(validateSchedule({ ...getWeekly(), timezone: 'Mars/Olympus' }, actuator).valid, false);
+  });
+});
+
+describe('parseCron / cronMatches', () => {
+  const at = (hour, minute, weekday, day = 15, month = 6) => ({ hour, minute, weekday, day, month });
+
+  it('should expand ranges, lists and steps', () => {
+    const cron = parseCron('0,30 8-10 * * 1-5');
+    assert(cronMatches(cron, at(9, 30, 3)));
+    assert(!cronMatches(cron, at(9, 15, 3)));
+    assert(!cronMatches(cron, at(11, 0, 3)));
+    assert(!cronMatches(cron, at(9, 0, 6)));
+  });
+
+  it('should treat day-of-week 7 as Sunday', () => {
+    assert(cronMatches(parseCron('0 12 * * 7'), at(12, 0, 0)));
+  });
+
+  it('should match either day field when both are restricted', () => {
+    const cron = parseCron('0 0 1 * 1');
+    assert(cronMatches(cron, at(0, 0, 1, 20)));
+    assert(cronMatches(cron, at(0, 0, 4, 1)));
+    assert(!cronMatches(cron, at(0, 0, 4, 20)));
+  });
+});
+
+describe('activeWindow', () => {
+  // 2026-10-19 is a Monday
+  it('should resolve an open weekly window and its close time', () => {
+    const win = activeWindow({ ...getWeekly(), timezone: 'UTC' }, new Date('2026-10-19T07:10:30Z'));
+    assert.strictEqual(win.start.toISOString(), '2026-10-19T06:00:00.000Z');
+    assert.strictEqual(win.end.toISOString(),   '2026-10-19T08:30:00.000Z');
+    assert.strictEqual(activeWindow({ ...getWeekly(), timezone: 'UTC' }, new Date('2026-10-19T08:30:00Z')), null);
+  });
+
+  it('should carry a window past midnight into the next day', () => {
+    const schedule = { type: 'weekly', timezone: 'UTC', windows: [{ days: [1], start: '22:00', end: '02:00' }] };
+    const win = activeWindow(schedule, new Date('2026-10-20T01:00:00Z'));
+    assert.strictEqual(win.start.toISOString(), '2026-10-19T22:00:00.000Z');
+    assert.strictEqual(win.end.toISOString(),   '2026-10-20T02:00:00.000Z');
+  });
+
+  it('should evaluate windows in the schedule timezone', () => {
+    // 05:30 UTC is 08:30 in Riyadh (UTC+3)
+    const schedule = { type: 'weekly', timezone: 'Asia/Riyadh', windows: [{ days: [1], start: '08:00', end: '09:00' }] };
+    assert(activeWindow(schedule, new Date('2026-10-19T05:30:00Z')));
+    assert.strictEqual(activeWindow(schedule, new Date('2026-10-19T08:30:00Z')), null);
+  });
+
+  it('should hold a cron run for its duration', () => {
+    const schedule = { type: 'cron', timezone: 'UTC', cron: '0 */4 * * *', duration_minutes: 20 };
+    const win = activeWindow(schedule, new Date('2026-10-19T08:19:59Z'));
+    assert.strictEqual(win.start.toISOString(), '2026-10-19T08:00:00.000Z');
+    assert.strictEqual(win.end.toISOString(),   '2026-10-19T08:20:00.000Z');
+    assert.strictEqual(activeWindow(schedule, new Date('2026-10-19T08:20:00Z')), null);
+  });
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Test Suite — Device and Sensor Offline Detection
+ * ─────────────────────────────────────────────────
+ * Unit tests for the online / offline / never classification of devices and
+ * of their individual sensors.
+ * Run with: npm test validations/sensorStatus.test.js
+ */
+
+const assert = require('assert');
+const { recordTelemetry, getDeviceStatus, OFFLINE_THRESHOLD_MS } = require('../../services/sensorStatusService');
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Fixtures
+// ─────────────────────────────────────────────────────────────────────────
+
+const T0 = new Date('2026-10-19T12:00:00Z');
+const after = ms => new Date(T0.getTime() + ms);
+
+const statusOf = (status, sensor) => status.sensors.find(s => s.sensor === sensor).status;
+
+// ─────────────────────────────────────────────────────────────────────────
+// Test Cases
+// ─────────────────────────────────────────────────────────────────────────
+
+describe('getDeviceStatus', () => {
+  it('should report a device that has never sent telemetry as never seen', () => {
+    const status = getDeviceStatus('TEST_NEVER', T0);
+    assert.strictEqual(status.status, 'never');
+    assert.strictEqual(status.lastSeen, null);
+    assert.ok(status.sensors.every(s => s.status === 'never'));
+  });
+
+  it('should report a device silent for longer than OFFLINE_THRESHOLD_MS as offline', () => {
+    recordTelemetry({ ph: 7.1, tds: 420 }, 'TEST_SILENT', T0);
+    assert.strictEqual(getDeviceStatus('TEST_SILENT', after(OFFLINE_THRESHOLD_MS)).status, 'online');
+
+    const status = getDeviceStatus('TEST_SILENT', after(OFFLINE_THRESHOLD_MS + 1));
+    assert.strictEqual(status.status, 'offline');
+    assert.deepStrictEqual(status.lastSeen, T0);
+    assert.strictEqual(statusOf(status, 'ph'), 'offline');
+  });
+
+  it('should flag one silent sensor while the device keeps reporting', () => {
+    // Two ESP32s feed the device; the one publishing flow_rate has died.
+    recordTelemetry({ ph: 7.0, flow_rate: 1.2 }, 'TEST_MULTI', T0);
+    recordTelemetry({ ph: 7.2 }, 'TEST_MULTI', after(OFFLINE_THRESHOLD_MS + 30_000));
+
+    const status = getDeviceStatus('TEST_MULTI', after(OFFLINE_THRESHOLD_MS + 31_000));
+    assert.strictEqual(status.status, 'online');
+    assert.strictEqual(statusOf(status, 'ph'), 'online');
+    assert.strictEqual(statusOf(status, 'flow_rate'), 'offline');
+    assert.strictEqual(statusOf(status, 'tds'), 'never');
+  });
+});
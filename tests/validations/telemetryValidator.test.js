@@ -8,7 +8,7 @@
  */
 
 const assert = require('assert');
-const { validateTelemetry, MAX_LATENCY_MS, MAX_FUTURE_MS } = require('../../validations/telemetryValidator');
+const { validateTelemetry, MAX_LATENCY_MS, MAX_FUTURE_MS, REJECTION_CODES, DEFAULT_RULE_SET } = require('../../validations/telemetryValidator');
 
 // ─────────────────────────────────────────────────────────────────────────
 // Test Fixtures
@@ -148,6 +148,35 @@ describe('validateTelemetry', () => {
     });
   });
 
+  describe('3b. Backfill (allowStale)', () => {
+    it('should accept a packet hours old when allowStale is set', () => {
+      const payload = getValidPayload();
+      payload.timestamp = new Date(Date.now() - 3 * 3_600_000).toISOString();
+      const result = validateTelemetry(payload, { allowStale: true });
+      assert.strictEqual(result.valid, true);
+    });
+
+    it('should still reject future-dated packets when allowStale is set', () => {
+      const payload = getValidPayload();
+      payload.timestamp = new Date(Date.now() + MAX_FUTURE_MS + 1000).toISOString();
+      const result = validateTelemetry(payload, { allowStale: true });
+      assert.strictEqual(result.valid, false);
+      assert(result.reason.includes('future'));
+    });
+
+    it('should still apply physics bounds and EOR checks when allowStale is set', () => {
+      const payload = getValidPayload();
+      payload.timestamp = new Date(Date.now() - 60_000).toISOString();
+      payload.ph = 15;
+      assert.strictEqual(validateTelemetry(payload, { allowStale: true }).valid, false);
+
+      payload.ph = 9.0;
+      const result = validateTelemetry(payload, { allowStale: true });
+      assert.strictEqual(result.valid, true);
+      assert.strictEqual(result.payload.validation.status, 'FAIL');
+    });
+  });
+
   describe('4. Soft Gatekeeper: EOR Standards Compliance', () => {
     it('should flag PASS if all EOR standards are met', () => {
       const result = validateTelemetry(getValidPayload());
@@ -202,5 +231,63 @@ describe('validateTelemetry', () => {
       assert.strictEqual(result.payload.validation.status, 'PASS');
       assert(!result.payload.validation.failed_parameters.includes('tds'));
     });
+
+    it('should record the default rule set when none is given', () => {
+      const result = validateTelemetry(getValidPayload());
+      assert.deepStrictEqual(result.payload.validation.rule_set, { name: DEFAULT_RULE_SET.name, version: DEFAULT_RULE_SET.version });
+    });
+
+    it('should apply a configured rule set and record its version', () => {
+      const ruleSet = {
+        name:    'Site EOR',
+        version: 3,
+        rules:   [{ sensor: 'ph', min: 6.0, max: 9.0 }, { sensor: 'temperature', max: 25 }],
+      };
+      const payload = getValidPayload();
+      payload.ph = 8.8;   // fails the default 6.5 – 8.5, passes 6.0 – 9.0
+      payload.tds = 6000; // not limited by this rule set
+      const result = validateTelemetry(payload, { ruleSet });
+      assert.deepStrictEqual(result.payload.validation.failed_parameters, ['temperature']);
+      assert.deepStrictEqual(result.payload.validation.rule_set, { name: 'Site EOR', version: 3 });
+    });
+  });
+
+  describe('5. Rejection codes', () => {
+    it('should tag non-object payloads with NOT_OBJECT', () => {
+      const result = validateTelemetry('7.1');
+      assert.strictEqual(result.code, REJECTION_CODES.NOT_OBJECT);
+    });
+
+    it('should tag a missing timestamp with MISSING_FIELD', () => {
+      const payload = getValidPayload();
+      delete payload.timestamp;
+      assert.strictEqual(validateTelemetry(payload).code, REJECTION_CODES.MISSING_FIELD);
+    });
+
+    it('should tag physics-bound violations with OUT_OF_BOUNDS', () => {
+      const payload = getValidPayload();
+      payload.voltage = 75;
+      assert.strictEqual(validateTelemetry(payload).code, REJECTION_CODES.OUT_OF_BOUNDS);
+    });
+
+    it('should tag unparseable timestamps with INVALID_TIMESTAMP', () => {
+      const payload = getValidPayload();
+      payload.timestamp = 'yesterday';
+      assert.strictEqual(validateTelemetry(payload).code, REJECTION_CODES.INVALID_TIMESTAMP);
+    });
+
+    it('should tag stale and future packets separately (clock-drift diagnosis)', () => {
+      const stale = getValidPayload();
+      stale.timestamp = new Date(Date.now() - MAX_LATENCY_MS - 1000).toISOString();
+      assert.strictEqual(validateTelemetry(stale).code, REJECTION_CODES.STALE);
+
+      const future = getValidPayload();
+      future.timestamp = new Date(Date.now() + MAX_FUTURE_MS + 1000).toISOString();
+      assert.strictEqual(validateTelemetry(future).code, REJECTION_CODES.FUTURE);
+    });
+
+    it('should not set a code on accepted packets', () => {
+      assert.strictEqual(validateTelemetry(getValidPayload()).code, undefined);
+    });
   });
 });
\ No newline at end of file
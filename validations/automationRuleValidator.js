@@ -0,0 +1,52 @@
+'use strict';
+
+const { SENSOR_FIELDS } = require('../services/sensorMetadata');
+
+// Telemetry fields an automation condition can watch.
+const AUTOMATION_SENSORS = SENSOR_FIELDS;
+
+const OPERATORS = ['<', '<=', '>', '>='];
+
+// Longest a condition may be required to hold before the rule fires.
+const MAX_DURATION_SECONDS = 24 * 60 * 60;
+
+/**
+ * Validates an automation rule definition against the actuator it drives.
+ *
+ * @param {object} rule     — { name, condition: { sensor, operator, value, durationSeconds, hysteresis }, action: { pump, command } }
+ * @param {object} actuator — registry entry for rule.action.pump (undefined if unknown)
+ * @returns {{ valid: true }|{ valid: false, reason: string }}
+ */
+function validateAutomationRule(rule, actuator) {
+  const { name, condition, action } = rule;
+
+  if (!name) return { valid: false, reason: 'name is required' };
+  if (!condition || typeof condition !== 'object') return { valid: false, reason: 'condition is required' };
+  if (!action || typeof action !== 'object') return { valid: false, reason: 'action is required' };
+
+  const { sensor, operator, value, durationSeconds = 0, hysteresis = 0 } = condition;
+  if (!AUTOMATION_SENSORS.includes(sensor)) {
+    return { valid: false, reason: `condition.sensor must be one of: ${AUTOMATION_SENSORS.join(', ')}` };
+  }
+  if (!OPERATORS.includes(operator)) {
+    return { valid: false, reason: `condition.operator must be one of: ${OPERATORS.join(' ')}` };
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return { valid: false, reason: 'condition.value must be a finite number' };
+  }
+  if (typeof durationSeconds !== 'number' || durationSeconds < 0 || durationSeconds > MAX_DURATION_SECONDS) {
+    return { valid: false, reason: `condition.durationSeconds must be between 0 and ${MAX_DURATION_SECONDS}` };
+  }
+  if (typeof hysteresis !== 'number' || !Number.isFinite(hysteresis) || hysteresis < 0) {
+    return { valid: false, reason: 'condition.hysteresis must be a number ≥ 0' };
+  }
+
+  if (!actuator) return { valid: false, reason: `Unknown pump "${action.pump}"` };
+  if (!actuator.modes.includes(action.command)) {
+    return { valid: false, reason: `action.command must be one of: ${actuator.modes.join(', ')}` };
+  }
+
+  return { valid: true };
+}
+
+module.exports = { validateAutomationRule, AUTOMATION_SENSORS, MAX_DURATION_SECONDS };
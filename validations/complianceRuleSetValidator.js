@@ -0,0 +1,43 @@
+'use strict';
+
+const { SENSOR_FIELDS } = require('../services/sensorMetadata');
+
+const MAX_NAME_LENGTH        = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const isLimit = value => value == null || (typeof value === 'number' && Number.isFinite(value));
+
+/**
+ * Validates an EOR compliance rule set.
+ *
+ * @param {object} s — { name, description?, rules: [{ sensor, min?, max? }] }
+ *   A rule needs at least one of min / max; null or absent means unbounded.
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+function validateComplianceRuleSet(s) {
+  if (!s || typeof s !== 'object') return { valid: false, reason: 'Rule set must be an object' };
+
+  if (typeof s.name !== 'string' || !s.name.trim() || s.name.length > MAX_NAME_LENGTH) {
+    return { valid: false, reason: `name is required (at most ${MAX_NAME_LENGTH} characters)` };
+  }
+  if (s.description != null && (typeof s.description !== 'string' || s.description.length > MAX_DESCRIPTION_LENGTH)) {
+    return { valid: false, reason: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` };
+  }
+
+  if (!Array.isArray(s.rules) || s.rules.length === 0) return { valid: false, reason: 'rules must be a non-empty array' };
+  const seen = new Set();
+  for (const [i, r] of s.rules.entries()) {
+    if (!r || typeof r !== 'object') return { valid: false, reason: `rules[${i}] must be an object` };
+    if (!SENSOR_FIELDS.includes(r.sensor)) {
+      return { valid: false, reason: `rules[${i}].sensor must be one of: ${SENSOR_FIELDS.join(', ')}` };
+    }
+    if (seen.has(r.sensor)) return { valid: false, reason: `rules has more than one rule for "${r.sensor}"` };
+    seen.add(r.sensor);
+    if (!isLimit(r.min) || !isLimit(r.max)) return { valid: false, reason: `rules[${i}].min and max must be numbers or null` };
+    if (r.min == null && r.max == null) return { valid: false, reason: `rules[${i}] needs a min, a max, or both` };
+    if (r.min != null && r.max != null && r.min > r.max) return { valid: false, reason: `rules[${i}].min must be ≤ max` };
+  }
+  return { valid: true };
+}
+
+module.exports = { validateComplianceRuleSet };
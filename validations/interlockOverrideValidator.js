@@ -0,0 +1,22 @@
+'use strict';
+
+// Shortest justification accepted for an interlock override.
+const MIN_JUSTIFICATION_LENGTH = 10;
+
+/**
+ * Validates the `override` an admin sends to publish a command that safety
+ * interlocks block.
+ *
+ * @param {object} override — { justification }
+ * @returns {{ valid: true, justification: string }|{ valid: false, reason: string }}
+ *   `justification` is trimmed, ready to store on the command
+ */
+function validateInterlockOverride(override) {
+  const justification = typeof override?.justification === 'string' ? override.justification.trim() : '';
+  if (justification.length < MIN_JUSTIFICATION_LENGTH) {
+    return { valid: false, reason: `override.justification is required (at least ${MIN_JUSTIFICATION_LENGTH} characters)` };
+  }
+  return { valid: true, justification };
+}
+
+module.exports = { validateInterlockOverride, MIN_JUSTIFICATION_LENGTH };
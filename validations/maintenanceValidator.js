@@ -0,0 +1,67 @@
+'use strict';
+
+const { SENSOR_FIELDS } = require('../services/sensorMetadata');
+
+// Sensors a window can cover: every reading field, plus 'device' for offline alerts.
+const MAINTENANCE_SENSORS = [...SENSOR_FIELDS, 'device'];
+
+// Longest maintenance window and longest alert snooze.
+const MAX_WINDOW_DAYS    = 30;
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+
+const MAX_REASON_LENGTH = 500;
+
+const isDate = value => (typeof value === 'string' || value instanceof Date) && !isNaN(new Date(value).getTime());
+
+/**
+ * Validates a maintenance window definition.
+ *
+ * @param {object} w — { name, deviceId?, sensors?, startsAt, endsAt, reason? }
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+function validateMaintenanceWindow(w) {
+  if (!w || typeof w !== 'object') return { valid: false, reason: 'Window must be an object' };
+
+  if (typeof w.name !== 'string' || !w.name.trim()) return { valid: false, reason: 'name is required' };
+  if (w.deviceId != null && (typeof w.deviceId !== 'string' || !w.deviceId.trim())) {
+    return { valid: false, reason: 'deviceId must be a device id or null' };
+  }
+  const { sensors = [] } = w;
+  if (!Array.isArray(sensors) || !sensors.every(s => MAINTENANCE_SENSORS.includes(s))) {
+    return { valid: false, reason: `sensors must be an array of: ${MAINTENANCE_SENSORS.join(', ')}` };
+  }
+
+  if (!isDate(w.startsAt)) return { valid: false, reason: 'startsAt must be an ISO date' };
+  if (!isDate(w.endsAt)) return { valid: false, reason: 'endsAt must be an ISO date' };
+  const ms = new Date(w.endsAt).getTime() - new Date(w.startsAt).getTime();
+  if (ms <= 0) return { valid: false, reason: 'endsAt must be after startsAt' };
+  if (ms > MAX_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+    return { valid: false, reason: `a window may last at most ${MAX_WINDOW_DAYS} days` };
+  }
+
+  if (w.reason != null && (typeof w.reason !== 'string' || w.reason.length > MAX_REASON_LENGTH)) {
+    return { valid: false, reason: `reason must be a string of at most ${MAX_REASON_LENGTH} characters` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validates a snooze request: `until` is an ISO date in the future, at most
+ * MAX_SNOOZE_MINUTES away, or null to cancel the snooze.
+ *
+ * @param {string|null} until
+ * @param {Date} [now]
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+function validateSnooze(until, now = new Date()) {
+  if (until === null) return { valid: true };
+  if (!isDate(until)) return { valid: false, reason: 'until must be an ISO date or null' };
+  const ms = new Date(until).getTime() - now.getTime();
+  if (ms <= 0) return { valid: false, reason: 'until must be in the future' };
+  if (ms > MAX_SNOOZE_MINUTES * 60_000) {
+    return { valid: false, reason: `an alert may be snoozed for at most ${MAX_SNOOZE_MINUTES / (24 * 60)} days` };
+  }
+  return { valid: true };
+}
+
+module.exports = { validateMaintenanceWindow, validateSnooze, MAINTENANCE_SENSORS };
@@ -0,0 +1,135 @@
+'use strict';
+
+const ALERT_SEVERITIES = ['critical', 'warning', 'info'];
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_RE = /^\+?[0-9]{6,15}$/;
+const ID_RE    = /^[0-9a-f]{24}$/i;
+
+const USER_ROLES = ['admin', 'operator', 'viewer'];
+
+// Escalation limits: at most this many levels, none later than a week.
+const MAX_ESCALATION_LEVELS = 10;
+const MAX_ESCALATION_MINUTES = 7 * 24 * 60;
+
+function isValidUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks the severities / sensors filter shared by channels and subscriptions.
+ * Returns an error message, or null when valid.
+ */
+function checkFilter({ severities = [], sensors = [] }) {
+  if (!Array.isArray(severities) || !severities.every(s => ALERT_SEVERITIES.includes(s))) {
+    return `severities must be an array of: ${ALERT_SEVERITIES.join(', ')}`;
+  }
+  if (!Array.isArray(sensors) || !sensors.every(s => typeof s === 'string' && s.trim())) {
+    return 'sensors must be an array of sensor names';
+  }
+  return null;
+}
+
+/**
+ * Validates a notification channel definition.
+ *
+ * @param {object} channel — { name, type, severities?, sensors?, recipients?, url? }
+ * @returns {{ valid: true }|{ valid: false, reason: string }}
+ */
+function validateChannel(channel) {
+  const { name, type, recipients = [], url } = channel;
+
+  if (typeof name !== 'string' || !name.trim()) return { valid: false, reason: 'name is required' };
+  if (!['email', 'webhook', 'sms'].includes(type)) {
+    return { valid: false, reason: "type must be 'email', 'webhook' or 'sms'" };
+  }
+
+  const filterError = checkFilter(channel);
+  if (filterError) return { valid: false, reason: filterError };
+
+  if (!Array.isArray(recipients)) return { valid: false, reason: 'recipients must be an array' };
+  if (type === 'email' && !recipients.every(r => typeof r === 'string' && EMAIL_RE.test(r))) {
+    return { valid: false, reason: 'recipients must be email addresses' };
+  }
+  if (type === 'sms' && !recipients.every(r => typeof r === 'string' && PHONE_RE.test(r))) {
+    return { valid: false, reason: 'recipients must be phone numbers (digits, optional leading +)' };
+  }
+  if (type === 'webhook' && recipients.length) {
+    return { valid: false, reason: 'a webhook channel has no recipients' };
+  }
+
+  if (type !== 'email' && !isValidUrl(url)) {
+    return { valid: false, reason: 'url must be an http(s) URL' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validates a user's subscription to `channel`.
+ *
+ * @param {object} subscription — { severities?, sensors?, phone? }
+ * @param {object} channel      — the NotificationChannel subscribed to
+ * @returns {{ valid: true }|{ valid: false, reason: string }}
+ */
+function validateSubscription(subscription, channel) {
+  if (channel.type === 'webhook') {
+    return { valid: false, reason: 'webhook channels cannot be subscribed to' };
+  }
+
+  const filterError = checkFilter(subscription);
+  if (filterError) return { valid: false, reason: filterError };
+
+  if (channel.type === 'sms' && (typeof subscription.phone !== 'string' || !PHONE_RE.test(subscription.phone))) {
+    return { valid: false, reason: 'phone is required for an SMS channel (digits, optional leading +)' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validates an escalation policy. Referenced channels and users are checked
+ * for existence by the route.
+ *
+ * @param {object} policy — { name, severities?, sensors?, levels: [{ afterMinutes, channels, users?, roles? }] }
+ * @returns {{ valid: true }|{ valid: false, reason: string }}
+ */
+function validateEscalationPolicy(policy) {
+  const { name, levels } = policy;
+
+  if (typeof name !== 'string' || !name.trim()) return { valid: false, reason: 'name is required' };
+
+  const filterError = checkFilter(policy);
+  if (filterError) return { valid: false, reason: filterError };
+
+  if (!Array.isArray(levels) || levels.length === 0 || levels.length > MAX_ESCALATION_LEVELS) {
+    return { valid: false, reason: `levels must be an array of 1–${MAX_ESCALATION_LEVELS} levels` };
+  }
+
+  let previous = 0;
+  for (const [i, level] of levels.entries()) {
+    const { afterMinutes, channels, users = [], roles = [] } = level ?? {};
+    if (!Number.isInteger(afterMinutes) || afterMinutes <= previous || afterMinutes > MAX_ESCALATION_MINUTES) {
+      return { valid: false, reason: `levels[${i}].afterMinutes must be an integer above the previous level's and at most ${MAX_ESCALATION_MINUTES}` };
+    }
+    if (!Array.isArray(channels) || channels.length === 0 || !channels.every(id => ID_RE.test(id))) {
+      return { valid: false, reason: `levels[${i}].channels must be a non-empty array of channel ids` };
+    }
+    if (!Array.isArray(users) || !users.every(id => ID_RE.test(id))) {
+      return { valid: false, reason: `levels[${i}].users must be an array of user ids` };
+    }
+    if (!Array.isArray(roles) || !roles.every(r => USER_ROLES.includes(r))) {
+      return { valid: false, reason: `levels[${i}].roles must be an array of: ${USER_ROLES.join(', ')}` };
+    }
+    previous = afterMinutes;
+  }
+
+  return { valid: true };
+}
+
+module.exports = { validateChannel, validateSubscription, validateEscalationPolicy, ALERT_SEVERITIES };
@@ -0,0 +1,150 @@
+'use strict';
+
+// Longest run a cron schedule may hold a pump in its mode, in minutes.
+const MAX_CRON_DURATION_MIN = 24 * 60;
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// ─── Cron ─────────────────────────────────────────────────────────────────────
+// Standard 5-field expressions: minute hour day-of-month month day-of-week.
+// Each field accepts *, n, a-b, a,b,… and a /step on * or a range.
+// Day-of-week is 0–6 (Sunday = 0; 7 is accepted as Sunday too).
+
+const CRON_FIELDS = [
+  { name: 'minute',       min: 0, max: 59 },
+  { name: 'hour',         min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month',        min: 1, max: 12 },
+  { name: 'day of week',  min: 0, max: 7  },
+];
+
+/**
+ * Parses one cron field into the set of values it matches.
+ * Returns null if the field is invalid.
+ */
+function parseCronField(field, { min, max }) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) return null;
+
+    let lo = min, hi = max;
+    if (match[1] !== '*') {
+      [lo, hi] = match[1].split('-').map(Number);
+      if (hi === undefined) hi = match[2] ? max : lo;
+    }
+    const step = match[2] ? Number(match[2]) : 1;
+    if (lo < min || hi > max || lo > hi || step < 1) return null;
+
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parses a 5-field cron expression.
+ *
+ * @param {string} expr
+ * @returns {{ minute: Set, hour: Set, dom: Set, month: Set, dow: Set, domAny: boolean, dowAny: boolean }|null}
+ */
+function parseCron(expr) {
+  if (typeof expr !== 'string') return null;
+  const fields = expr.trim().split(/\s+/);
+  if (fields.length !== 5) return null;
+
+  const sets = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+  if (sets.includes(null)) return null;
+
+  const [minute, hour, dom, month, dow] = sets;
+  if (dow.has(7)) dow.add(0);
+  return { minute, hour, dom, month, dow, domAny: fields[2] === '*', dowAny: fields[4] === '*' };
+}
+
+/**
+ * Returns true if the parsed cron expression fires at the given local time.
+ * As in classic cron, when both day-of-month and day-of-week are restricted
+ * a day matching either one qualifies.
+ *
+ * @param {object} cron  — result of parseCron
+ * @param {{ minute, hour, day, month, weekday }} t — local calendar fields
+ */
+function cronMatches(cron, t) {
+  if (!cron.minute.has(t.minute) || !cron.hour.has(t.hour) || !cron.month.has(t.month)) return false;
+  const domOk = cron.dom.has(t.day);
+  const dowOk = cron.dow.has(t.weekday);
+  if (cron.domAny || cron.dowAny) return domOk && dowOk;
+  return domOk || dowOk;
+}
+
+// ─── Schedule ─────────────────────────────────────────────────────────────────
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validates a pump schedule definition against the actuator it targets.
+ *
+ * Weekly: { type: 'weekly', windows: [{ days: [0-6], start: 'HH:MM', end: 'HH:MM' }] }
+ *   A window whose end is not after its start runs past midnight into the next day.
+ * Cron:   { type: 'cron', cron: '<5 fields>', durationMinutes }
+ *
+ * @param {object} schedule — { type, windows?, cron?, durationMinutes?, mode, endMode, priority, timezone }
+ * @param {object} actuator — registry entry (supplies the allowed modes)
+ * @returns {{ valid: true }|{ valid: false, reason: string }}
+ */
+function validateSchedule(schedule, actuator) {
+  const { type, windows, cron, durationMinutes, mode, endMode, priority, timezone } = schedule;
+
+  if (!actuator.modes.includes(mode)) {
+    return { valid: false, reason: `mode must be one of: ${actuator.modes.join(', ')}` };
+  }
+  if (!actuator.modes.includes(endMode)) {
+    return { valid: false, reason: `endMode must be one of: ${actuator.modes.join(', ')}` };
+  }
+  if (priority !== undefined && !Number.isInteger(priority)) {
+    return { valid: false, reason: 'priority must be an integer' };
+  }
+  if (timezone !== undefined && (typeof timezone !== 'string' || !isValidTimeZone(timezone))) {
+    return { valid: false, reason: `Unknown timezone "${timezone}"` };
+  }
+
+  if (type === 'weekly') {
+    if (!Array.isArray(windows) || windows.length === 0) {
+      return { valid: false, reason: 'windows must be a non-empty array for a weekly schedule' };
+    }
+    for (const [i, w] of windows.entries()) {
+      if (!w || !Array.isArray(w.days) || w.days.length === 0 ||
+          !w.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+        return { valid: false, reason: `windows[${i}].days must be a non-empty array of weekdays 0–6 (Sunday = 0)` };
+      }
+      if (!TIME_RE.test(w.start) || !TIME_RE.test(w.end)) {
+        return { valid: false, reason: `windows[${i}].start and .end must be HH:MM (24-hour)` };
+      }
+      if (w.start === w.end) {
+        return { valid: false, reason: `windows[${i}] is empty (start equals end)` };
+      }
+    }
+    return { valid: true };
+  }
+
+  if (type === 'cron') {
+    if (!parseCron(cron)) {
+      return { valid: false, reason: 'cron must be a 5-field expression: minute hour day-of-month month day-of-week' };
+    }
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_CRON_DURATION_MIN) {
+      return { valid: false, reason: `durationMinutes must be an integer between 1 and ${MAX_CRON_DURATION_MIN}` };
+    }
+    return { valid: true };
+  }
+
+  return { valid: false, reason: "type must be 'weekly' or 'cron'" };
+}
+
+module.exports = { validateSchedule, parseCron, cronMatches, MAX_CRON_DURATION_MIN };
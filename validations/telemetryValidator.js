@@ -6,15 +6,49 @@ const MAX_LATENCY_MS = 5_000;    // 5 s
 // How far in the future a packet may be before it's rejected (accommodates ESP32 clock drift)
 const MAX_FUTURE_MS  = 60_000;   // 60 s
 
-function validateTelemetry(rawPayload) {
+// Factory EOR compliance rule set: pH 6.5 – 8.5 and TDS ≤ 5000. Seeded as the
+// active rule set on first start and used whenever none can be loaded; admins
+// replace it through /api/compliance/rule-sets (services/complianceRuleService.js).
+const DEFAULT_RULE_SET = Object.freeze({
+  name:    'Default EOR',
+  version: 1,
+  rules:   Object.freeze([
+    Object.freeze({ sensor: 'ph',  min: 6.5, max: 8.5 }),
+    Object.freeze({ sensor: 'tds', max: 5000 }),
+  ]),
+});
+
+// Machine-readable rejection categories, returned alongside the human-readable
+// reason so dropped packets can be counted and charted per cause.
+const REJECTION_CODES = Object.freeze({
+  NOT_OBJECT:        'NOT_OBJECT',
+  MISSING_FIELD:     'MISSING_FIELD',
+  OUT_OF_BOUNDS:     'OUT_OF_BOUNDS',
+  INVALID_TIMESTAMP: 'INVALID_TIMESTAMP',
+  STALE:             'STALE',
+  FUTURE:            'FUTURE',
+});
+
+/**
+ * Validates a single telemetry packet.
+ *
+ * @param {object}  rawPayload
+ * @param {object}  [options]
+ * @param {boolean} [options.allowStale=false] — skip the MAX_LATENCY_MS gate.
+ *   Used for store-and-forward backfill, where packets are legitimately old.
+ *   Future-dated packets are still rejected.
+ * @param {object}  [options.ruleSet=DEFAULT_RULE_SET] — EOR compliance rule set
+ *   { name, version, rules: [{ sensor, min?, max? }] } the packet is checked against.
+ */
+function validateTelemetry(rawPayload, { allowStale = false, ruleSet = DEFAULT_RULE_SET } = {}) {
   // 1. Integrity Check
   if (!rawPayload || typeof rawPayload !== 'object' || Array.isArray(rawPayload)) {
-    return { valid: false, reason: 'Payload is not a JSON object' };
+    return { valid: false, code: REJECTION_CODES.NOT_OBJECT, reason: 'Payload is not a JSON object' };
   }
 
   // 2. Only timestamp is strictly required; all sensor fields (including valve_status) are optional
   if (!('timestamp' in rawPayload)) {
-    return { valid: false, reason: 'Missing required field: timestamp' };
+    return { valid: false, code: REJECTION_CODES.MISSING_FIELD, reason: 'Missing required field: timestamp' };
   }
 
   const { timestamp, ph, tds, temperature, flow_rate, salinity, conductivity, current, voltage, power, valve_status } = rawPayload;
@@ -22,73 +56,71 @@ function validateTelemetry(rawPayload) {
   // 3. Hard Gatekeeper: Physics Bounds & Data Types (only for fields that are present)
   if (ph !== undefined && ph !== null) {
     if (typeof ph !== 'number' || !Number.isFinite(ph) || ph < 0 || ph > 14) {
-      return { valid: false, reason: 'ph must be a finite number between 0 and 14' };
+      return { valid: false, code: REJECTION_CODES.OUT_OF_BOUNDS, reason: 'ph must be a finite number between 0 and 14' };
     }
   }
   if (tds !== undefined && tds !== null) {
-    if (typeof tds !== 'number' || tds < 0) return { valid: false, reason: 'tds must be >= 0' };
+    if (typeof tds !== 'number' || tds < 0) return { valid: false, code: REJECTION_CODES.OUT_OF_BOUNDS, reason: 'tds must be >= 0' };
   }
   if (temperature !== undefined && temperature !== null) {
-    if (typeof temperature !== 'number' || temperature < 0) return { valid: false, reason: 'temperature must be >= 0' };
+    if (typeof temperature !== 'number' || temperature < 0) return { valid: false, code: REJECTION_CODES.OUT_OF_BOUNDS, reason: 'temperature must be >= 0' };
   }
   if (flow_rate !== undefined && flow_rate !== null) {
-    if (typeof flow_rate !== 'number' || flow_rate < 0) return { valid: false, reason: 'flow_rate must be >= 0' };
+    if (typeof flow_rate !== 'number' || flow_rate < 0) return { valid: false, code: REJECTION_CODES.OUT_OF_BOUNDS, reason: 'flow_rate must be >= 0' };
   }
   if (salinity !== undefined && salinity !== null) {
-    if (typeof salinity !== 'number' || salinity < 0) return { valid: false, reason: 'salinity must be >= 0' };
+    if (typeof salinity !== 'number' || salinity < 0) return { valid: false, code: REJECTION_CODES.OUT_OF_BOUNDS, reason: 'salinity must be >= 0' };
   }
   if (conductivity !== undefined && conductivity !== null) {
-    if (typeof conductivity !== 'number' || conductivity < 0) return { valid: false, reason: 'conductivity must be >= 0' };
+    if (typeof conductivity !== 'number' || conductivity < 0) return { valid: false, code: REJECTION_CODES.OUT_OF_BOUNDS, reason: 'conductivity must be >= 0' };
   }
   if (voltage !== undefined && voltage !== null) {
-    if (typeof voltage !== 'number' || voltage < -50 || voltage > 50) return { valid: false, reason: 'voltage must be between -50 and 50' };
+    if (typeof voltage !== 'number' || voltage < -50 || voltage > 50) return { valid: false, code: REJECTION_CODES.OUT_OF_BOUNDS, reason: 'voltage must be between -50 and 50' };
   }
   if (current !== undefined && current !== null) {
-    if (typeof current !== 'number') return { valid: false, reason: 'current must be a valid number' };
+    if (typeof current !== 'number') return { valid: false, code: REJECTION_CODES.OUT_OF_BOUNDS, reason: 'current must be a valid number' };
   }
   if (power !== undefined && power !== null) {
-    if (typeof power !== 'number') return { valid: false, reason: 'power must be a valid number' };
+    if (typeof power !== 'number') return { valid: false, code: REJECTION_CODES.OUT_OF_BOUNDS, reason: 'power must be a valid number' };
   }
 
   if (valve_status !== undefined && valve_status !== null) {
     if (valve_status !== 'OPEN' && valve_status !== 'CLOSED') {
-      return { valid: false, reason: 'valve_status must be exactly OPEN or CLOSED' };
+      return { valid: false, code: REJECTION_CODES.OUT_OF_BOUNDS, reason: 'valve_status must be exactly OPEN or CLOSED' };
     }
   }
 
   // 4. Hard Gatekeeper: Latency Check
   const packetDate = new Date(timestamp);
   if (isNaN(packetDate.getTime())) {
-    return { valid: false, reason: 'Invalid timestamp format' };
+    return { valid: false, code: REJECTION_CODES.INVALID_TIMESTAMP, reason: 'Invalid timestamp format' };
   }
 
   const now = Date.now();
   const latency = now - packetDate.getTime();
   
-  if (latency > MAX_LATENCY_MS)  return { valid: false, reason: `Timestamp is too old (latency > ${MAX_LATENCY_MS / 1000}s)` };
-  if (latency < -MAX_FUTURE_MS) return { valid: false, reason: `Timestamp is in the future (drift > ${MAX_FUTURE_MS / 1000}s)` };
+  if (!allowStale && latency > MAX_LATENCY_MS) return { valid: false, code: REJECTION_CODES.STALE,  reason: `Timestamp is too old (latency > ${MAX_LATENCY_MS / 1000}s)` };
+  if (latency < -MAX_FUTURE_MS)               return { valid: false, code: REJECTION_CODES.FUTURE, reason: `Timestamp is in the future (drift > ${MAX_FUTURE_MS / 1000}s)` };
 
   // 5. Soft Gatekeeper: EOR Standards Compliance
   const failed_parameters = [];
-  
-  // EOR Rule: pH must be 6.5 - 8.5 (only checked if sensor reported a value)
-  if (ph !== undefined && ph !== null && (ph < 6.5 || ph > 8.5)) {
-    failed_parameters.push('ph');
-  }
-  // EOR Rule: TDS must be <= 5000 (only checked if sensor reported a value)
-  if (tds !== undefined && tds !== null && tds > 5000) {
-    failed_parameters.push('tds');
+
+  // EOR Rule: each rule bounds one sensor (only checked if the sensor reported a value)
+  for (const { sensor, min, max } of ruleSet.rules) {
+    const value = rawPayload[sensor];
+    if (value === undefined || value === null) continue;
+    if ((min != null && value < min) || (max != null && value > max)) failed_parameters.push(sensor);
   }
 
   const status = failed_parameters.length > 0 ? 'FAIL' : 'PASS';
 
-  // Attach the validation metadata to the payload
-  const validatedPayload = { 
-    ...rawPayload, 
-    validation: { status, failed_parameters } 
+  // Attach the validation metadata to the payload, including which rule-set version produced it
+  const validatedPayload = {
+    ...rawPayload,
+    validation: { status, failed_parameters, rule_set: { name: ruleSet.name, version: ruleSet.version } },
   };
 
   return { valid: true, payload: validatedPayload, date: packetDate };
 }
 
-module.exports = { validateTelemetry, MAX_LATENCY_MS, MAX_FUTURE_MS };
\ No newline at end of file
+module.exports = { validateTelemetry, MAX_LATENCY_MS, MAX_FUTURE_MS, REJECTION_CODES, DEFAULT_RULE_SET };
\ No newline at end of file